@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR } = require("./jobs");
+const { publicConfig } = require("./orgConfig");
+
+// Append-only audit trail of mutating operations, one JSONL file per org and UTC day:
+// DATA_DIR/audit/<org>/<YYYY-MM-DD>.jsonl. Entries are never rewritten; when an org is renamed its
+// log moves with it. Each line:
+// { id, at, org, action, actor: { role, level, name }, ip, requestId, targets: [paths], before, after, details }
+
+const AUDIT_DIR = path.join(DATA_DIR, "audit");
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const REDACTED = "[redacted]";
+
+function orgDir(orgName) {
+    return path.join(AUDIT_DIR, orgName);
+}
+
+function queryError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Display name of the person acting, sent by the client (there are no user accounts)
+function actorName(value) {
+    if (typeof value !== "string") return undefined;
+    return value.replace(/[\x00-\x1f\x7f]/g, "").trim().slice(0, 100) || undefined;
+}
+
+// Who is making a request: the session's role and level, plus the X-User-Name header if sent
+function actorFor(req, name) {
+    const auth = req.auth || {};
+    return {
+        role: auth.org ? auth.role || "admin" : "anonymous",
+        level: auth.level,
+        name: actorName(req.headers["x-user-name"]) || actorName(name),
+    };
+}
+
+// Record an operation. Failures are logged, never thrown: the operation itself already happened.
+function record(req, { org, action, targets = [], before, after, details, name }) {
+    const at = new Date().toISOString();
+    const entry = {
+        id: crypto.randomUUID(),
+        at,
+        org,
+        action,
+        actor: actorFor(req, name),
+        ip: req.ip,
+        requestId: req.id,
+        targets,
+    };
+    if (before !== undefined) entry.before = before;
+    if (after !== undefined) entry.after = after;
+    if (details !== undefined) entry.details = details;
+
+    try {
+        fs.mkdirSync(orgDir(org), { recursive: true });
+        fs.appendFileSync(path.join(orgDir(org), `${at.slice(0, 10)}.jsonl`), `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+        console.error(`[Audit] Failed to record ${action} for ${org}:`, error.message);
+    }
+    return entry;
+}
+
+// Before/after values of the given config fields. Passwords (org and level) are never logged.
+function configChange(before, after, fields) {
+    const pick = (configData) => {
+        const safe = publicConfig(configData);
+        const values = {};
+        for (const field of fields) {
+            values[field] = field === "password" ? REDACTED : safe[field] === undefined ? null : safe[field];
+        }
+        return values;
+    };
+    return { before: pick(before), after: pick(after) };
+}
+
+// Keep an org's log when it is renamed
+function renameOrgLog(fromOrg, toOrg) {
+    try {
+        if (fs.existsSync(orgDir(fromOrg)) && !fs.existsSync(orgDir(toOrg))) {
+            fs.renameSync(orgDir(fromOrg), orgDir(toOrg));
+        }
+    } catch (error) {
+        console.error(`[Audit] Failed to move log of ${fromOrg} to ${toOrg}:`, error.message);
+    }
+}
+
+function parseTime(value, label) {
+    if (value === undefined || value === "") return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw queryError(`${label} must be a date`);
+    return time;
+}
+
+function readDay(file) {
+    const entries = [];
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+        if (!line) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            // A torn last line from a crash; skip it
+        }
+    }
+    return entries;
+}
+
+// Query an org's log, newest first. query: { action, actor, from, to, limit, offset }.
+// action is a comma-separated list; "file.*" matches every file action. actor matches the actor's
+// name, role or level (case-insensitive).
+function queryAudit(orgName, query = {}) {
+    const from = parseTime(query.from, "from");
+    let to = parseTime(query.to, "to");
+    // A bare date covers that whole day
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to += 24 * 60 * 60 * 1000 - 1;
+    const actions = typeof query.action === "string" ? query.action.split(",").map((a) => a.trim()).filter(Boolean) : [];
+    const actor = typeof query.actor === "string" && query.actor ? query.actor.toLowerCase() : null;
+    const limit = Math.min(MAX_LIMIT, parseInt(query.limit, 10) || DEFAULT_LIMIT);
+    const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+
+    const matchesAction = (action) => actions.length === 0 || actions.some((wanted) => (wanted.endsWith(".*")
+        ? action.startsWith(wanted.slice(0, -1))
+        : action === wanted));
+    const matchesActor = (entryActor) => !actor || [entryActor.name, entryActor.role, entryActor.level]
+        .some((value) => typeof value === "string" && value.toLowerCase() === actor);
+
+    let days = [];
+    try {
+        days = fs.readdirSync(orgDir(orgName)).filter((file) => DAY_FILE.test(file)).sort().reverse();
+    } catch (e) {}
+
+    const matches = [];
+    for (const file of days) {
+        // Skip whole days outside the range
+        const dayStart = Date.parse(DAY_FILE.exec(file)[1]);
+        if (from !== null && dayStart + 24 * 60 * 60 * 1000 <= from) break;
+        if (to !== null && dayStart > to) continue;
+
+        const entries = readDay(path.join(orgDir(orgName), file)).reverse();
+        for (const entry of entries) {
+            const time = Date.parse(entry.at);
+            if (from !== null && time < from) continue;
+            if (to !== null && time > to) continue;
+            if (!matchesAction(entry.action) || !matchesActor(entry.actor || {})) continue;
+            matches.push(entry);
+        }
+    }
+
+    return { total: matches.length, offset, limit, entries: matches.slice(offset, offset + limit) };
+}
+
+// Middleware: a request id for correlating audit entries and logs. A sane X-Request-Id from a proxy is kept.
+function assignRequestId(req, res, next) {
+    const given = req.headers["x-request-id"];
+    req.id = typeof given === "string" && /^[A-Za-z0-9._:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+    res.setHeader("X-Request-Id", req.id);
+    next();
+}
+
+module.exports = { record, configChange, renameOrgLog, queryAudit, assignRequestId, actorFor };
@@ -0,0 +1,189 @@
+const crypto = require("crypto");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+if (!process.env.AUTH_TOKEN_SECRET) {
+    throw new Error("Critical Error: Missing environment variables: AUTH_TOKEN_SECRET");
+}
+
+const TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET;
+// Token lifetime in seconds (default 12 hours)
+const TOKEN_TTL = parseInt(process.env.AUTH_TOKEN_TTL, 10) || 12 * 60 * 60;
+
+// scrypt parameters. Stored alongside the hash so they can be raised later.
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+function scrypt(password, salt, options) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, options, (err, key) => {
+            if (err) return reject(err);
+            resolve(key);
+        });
+    });
+}
+
+// Hash a password into "scrypt$N$r$p$salt$hash" (salt and hash base64)
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(String(password), salt, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+    return ["scrypt", SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+async function verifyPassword(password, stored) {
+    const parts = typeof stored === "string" ? stored.split("$") : [];
+    if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, "base64");
+    const key = await scrypt(String(password), Buffer.from(salt, "base64"), {
+        N: parseInt(N, 10),
+        r: parseInt(r, 10),
+        p: parseInt(p, 10),
+    });
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// Constant-time comparison for legacy plaintext passwords
+function plaintextMatches(password, stored) {
+    const a = crypto.createHash("sha256").update(String(password)).digest();
+    const b = crypto.createHash("sha256").update(String(stored)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Check a login attempt against an org config.
+// Returns { valid, needsRehash } - needsRehash is set for legacy plaintext configs.
+async function checkOrgPassword(configData, password) {
+    if (configData.passwordHash) {
+        return { valid: await verifyPassword(password, configData.passwordHash), needsRehash: false };
+    }
+    if (typeof configData.password === "string") {
+        const valid = plaintextMatches(password, configData.password);
+        return { valid, needsRehash: valid };
+    }
+    return { valid: false, needsRehash: false };
+}
+
+// Tokens other than sessions (share links) sign with a purpose prefix, so one kind can never
+// pass for another
+function sign(data, purpose) {
+    return crypto.createHmac("sha256", TOKEN_SECRET).update(purpose ? `${purpose}:${data}` : data).digest("base64url");
+}
+
+// "<base64url payload>.<signature>"
+function encodeSigned(payload, purpose) {
+    const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+    return `${encoded}.${sign(encoded, purpose)}`;
+}
+
+// The payload of a token signed for purpose, or null if it is malformed, forged or past its exp
+function decodeSigned(token, purpose) {
+    if (typeof token !== "string") return null;
+    const [encoded, signature] = token.split(".");
+    if (!encoded || !signature) return null;
+
+    const expected = Buffer.from(sign(encoded, purpose));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(encoded, "base64url").toString());
+        if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+        return payload;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Issue a signed bearer token scoped to one org. Org-password logins are "admin"; a level
+// login is a "viewer" at that level.
+function issueToken(orgName, { role = "admin", level } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { org: orgName, role, iat: now, exp: now + TOKEN_TTL };
+    if (level) payload.level = level;
+    return {
+        token: encodeSigned(payload),
+        expiresAt: new Date(payload.exp * 1000).toISOString(),
+    };
+}
+
+// Returns the token payload, or null if the token is malformed, forged or expired
+function verifyToken(token) {
+    const payload = decodeSigned(token);
+    return payload && payload.org ? payload : null;
+}
+
+// Bearer header first; media elements (<video>, <img>) can't set headers, so fall back to ?access_token=
+function extractToken(req) {
+    const header = req.headers.authorization;
+    if (header && header.startsWith("Bearer ")) {
+        return header.slice(7).trim();
+    }
+    if (typeof req.query.access_token === "string") {
+        return req.query.access_token;
+    }
+    return null;
+}
+
+// Populate req.auth if a valid token was sent, without rejecting the request
+function optionalAuth(req, res, next) {
+    const payload = verifyToken(extractToken(req));
+    if (payload) req.auth = payload;
+    next();
+}
+
+// Reject requests without a valid token
+function requireAuth(req, res, next) {
+    const payload = verifyToken(extractToken(req));
+    if (!payload) {
+        return res.status(401).json({ error: "Authentication required" });
+    }
+    req.auth = payload;
+    next();
+}
+
+// Ensure the token's org matches the org targeted by the request.
+// getOrg(req) returns the org name the request acts on.
+function requireOrg(getOrg) {
+    return (req, res, next) => {
+        const orgName = getOrg(req);
+        if (!orgName) {
+            return res.status(400).json({ error: "Organization could not be determined from request" });
+        }
+        if (!req.auth || req.auth.org !== orgName) {
+            return res.status(403).json({ error: "Token is not valid for this organization" });
+        }
+        next();
+    };
+}
+
+// Tokens issued before levels existed carry no role; they came from the org password
+function isAdmin(auth) {
+    return !!auth && (!auth.role || auth.role === "admin");
+}
+
+// Reject viewer tokens: only admin sessions may continue
+function requireAdmin(req, res, next) {
+    if (!isAdmin(req.auth)) {
+        return res.status(403).json({ error: "Admin access required" });
+    }
+    next();
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    checkOrgPassword,
+    issueToken,
+    verifyToken,
+    encodeSigned,
+    decodeSigned,
+    optionalAuth,
+    requireAuth,
+    requireOrg,
+    isAdmin,
+    requireAdmin,
+};
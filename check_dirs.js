@@ -1,22 +1,22 @@
-const { owncloud } = require("./storage/owncloud");
+const { storage } = require("./storage");
 
 async function check() {
     try {
-        const contents = await owncloud.getDirectoryContents("/organizations");
+        const contents = await storage.getDirectoryContents("/organizations");
         console.log("Organizations contents:", contents.map(c => c.basename));
         
         // Also check Marketing if it exists
         if (contents.find(c => c.basename === 'Marketing')) {
-             const marketing = await owncloud.getDirectoryContents("/organizations/Marketing");
+             const marketing = await storage.getDirectoryContents("/organizations/Marketing");
              console.log("Marketing contents:", marketing.map(c => c.basename));
              
              // Check videos and images
              if (marketing.find(c => c.basename === 'videos')) {
-                 const videos = await owncloud.getDirectoryContents("/organizations/Marketing/videos");
+                 const videos = await storage.getDirectoryContents("/organizations/Marketing/videos");
                  console.log("Marketing/videos contents:", videos.map(c => c.basename));
              }
              if (marketing.find(c => c.basename === 'images')) {
-                 const images = await owncloud.getDirectoryContents("/organizations/Marketing/images");
+                 const images = await storage.getDirectoryContents("/organizations/Marketing/images");
                  console.log("Marketing/images contents:", images.map(c => c.basename));
              }
         }
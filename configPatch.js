@@ -0,0 +1,100 @@
+const { hashPassword } = require("./auth");
+const { MEDIA_FOLDERS } = require("./paths");
+const { applyLevelChanges } = require("./levels");
+const { validateWatermarkConfig } = require("./watermarkConfig");
+const { DUPLICATE_POLICIES } = require("./integrity");
+const { prepareWebhooks } = require("./webhooks");
+const { validateFormatRules } = require("./formats");
+
+// Partial updates of config.json (PATCH /api/orgs/:orgName/config). Each field given replaces the
+// stored one; null removes the optional text fields. Identity and bookkeeping fields are server-owned,
+// as is the storage quota, which the operator sets.
+
+const SERVER_OWNED = ["orgId", "passwordHash", "createdAt", "updatedAt", "version", "quota"];
+const TEXT_FIELDS = { displayName: 100, description: 2000 };
+const MAX_RETENTION_DAYS = 3650;
+
+function patchError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function validateTrash(trash) {
+    if (trash === null || typeof trash !== "object" || Array.isArray(trash)) {
+        throw patchError("trash must be an object");
+    }
+    for (const key of Object.keys(trash)) {
+        if (key !== "retentionDays") throw patchError(`Unknown trash setting: ${key}`);
+    }
+    const days = trash.retentionDays;
+    if (days !== undefined && (typeof days !== "number" || !Number.isInteger(days) || days < 0 || days > MAX_RETENTION_DAYS)) {
+        throw patchError(`trash.retentionDays must be a whole number from 0 to ${MAX_RETENTION_DAYS} (0 keeps trash forever)`);
+    }
+    return trash;
+}
+
+function validateUploads(uploads) {
+    if (uploads === null || typeof uploads !== "object" || Array.isArray(uploads)) {
+        throw patchError("uploads must be an object");
+    }
+    for (const key of Object.keys(uploads)) {
+        if (key !== "duplicates" && key !== "formats") throw patchError(`Unknown uploads setting: ${key}`);
+    }
+    if (uploads.duplicates !== undefined && !DUPLICATE_POLICIES.includes(uploads.duplicates)) {
+        throw patchError(`uploads.duplicates must be one of ${DUPLICATE_POLICIES.join(", ")}`);
+    }
+    if (uploads.formats !== undefined) validateFormatRules(uploads.formats);
+    return uploads;
+}
+
+// Validate a patch and apply it to configData in place. Throws a 400 error before changing
+// anything if any field is invalid.
+async function applyConfigPatch(configData, patch) {
+    if (!patch || typeof patch !== "object" || Array.isArray(patch)) throw patchError("Body must be a JSON object");
+    if (Object.keys(patch).length === 0) throw patchError("Nothing to update");
+
+    const next = { ...configData };
+    for (const [field, value] of Object.entries(patch)) {
+        if (SERVER_OWNED.includes(field)) throw patchError(`${field} cannot be changed`);
+
+        if (TEXT_FIELDS[field]) {
+            if (value === null) {
+                delete next[field];
+            } else if (typeof value !== "string" || value.length > TEXT_FIELDS[field]) {
+                throw patchError(`${field} must be a string of at most ${TEXT_FIELDS[field]} characters`);
+            } else {
+                next[field] = value.trim();
+            }
+        } else if (field === "password") {
+            if (typeof value !== "string" || value.length === 0) throw patchError("password must be a non-empty string");
+        } else if (field === "watermark") {
+            next.watermark = validateWatermarkConfig(value, MEDIA_FOLDERS);
+        } else if (field === "trash") {
+            next.trash = validateTrash(value);
+        } else if (field === "uploads") {
+            next.uploads = validateUploads(value);
+        } else if (field === "webhooks") {
+            next.webhooks = prepareWebhooks(value, configData.webhooks);
+        } else if (field !== "levels" && field !== "folderLevels") {
+            throw patchError(`Unknown config field: ${field}`);
+        }
+    }
+
+    if (patch.levels !== undefined || patch.folderLevels !== undefined) {
+        await applyLevelChanges(next, { levels: patch.levels, folderLevels: patch.folderLevels });
+    }
+    if (patch.password !== undefined) {
+        next.passwordHash = await hashPassword(patch.password);
+        delete next.password;
+    }
+
+    for (const key of Object.keys(configData)) {
+        if (!(key in next)) delete configData[key];
+    }
+    Object.assign(configData, next);
+    configData.updatedAt = new Date().toISOString();
+    return configData;
+}
+
+module.exports = { applyConfigPatch };
@@ -0,0 +1,99 @@
+const path = require("path");
+const { storage } = require("./storage");
+
+// Filenames for stored uploads. Client names are normalized before they become storage paths, and
+// a per-request policy decides what happens when the name is already taken:
+//   reject  - refuse the upload (409)
+//   rename  - store as "name (1).ext", "name (2).ext", ...
+//   version - replace the file, keeping the old one in its version history (see versions.js)
+
+const COLLISION_POLICIES = ["reject", "rename", "version"];
+const DEFAULT_COLLISION_POLICY = COLLISION_POLICIES.includes(process.env.UPLOAD_ON_CONFLICT)
+    ? process.env.UPLOAD_ON_CONFLICT
+    : "version";
+
+// Length limit in bytes (most filesystems and WebDAV servers allow 255)
+const MAX_NAME_BYTES = 200;
+const MAX_EXTENSION_LENGTH = 16;
+const MAX_RENAME_ATTEMPTS = 1000;
+
+function filenameError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Cut a string to at most maxBytes of UTF-8 without splitting a character
+function truncateBytes(value, maxBytes) {
+    let result = "";
+    for (const char of value) {
+        if (Buffer.byteLength(result + char) > maxBytes) break;
+        result += char;
+    }
+    return result;
+}
+
+// Multer hands over multipart filenames decoded as latin1; recover the UTF-8 name browsers send
+function multipartFilename(name) {
+    if (typeof name !== "string" || !/[\x80-\xff]/.test(name) || /[^\x00-\xff]/.test(name)) return name;
+    const decoded = Buffer.from(name, "latin1").toString("utf8");
+    return decoded.includes("\ufffd") ? name : decoded;
+}
+
+// Normalize a client-supplied filename: Unicode NFC, no control characters, path separators or
+// encoded separators, no leading dots (hidden folders like .hls are ours), no sidecar suffix, and at
+// most MAX_NAME_BYTES with the extension kept. Throws 400 if nothing usable is left.
+function safeFilename(name) {
+    if (typeof name !== "string") throw filenameError(400, "Filename is required");
+
+    let clean = name.normalize("NFC")
+        // Keep only the last segment of a client path (C:\Users\me\clip.mp4)
+        .split(/[\\/]/).pop()
+        .replace(/[\x00-\x1f\x7f]/g, "")
+        .replace(/%(2f|5c|2e|00)/gi, "_")
+        .replace(/\s+/g, " ")
+        .trim()
+        .replace(/^[.\s]+/, "")
+        .replace(/[.\s]+$/, "");
+    if (clean.toLowerCase().endsWith(".meta.json")) clean = `${clean.slice(0, -".meta.json".length)}.meta-json`;
+
+    let ext = path.posix.extname(clean);
+    if (ext.length > MAX_EXTENSION_LENGTH) ext = "";
+    let base = ext ? clean.slice(0, -ext.length) : clean;
+    base = truncateBytes(base, MAX_NAME_BYTES - Buffer.byteLength(ext)).trim();
+    if (!base) throw filenameError(400, `Invalid filename: ${JSON.stringify(name)}`);
+    return base + ext;
+}
+
+function collisionPolicy(value) {
+    if (value === undefined || value === null || value === "") return DEFAULT_COLLISION_POLICY;
+    if (!COLLISION_POLICIES.includes(value)) {
+        throw filenameError(400, `onConflict must be one of ${COLLISION_POLICIES.join(", ")}`);
+    }
+    return value;
+}
+
+// Where to store a new upload under the policy: the requested path, the next free "name (n).ext"
+// for rename, or a 409 error for reject if the name is taken
+async function resolveCollision(remotePath, policy) {
+    if (policy === "version" || !(await storage.exists(remotePath))) return remotePath;
+    if (policy === "reject") throw filenameError(409, `A file named ${path.posix.basename(remotePath)} already exists`);
+
+    const dir = path.posix.dirname(remotePath);
+    const ext = path.posix.extname(remotePath);
+    const base = path.posix.basename(remotePath, ext);
+    for (let n = 1; n <= MAX_RENAME_ATTEMPTS; n++) {
+        const suffix = ` (${n})`;
+        const candidate = `${dir}/${truncateBytes(base, MAX_NAME_BYTES - Buffer.byteLength(suffix + ext))}${suffix}${ext}`;
+        if (!(await storage.exists(candidate))) return candidate;
+    }
+    throw filenameError(409, `Could not find a free name for ${path.posix.basename(remotePath)}`);
+}
+
+module.exports = {
+    COLLISION_POLICIES,
+    multipartFilename,
+    safeFilename,
+    collisionPolicy,
+    resolveCollision,
+};
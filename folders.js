@@ -0,0 +1,93 @@
+const path = require("path");
+const { storage } = require("./storage");
+const { isNotFound } = require("./storage/errors");
+const { buildFolderPath } = require("./paths");
+const { safeFilename } = require("./filenames");
+
+// Subfolders below the media folders (videos/trips/2024/...). A file's sidecar, renditions, thumbnails
+// and versions sit in hidden folders next to it, so moving or trashing a folder takes them along.
+// Hidden entries (names starting with a dot) are never listed.
+
+function folderError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Folder name from a client: the same rules as filenames
+function safeFolderName(name) {
+    try {
+        return safeFilename(name);
+    } catch (error) {
+        throw folderError(400, `Invalid folder name: ${JSON.stringify(name)}`);
+    }
+}
+
+// Links from the media folder down to subPath: [{ name, path }], path relative to the media folder
+function breadcrumbs(folder, subPath) {
+    const crumbs = [{ name: folder, path: "" }];
+    let current = "";
+    for (const segment of (subPath || "").split("/").filter(Boolean)) {
+        current = current ? `${current}/${segment}` : segment;
+        crumbs.push({ name: segment, path: current });
+    }
+    return crumbs;
+}
+
+async function readFolder(dirPath) {
+    try {
+        return await storage.getDirectoryContents(dirPath);
+    } catch (error) {
+        if (isNotFound(error)) throw folderError(404, "Folder not found");
+        throw error;
+    }
+}
+
+// Contents of a folder: { folders: [{ name, path, lastmod }], entries: [{ dir, items }] } where each
+// entry is one folder's directory listing (files and sidecars). With recursive, every subfolder is
+// walked and listed too. Folder paths are relative to the media folder root (rootPath).
+async function listFolder(rootPath, subPath, { recursive = false } = {}) {
+    const folders = [];
+    const entries = [];
+
+    const visit = async (relative) => {
+        const dir = relative ? `${rootPath}/${relative}` : rootPath;
+        const items = (await readFolder(dir)).filter((item) => !item.basename.startsWith("."));
+        entries.push({ dir, items: items.filter((item) => item.type === "file") });
+        for (const item of items.filter((i) => i.type === "directory")) {
+            const childPath = relative ? `${relative}/${item.basename}` : item.basename;
+            folders.push({ name: item.basename, path: childPath, lastmod: item.lastmod });
+            if (recursive) await visit(childPath);
+        }
+    };
+    await visit(subPath);
+    return { folders, entries };
+}
+
+// Create parent/name below a media folder. 409 if something already has that name.
+async function createFolder(orgName, folder, parent, name) {
+    const folderPath = `${buildFolderPath(orgName, folder, parent)}/${safeFolderName(name)}`;
+    if (!(await storage.exists(path.posix.dirname(folderPath)))) throw folderError(404, "Parent folder not found");
+    if (await storage.exists(folderPath)) throw folderError(409, `${path.posix.basename(folderPath)} already exists`);
+    await storage.createDirectory(folderPath, { recursive: true });
+    return folderPath;
+}
+
+// Give a subfolder a new name in the same parent. Returns { from, to }.
+async function renameFolder(orgName, folder, subPath, newName) {
+    const from = buildFolderPath(orgName, folder, subPath);
+    if (from === buildFolderPath(orgName, folder)) throw folderError(400, "A media folder itself can't be renamed");
+    const to = `${path.posix.dirname(from)}/${safeFolderName(newName)}`;
+    if (to === from) return { from, to };
+
+    const stat = await storage.stat(from).catch((error) => {
+        if (isNotFound(error)) throw folderError(404, "Folder not found");
+        throw error;
+    });
+    if (stat.type !== "directory") throw folderError(404, "Folder not found");
+    if (await storage.exists(to)) throw folderError(409, `${path.posix.basename(to)} already exists`);
+    await storage.moveFile(from, to);
+    return { from, to };
+}
+
+module.exports = { breadcrumbs, listFolder, createFolder, renameFolder };
@@ -0,0 +1,322 @@
+const fs = require("fs");
+const path = require("path");
+const { readOrgConfig } = require("./orgConfig");
+const { probeContainer, decodeImage } = require("./probe");
+
+// What an upload really is. The client's Content-Type and the filename are only claims: the format is
+// detected from the file's leading bytes (magic numbers) and confirmed by decoding images with sharp and
+// opening video containers with ffprobe. The filename's extension must name the detected format, since
+// files are served with the type their extension implies. Each media folder takes only its own kind,
+// from an allow-list of formats with size and duration limits. Orgs can narrow them in config.json,
+// but never widen the server's:
+//
+// "uploads": { "formats": { "images": { "allow": ["jpeg", "png"], "maxBytes": 20971520 },
+//                           "videos": { "allow": ["mp4", "mov"], "maxDurationSeconds": 600 } } }
+//
+// Refusals carry a code for clients: UNSUPPORTED_FORMAT, CONTENT_TYPE_MISMATCH, INVALID_MEDIA (415),
+// FILE_TOO_LARGE (413) and DURATION_TOO_LONG (422).
+
+// Formats we accept, by kind. SVG is left out: it can carry scripts and is served inline.
+const FORMATS = {
+    jpeg: { kind: "image", mimeType: "image/jpeg", extensions: [".jpg", ".jpeg", ".jfif", ".pjpeg"] },
+    png: { kind: "image", mimeType: "image/png", extensions: [".png"] },
+    gif: { kind: "image", mimeType: "image/gif", extensions: [".gif"] },
+    webp: { kind: "image", mimeType: "image/webp", extensions: [".webp"] },
+    avif: { kind: "image", mimeType: "image/avif", extensions: [".avif"] },
+    tiff: { kind: "image", mimeType: "image/tiff", extensions: [".tif", ".tiff"] },
+    bmp: { kind: "image", mimeType: "image/bmp", extensions: [".bmp"] },
+    heic: { kind: "image", mimeType: "image/heic", extensions: [".heic"] },
+    heif: { kind: "image", mimeType: "image/heif", extensions: [".heif"] },
+    mp4: { kind: "video", mimeType: "video/mp4", extensions: [".mp4"] },
+    m4v: { kind: "video", mimeType: "video/x-m4v", extensions: [".m4v"] },
+    mov: { kind: "video", mimeType: "video/quicktime", extensions: [".mov"] },
+    webm: { kind: "video", mimeType: "video/webm", extensions: [".webm"] },
+    mkv: { kind: "video", mimeType: "video/x-matroska", extensions: [".mkv"] },
+    avi: { kind: "video", mimeType: "video/x-msvideo", extensions: [".avi"] },
+    "3gp": { kind: "video", mimeType: "video/3gpp", extensions: [".3gp"] },
+    ogv: { kind: "video", mimeType: "video/ogg", extensions: [".ogv"] },
+    mpeg: { kind: "video", mimeType: "video/mpeg", extensions: [".mpg", ".mpeg"] },
+    wmv: { kind: "video", mimeType: "video/x-ms-wmv", extensions: [".wmv"] },
+    flv: { kind: "video", mimeType: "video/x-flv", extensions: [".flv"] },
+};
+
+// Recognised content that is never accepted, named in the refusal
+const REFUSED = {
+    exe: "a Windows executable",
+    elf: "a Linux executable",
+    macho: "a macOS executable",
+    script: "a script",
+    zip: "a ZIP archive (or an Office document)",
+    gzip: "a gzip archive",
+    rar: "a RAR archive",
+    "7z": "a 7-Zip archive",
+    pdf: "a PDF document",
+    html: "an HTML document",
+    svg: "an SVG image",
+    audio: "an audio file",
+};
+
+// Formats sharing a container, whose files are commonly named after one another
+const INTERCHANGEABLE = [["mp4", "m4v", "mov", "3gp"], ["mkv", "webm"], ["heic", "heif"]];
+
+// Image formats sharp decodes here, with the name its metadata gives them. The others (bmp, heic)
+// are checked by their magic bytes only.
+const SHARP_FORMATS = { jpeg: "jpeg", png: "png", gif: "gif", webp: "webp", tiff: "tiff", avif: "heif" };
+
+const FOLDER_KINDS = { images: "image", videos: "video" };
+
+const megabytes = (value) => (value ? Math.round(Number(value) * 1024 * 1024) : null);
+const SERVER_RULES = {
+    images: {
+        allow: Object.keys(FORMATS).filter((format) => FORMATS[format].kind === "image"),
+        maxBytes: megabytes(process.env.UPLOAD_MAX_IMAGE_MB || 100),
+        maxDurationSeconds: null,
+    },
+    videos: {
+        allow: Object.keys(FORMATS).filter((format) => FORMATS[format].kind === "video"),
+        maxBytes: megabytes(process.env.UPLOAD_MAX_VIDEO_MB),
+        maxDurationSeconds: Number(process.env.UPLOAD_MAX_VIDEO_SECONDS) || null,
+    },
+};
+
+// Bytes read for detection; enough for the Matroska DocType and for text sniffing
+const HEAD_BYTES = 4096;
+
+function ruleError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function formatError(status, code, message, extra = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+}
+
+// Brand of an ISO base media file (MP4, MOV, HEIC, AVIF, ...) to a format
+function isoBrandFormat(brand) {
+    if (brand === "qt  ") return "mov";
+    if (brand.startsWith("M4V")) return "m4v";
+    if (brand.startsWith("3g")) return "3gp";
+    if (["heic", "heix", "heim", "heis", "hevc", "hevx", "hevm", "hevs"].includes(brand)) return "heic";
+    if (["mif1", "msf1"].includes(brand)) return "heif";
+    if (["avif", "avis"].includes(brand)) return "avif";
+    if (["M4A ", "M4B ", "M4P "].includes(brand)) return "audio";
+    return "mp4";
+}
+
+// Format of a file from its leading bytes: a key of FORMATS, a key of REFUSED, or null if unknown
+function detectFormat(head) {
+    const ascii = (start, end) => head.toString("latin1", start, end);
+    const startsWith = (...bytes) => bytes.every((byte, i) => head[i] === byte);
+
+    if (startsWith(0xff, 0xd8, 0xff)) return "jpeg";
+    if (startsWith(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)) return "png";
+    if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "gif";
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "webp";
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "AVI ") return "avi";
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "audio";
+    if (ascii(0, 4) === "II*\0" || ascii(0, 4) === "MM\0*") return "tiff";
+    if (ascii(0, 2) === "BM" && head.length >= 26) return "bmp";
+    if (ascii(4, 8) === "ftyp") return isoBrandFormat(ascii(8, 12));
+    // MOV files from older cameras start with other atoms
+    if (["moov", "mdat", "wide", "free", "skip"].includes(ascii(4, 8))) return "mov";
+    if (startsWith(0x1a, 0x45, 0xdf, 0xa3)) return ascii(0, HEAD_BYTES).includes("webm") ? "webm" : "mkv";
+    if (ascii(0, 4) === "OggS") return ascii(0, HEAD_BYTES).includes("theora") ? "ogv" : "audio";
+    if (startsWith(0x00, 0x00, 0x01, 0xba) || startsWith(0x00, 0x00, 0x01, 0xb3)) return "mpeg";
+    if (startsWith(0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11)) return "wmv";
+    if (ascii(0, 3) === "FLV") return "flv";
+    if (ascii(0, 3) === "ID3" || ascii(0, 4) === "fLaC" || startsWith(0xff, 0xfb)) return "audio";
+
+    if (ascii(0, 2) === "MZ") return "exe";
+    if (startsWith(0x7f, 0x45, 0x4c, 0x46)) return "elf";
+    if ([0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe, 0xcafebabe].includes(head.length >= 4 ? head.readUInt32BE(0) : 0)) return "macho";
+    if (ascii(0, 2) === "#!") return "script";
+    if (ascii(0, 4) === "PK\x03\x04") return "zip";
+    if (startsWith(0x1f, 0x8b)) return "gzip";
+    if (ascii(0, 4) === "Rar!") return "rar";
+    if (ascii(0, 6) === "7z\xbc\xaf\x27\x1c") return "7z";
+    if (ascii(0, 5) === "%PDF-") return "pdf";
+
+    const text = ascii(0, HEAD_BYTES).replace(/^\xef\xbb\xbf/, "").trimStart().toLowerCase();
+    if (text.startsWith("<svg") || (text.startsWith("<?xml") && text.includes("<svg"))) return "svg";
+    if (text.startsWith("<!doctype html") || text.startsWith("<html") || text.startsWith("<script")) return "html";
+    return null;
+}
+
+async function readHead(localPath) {
+    const handle = await fs.promises.open(localPath, "r");
+    try {
+        const buffer = Buffer.alloc(HEAD_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, HEAD_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Format named by a filename's extension, or null
+function formatForExtension(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    return Object.keys(FORMATS).find((format) => FORMATS[format].extensions.includes(ext)) || null;
+}
+
+// Whether a file named as format `named` may hold content detected as `format`
+const namesFormat = (named, format) =>
+    named === format || INTERCHANGEABLE.some((group) => group.includes(named) && group.includes(format));
+
+// The limit that applies when both the server and the org set one
+const stricter = (serverLimit, orgLimit) =>
+    typeof orgLimit === "number" && orgLimit > 0 && (!serverLimit || orgLimit < serverLimit) ? orgLimit : serverLimit;
+
+// Effective rules for a media folder of the org: { allow, maxBytes, maxDurationSeconds }
+async function rulesFor(orgName, folder) {
+    const server = SERVER_RULES[folder];
+    let orgRules = {};
+    try {
+        const configData = await readOrgConfig(orgName);
+        orgRules = (configData.uploads && configData.uploads.formats && configData.uploads.formats[folder]) || {};
+    } catch (error) {
+        console.warn(`[Formats] No config for ${orgName}, using the server's upload rules`);
+    }
+    return {
+        allow: Array.isArray(orgRules.allow) ? server.allow.filter((format) => orgRules.allow.includes(format)) : server.allow,
+        maxBytes: stricter(server.maxBytes, orgRules.maxBytes),
+        maxDurationSeconds: stricter(server.maxDurationSeconds, orgRules.maxDurationSeconds),
+    };
+}
+
+const KIND_NAMES = { image: "an image", video: "a video" };
+const describe = (format) => `${KIND_NAMES[FORMATS[format].kind]} (${format})`;
+
+// Check what a client says it will send (tus create) before any bytes arrive: the filename's
+// extension against the folder and the declared size against the limit. Content decides later.
+async function checkDeclared(orgName, folder, filename, size) {
+    const rules = await rulesFor(orgName, folder);
+    const format = formatForExtension(filename);
+    if (!format) {
+        throw formatError(415, "UNSUPPORTED_FORMAT", `${filename} is not named as an image or video`, { allowed: rules.allow });
+    }
+    if (FORMATS[format].kind !== FOLDER_KINDS[folder]) {
+        throw formatError(415, "CONTENT_TYPE_MISMATCH", `${filename} is named as ${describe(format)}, but ${folder} only takes ${FOLDER_KINDS[folder]}s`);
+    }
+    if (!rules.allow.includes(format)) {
+        throw formatError(415, "UNSUPPORTED_FORMAT", `${format} files are not accepted in ${folder}`, { allowed: rules.allow });
+    }
+    if (rules.maxBytes && size > rules.maxBytes) {
+        throw formatError(413, "FILE_TOO_LARGE", `${folder} uploads are limited to ${rules.maxBytes} bytes`, { limit: rules.maxBytes });
+    }
+}
+
+// Check moving a stored file to filename in folder: the destination must take the file as an upload
+// would, under a name for the same format. The source's name stands for its content, which was
+// checked against it when it was uploaded.
+async function checkMove(orgName, folder, sourceName, filename) {
+    const format = formatForExtension(sourceName);
+    const named = formatForExtension(filename);
+    if (format && named && !namesFormat(named, format)) {
+        throw formatError(415, "CONTENT_TYPE_MISMATCH", `${filename} is named as ${describe(named)}, but its content is ${describe(format)}`, { detected: format });
+    }
+    await checkDeclared(orgName, folder, filename, 0);
+}
+
+// Inspect a received upload destined for folder under filename. Resolves to the detected type,
+// { format, mimeType, kind, container?, duration? }; throws a coded 413/415/422 error if it is refused.
+async function inspectUpload(orgName, folder, localPath, filename) {
+    const format = detectFormat(await readHead(localPath));
+    if (!format || REFUSED[format]) {
+        const what = format ? REFUSED[format] : "not a recognised image or video format";
+        throw formatError(415, "UNSUPPORTED_FORMAT", `File content is ${what}`, { detected: format });
+    }
+
+    const { kind, mimeType } = FORMATS[format];
+    if (kind !== FOLDER_KINDS[folder]) {
+        throw formatError(415, "CONTENT_TYPE_MISMATCH", `File content is ${describe(format)}, but ${folder} only takes ${FOLDER_KINDS[folder]}s`, { detected: format });
+    }
+    // The name must say what the content is: a PNG named logo.html would be served as HTML
+    const named = formatForExtension(filename);
+    if (!named) {
+        const extensions = FORMATS[format].extensions.join(", ");
+        throw formatError(415, "CONTENT_TYPE_MISMATCH", `File content is ${describe(format)}, but ${filename} is not named as one (${extensions})`, { detected: format });
+    }
+    if (!namesFormat(named, format)) {
+        throw formatError(415, "CONTENT_TYPE_MISMATCH", `${filename} is named as ${describe(named)}, but its content is ${describe(format)}`, { detected: format });
+    }
+
+    const rules = await rulesFor(orgName, folder);
+    if (!rules.allow.includes(format)) {
+        throw formatError(415, "UNSUPPORTED_FORMAT", `${format} files are not accepted in ${folder}`, { detected: format, allowed: rules.allow });
+    }
+    const size = (await fs.promises.stat(localPath)).size;
+    if (rules.maxBytes && size > rules.maxBytes) {
+        throw formatError(413, "FILE_TOO_LARGE", `${folder} uploads are limited to ${rules.maxBytes} bytes`, { detected: format, limit: rules.maxBytes });
+    }
+
+    const detected = { format, mimeType, kind };
+    if (kind === "image") {
+        if (!SHARP_FORMATS[format]) return detected;
+        // Magic bytes only say what a file claims to be; an image must also decode as one
+        let decoded;
+        try {
+            decoded = await decodeImage(localPath);
+        } catch (error) {
+            throw formatError(415, "INVALID_MEDIA", `File looks like ${format} but could not be read as an image`, { detected: format });
+        }
+        if (decoded.format !== SHARP_FORMATS[format]) {
+            throw formatError(415, "INVALID_MEDIA", `File looks like ${format} but decodes as ${decoded.format}`, { detected: format });
+        }
+        return detected;
+    }
+
+    // Magic bytes only say what a file claims to be; a container must also open as a video
+    let probed;
+    try {
+        probed = await probeContainer(localPath);
+    } catch (error) {
+        throw formatError(415, "INVALID_MEDIA", `File looks like ${format} but could not be read as a video`, { detected: format });
+    }
+    if (!probed.hasVideo) {
+        throw formatError(415, "CONTENT_TYPE_MISMATCH", `File is a ${format} container without a video stream`, { detected: format });
+    }
+    if (rules.maxDurationSeconds && probed.duration > rules.maxDurationSeconds) {
+        throw formatError(422, "DURATION_TOO_LONG", `${folder} uploads are limited to ${rules.maxDurationSeconds} seconds`, {
+            detected: format,
+            limit: rules.maxDurationSeconds,
+        });
+    }
+    return { ...detected, container: probed.container, duration: probed.duration };
+}
+
+// Validate an org's "uploads.formats" setting (PATCH /api/orgs/:orgName/config)
+function validateFormatRules(formats) {
+    if (formats === null || typeof formats !== "object" || Array.isArray(formats)) {
+        throw ruleError("uploads.formats must be an object");
+    }
+    for (const [folder, rules] of Object.entries(formats)) {
+        const server = SERVER_RULES[folder];
+        if (!server) throw ruleError(`Unknown uploads.formats folder: ${folder}`);
+        if (rules === null || typeof rules !== "object" || Array.isArray(rules)) {
+            throw ruleError(`uploads.formats.${folder} must be an object`);
+        }
+        for (const [key, value] of Object.entries(rules)) {
+            if (key === "allow") {
+                const unknown = Array.isArray(value) ? value.filter((format) => !server.allow.includes(format)) : [];
+                if (!Array.isArray(value) || unknown.length) {
+                    throw ruleError(`uploads.formats.${folder}.allow must list formats from ${server.allow.join(", ")}`);
+                }
+            } else if (key === "maxBytes" || (key === "maxDurationSeconds" && folder === "videos")) {
+                if (value !== null && !(typeof value === "number" && value > 0)) {
+                    throw ruleError(`uploads.formats.${folder}.${key} must be a positive number`);
+                }
+            } else {
+                throw ruleError(`Unknown uploads.formats.${folder} setting: ${key}`);
+            }
+        }
+    }
+    return formats;
+}
+
+module.exports = { FORMATS, detectFormat, rulesFor, checkDeclared, checkMove, inspectUpload, validateFormatRules };
@@ -0,0 +1,184 @@
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const ffprobePath = require('ffprobe-static').path;
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { storage } = require('./storage');
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+ffmpeg.setFfprobePath(ffprobePath);
+
+// Rendition ladder, lowest first. Renditions taller than the source are skipped.
+const RENDITIONS = [
+    { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+    { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+];
+
+const SEGMENT_SECONDS = 6;
+const MASTER_PLAYLIST = 'master.m3u8';
+
+const HLS_MIME_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.m4s': 'video/iso.segment',
+    '.mp4': 'video/mp4',
+};
+
+// Renditions are stored in a hidden folder next to the original:
+// /organizations/<org>/videos/clip.mp4 -> /organizations/<org>/videos/.hls/clip.mp4/
+function hlsDirFor(remotePath) {
+    return `${path.posix.dirname(remotePath)}/.hls/${path.posix.basename(remotePath)}`;
+}
+
+function probeVideo(inputPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(inputPath, (err, data) => {
+            if (err) return reject(err);
+            const video = data.streams.find((s) => s.codec_type === 'video');
+            if (!video) return reject(new Error('No video stream found'));
+            resolve({
+                width: video.width,
+                height: video.height,
+                hasAudio: data.streams.some((s) => s.codec_type === 'audio'),
+            });
+        });
+    });
+}
+
+// Pick the renditions to produce, never upscaling past the source height
+function selectRenditions(sourceHeight) {
+    const selected = RENDITIONS.filter((r) => r.height <= sourceHeight);
+    if (selected.length === 0) {
+        // Source smaller than the lowest rung: one rendition at the source height (kept even for x264)
+        const base = RENDITIONS[0];
+        return [{ ...base, name: `${sourceHeight}p`, height: sourceHeight - (sourceHeight % 2) }];
+    }
+    return selected;
+}
+
+function encodeRendition(inputPath, outDir, rendition, hasAudio, onProgress) {
+    const renditionDir = path.join(outDir, rendition.name);
+    fs.mkdirSync(renditionDir, { recursive: true });
+
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+            .videoCodec('libx264')
+            .outputOptions([
+                `-vf scale=-2:${rendition.height}`,
+                `-b:v ${rendition.videoBitrate}k`,
+                `-maxrate ${Math.round(rendition.videoBitrate * 1.07)}k`,
+                `-bufsize ${rendition.videoBitrate * 2}k`,
+                '-preset veryfast',
+                '-profile:v main',
+                // Keyframes aligned across renditions so players can switch at segment boundaries
+                `-force_key_frames expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+                '-sc_threshold 0',
+                '-f hls',
+                `-hls_time ${SEGMENT_SECONDS}`,
+                '-hls_playlist_type vod',
+            ])
+            // Passed as two arguments so a temp dir containing spaces survives option splitting
+            .outputOptions('-hls_segment_filename', path.join(renditionDir, 'segment_%03d.ts'));
+
+        if (hasAudio) {
+            command.audioCodec('aac').audioBitrate(`${rendition.audioBitrate}k`);
+        } else {
+            command.noAudio();
+        }
+
+        command
+            .on('progress', (progress) => {
+                if (typeof progress.percent === 'number') onProgress(progress.percent);
+            })
+            .on('end', () => resolve())
+            .on('error', (err) => reject(err))
+            .save(path.join(renditionDir, 'index.m3u8'));
+    });
+}
+
+function buildMasterPlaylist(renditions, sourceWidth, sourceHeight) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const r of renditions) {
+        const width = Math.round((sourceWidth / sourceHeight) * r.height / 2) * 2;
+        const bandwidth = (r.videoBitrate + r.audioBitrate) * 1000;
+        lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${width}x${r.height},NAME="${r.name}"`);
+        lines.push(`${r.name}/index.m3u8`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Upload a local directory tree to storage
+async function uploadDirectory(localDir, remoteDir) {
+    await storage.createDirectory(remoteDir, { recursive: true });
+    for (const entry of fs.readdirSync(localDir, { withFileTypes: true })) {
+        const localPath = path.join(localDir, entry.name);
+        const remotePath = `${remoteDir}/${entry.name}`;
+        if (entry.isDirectory()) {
+            await uploadDirectory(localPath, remotePath);
+        } else {
+            await storage.putFileContents(remotePath, fs.readFileSync(localPath), { overwrite: true });
+        }
+    }
+}
+
+// Encode a (watermarked) local video into HLS renditions in a local work directory.
+// onProgress (optional) receives the overall completion percentage. Returns the work directory,
+// which the caller passes to storeHls and then removes.
+async function encodeHls(inputPath, onProgress) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-'));
+    try {
+        const source = await probeVideo(inputPath);
+        const renditions = selectRenditions(source.height);
+        console.log(`[HLS] Encoding ${inputPath} into ${renditions.map((r) => r.name).join(', ')}`);
+
+        for (const [index, rendition] of renditions.entries()) {
+            await encodeRendition(inputPath, workDir, rendition, source.hasAudio, (percent) => {
+                if (onProgress) onProgress(((index + percent / 100) / renditions.length) * 100);
+            });
+        }
+        fs.writeFileSync(path.join(workDir, MASTER_PLAYLIST), buildMasterPlaylist(renditions, source.width, source.height));
+        return workDir;
+    } catch (error) {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        throw error;
+    }
+}
+
+// Store encoded renditions next to remotePath. Returns the storage path of the master playlist.
+async function storeHls(workDir, remotePath) {
+    const remoteDir = hlsDirFor(remotePath);
+    // Drop renditions from a previous upload with the same name
+    if (await storage.exists(remoteDir)) {
+        await storage.deleteFile(remoteDir);
+    }
+    await uploadDirectory(workDir, remoteDir);
+
+    console.log(`[HLS] Stored renditions at ${remoteDir}`);
+    return `${remoteDir}/${MASTER_PLAYLIST}`;
+}
+
+// Media players resolve playlist entries relative to the playlist URL, which drops the query string.
+// Append the access token to every URI line so segment requests stay authenticated.
+function rewritePlaylist(content, accessToken) {
+    if (!accessToken) return content;
+    const suffix = `access_token=${encodeURIComponent(accessToken)}`;
+    return content
+        .split('\n')
+        .map((line) => {
+            if (!line || line.startsWith('#')) return line;
+            return `${line}${line.includes('?') ? '&' : '?'}${suffix}`;
+        })
+        .join('\n');
+}
+
+module.exports = {
+    HLS_MIME_TYPES,
+    MASTER_PLAYLIST,
+    hlsDirFor,
+    encodeHls,
+    storeHls,
+    probeVideo,
+    rewritePlaylist,
+};
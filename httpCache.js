@@ -0,0 +1,59 @@
+// HTTP validators for files served from storage, so browsers and CDNs can revalidate
+// (If-None-Match / If-Modified-Since -> 304) instead of downloading the file again.
+
+// Logos are public and change rarely; media is per-org, so only the browser may cache it and it
+// revalidates every time (a re-upload replaces a file under the same name).
+const CACHE_CONTROL = {
+    public: "public, max-age=300",
+    private: "private, no-cache",
+};
+
+// Strong ETag from the storage etag when the backend has one, otherwise a weak one from size and mtime
+function entityTag(stat) {
+    if (stat.etag) {
+        const tag = String(stat.etag).replace(/^W\//, "").replace(/"/g, "");
+        if (tag) return `"${tag}"`;
+    }
+    const mtime = Date.parse(stat.lastmod) || 0;
+    return `W/"${Number(stat.size).toString(16)}-${mtime.toString(16)}"`;
+}
+
+// If-None-Match uses weak comparison: W/"x" matches "x"
+function matchesAnyTag(header, etag) {
+    if (header.trim() === "*") return true;
+    const opaque = etag.replace(/^W\//, "");
+    return header.split(",").some((tag) => tag.trim().replace(/^W\//, "") === opaque);
+}
+
+// RFC 7232 evaluation for GET/HEAD: If-None-Match wins when present, otherwise If-Modified-Since
+// (at one-second resolution, like the header). Express's req.fresh is not used because it treats a
+// request "Cache-Control: no-cache" as a miss, and fetch() adds that whenever validators are set by hand.
+function isNotModified(req, etag, lastModified) {
+    if (req.method !== "GET" && req.method !== "HEAD") return false;
+    const ifNoneMatch = req.headers["if-none-match"];
+    if (ifNoneMatch) return matchesAnyTag(ifNoneMatch, etag);
+
+    const since = Date.parse(req.headers["if-modified-since"]);
+    if (Number.isNaN(since) || Number.isNaN(lastModified)) return false;
+    return Math.floor(lastModified / 1000) <= Math.floor(since / 1000);
+}
+
+// Set ETag, Last-Modified and Cache-Control for a stored file, then answer a matching conditional
+// request with 304. Returns true if the response was sent.
+function sendIfNotModified(req, res, stat, cacheControl = CACHE_CONTROL.private) {
+    const etag = entityTag(stat);
+    res.setHeader("ETag", etag);
+    const lastModified = Date.parse(stat.lastmod);
+    if (!Number.isNaN(lastModified)) {
+        res.setHeader("Last-Modified", new Date(lastModified).toUTCString());
+    }
+    res.setHeader("Cache-Control", cacheControl);
+
+    if (isNotModified(req, etag, lastModified)) {
+        res.status(304).end();
+        return true;
+    }
+    return false;
+}
+
+module.exports = { CACHE_CONTROL, entityTag, isNotModified, sendIfNotModified };
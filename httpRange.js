@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+const { pipeline } = require("stream");
+const { storage } = require("./storage");
+
+// RFC 7233 byte ranges for files served from storage
+
+// More ranges than this in one request are ignored and the whole file is sent instead
+const MAX_RANGES = 20;
+
+// Parse a Range header against the file size. Returns:
+//   null                       - no Range header or a unit other than bytes: send the whole file
+//   { unsatisfiable: true }    - invalid specs, or none overlapping the file: answer 416
+//   { ranges: [{ start, end }] } - satisfiable ranges, end inclusive, sorted and merged
+function parseRange(header, size) {
+    if (!header) return null;
+    const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+    if (!match) return null;
+
+    const specs = match[1].split(",").map((spec) => spec.trim()).filter(Boolean);
+    if (specs.length === 0) return { unsatisfiable: true };
+    if (specs.length > MAX_RANGES) return null;
+
+    const ranges = [];
+    for (const spec of specs) {
+        const parts = /^(\d*)-(\d*)$/.exec(spec);
+        if (!parts || (parts[1] === "" && parts[2] === "")) return { unsatisfiable: true };
+
+        let start;
+        let end;
+        if (parts[1] === "") {
+            // Suffix range: the last N bytes
+            const suffix = Number(parts[2]);
+            if (suffix === 0) continue;
+            start = Math.max(0, size - suffix);
+            end = size - 1;
+        } else {
+            start = Number(parts[1]);
+            end = parts[2] === "" ? size - 1 : Number(parts[2]);
+            if (end < start) return { unsatisfiable: true };
+            // A range starting past the end doesn't overlap the file; an end past it is clamped
+            if (start >= size) continue;
+            end = Math.min(end, size - 1);
+        }
+        ranges.push({ start, end });
+    }
+    if (ranges.length === 0) return { unsatisfiable: true };
+
+    // Merge overlapping and adjacent ranges so a client can't make us send the same bytes twice
+    ranges.sort((a, b) => a.start - b.start);
+    const merged = [ranges[0]];
+    for (const range of ranges.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+        else merged.push({ ...range });
+    }
+    return { ranges: merged };
+}
+
+// If-Range: the Range applies only if the file is unchanged. An entity tag must match strongly
+// (weak tags never do); a date must equal Last-Modified exactly.
+function ifRangeMatches(req, etag, lastModified) {
+    const ifRange = req.headers["if-range"];
+    if (!ifRange) return true;
+    const value = ifRange.trim();
+    if (value.startsWith('"') || value.startsWith("W/")) {
+        return !value.startsWith("W/") && !etag.startsWith("W/") && value === etag;
+    }
+    const date = Date.parse(value);
+    return !Number.isNaN(date) && !Number.isNaN(lastModified)
+        && Math.floor(date / 1000) === Math.floor(lastModified / 1000);
+}
+
+// Premature close just means the client went away (seeking, closing the tab)
+function isClientAbort(error) {
+    return error && (error.code === "ERR_STREAM_PREMATURE_CLOSE" || error.code === "ECONNRESET");
+}
+
+// Pipe a storage stream into the response. pipeline() destroys the storage stream, and with it
+// the upstream request, when the client disconnects.
+function pipeToResponse(source, res, remotePath, options = {}) {
+    return new Promise((resolve) => {
+        const onDone = (error) => {
+            if (error && !isClientAbort(error)) {
+                console.error(`[Stream Error] ${remotePath}:`, error.message);
+            }
+            if (error) res.destroy();
+            resolve(!error);
+        };
+        if (options.end === false) {
+            // Multipart parts: keep the response open, but still stop reading if it closes
+            const onClose = () => source.destroy();
+            res.once("close", onClose);
+            source.on("error", (error) => {
+                res.off("close", onClose);
+                onDone(error);
+            });
+            source.on("end", () => {
+                res.off("close", onClose);
+                onDone();
+            });
+            source.pipe(res, { end: false });
+        } else {
+            pipeline(source, res, onDone);
+        }
+    });
+}
+
+// 416 with the current length, so the client can retry with a valid range
+function sendUnsatisfiable(res, size) {
+    res.setHeader("Content-Range", `bytes */${size}`);
+    res.removeHeader("Content-Length");
+    res.status(416).end();
+}
+
+function sendSingleRange(req, res, remotePath, range, size, contentType) {
+    res.writeHead(206, {
+        "Content-Range": `bytes ${range.start}-${range.end}/${size}`,
+        "Content-Length": range.end - range.start + 1,
+        "Content-Type": contentType,
+    });
+    if (req.method === "HEAD") return res.end();
+    return pipeToResponse(storage.createReadStream(remotePath, { range }), res, remotePath);
+}
+
+// multipart/byteranges: one part per range, each with its own Content-Type and Content-Range
+async function sendMultipartRanges(req, res, remotePath, ranges, size, contentType) {
+    const boundary = crypto.randomBytes(16).toString("hex");
+    const partHeaders = ranges.map((range, index) => Buffer.from(
+        `${index === 0 ? "" : "\r\n"}--${boundary}\r\n`
+        + `Content-Type: ${contentType}\r\n`
+        + `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+    ));
+    const closing = Buffer.from(`\r\n--${boundary}--\r\n`);
+    const length = partHeaders.reduce((sum, header) => sum + header.length, 0)
+        + ranges.reduce((sum, range) => sum + range.end - range.start + 1, 0)
+        + closing.length;
+
+    res.writeHead(206, {
+        "Content-Type": `multipart/byteranges; boundary=${boundary}`,
+        "Content-Length": length,
+    });
+    if (req.method === "HEAD") return res.end();
+
+    for (const [index, range] of ranges.entries()) {
+        if (res.destroyed) return;
+        res.write(partHeaders[index]);
+        const ok = await pipeToResponse(storage.createReadStream(remotePath, { range }), res, remotePath, { end: false });
+        if (!ok) return;
+    }
+    res.end(closing);
+}
+
+// Send a stored file, honouring Range and If-Range. ETag/Last-Modified must already be set on res.
+function sendFileBody(req, res, remotePath, stat, contentType) {
+    const size = Number(stat.size);
+    res.setHeader("Accept-Ranges", "bytes");
+
+    const lastModified = Date.parse(stat.lastmod);
+    const parsed = ifRangeMatches(req, res.getHeader("ETag") || "", lastModified)
+        ? parseRange(req.headers.range, size)
+        : null;
+
+    if (parsed && parsed.unsatisfiable) return sendUnsatisfiable(res, size);
+    if (parsed && parsed.ranges.length === 1) {
+        return sendSingleRange(req, res, remotePath, parsed.ranges[0], size, contentType);
+    }
+    if (parsed) return sendMultipartRanges(req, res, remotePath, parsed.ranges, size, contentType);
+
+    res.writeHead(200, {
+        "Content-Length": size,
+        "Content-Type": contentType,
+    });
+    if (req.method === "HEAD") return res.end();
+    return pipeToResponse(storage.createReadStream(remotePath), res, remotePath);
+}
+
+module.exports = { parseRange, ifRangeMatches, sendFileBody };
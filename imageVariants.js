@@ -0,0 +1,203 @@
+const sharp = require("sharp");
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { storage } = require("./storage");
+const { DATA_DIR } = require("./jobs");
+
+// Resized / re-encoded images, cached on local disk so repeated requests are served without
+// touching storage. Variants live in CACHE_DIR/<org>/<hash of path>/<hash of options>.<ext>, so
+// dropping a file's (or org's) folder invalidates every variant at once, from any cluster worker.
+// File mtimes record the last use; the oldest variants are evicted once the cache outgrows its limit.
+
+const CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(DATA_DIR, "image-cache");
+const MAX_CACHE_BYTES = (parseInt(process.env.IMAGE_CACHE_MAX_MB, 10) || 512) * 1024 * 1024;
+// Eviction frees space down to this share of the limit, so it doesn't run on every new variant
+const EVICT_TARGET = 0.9;
+
+const MAX_DIMENSION = 4096;
+const DEFAULT_QUALITY = 80;
+const FITS = ["cover", "contain", "fill", "inside", "outside"];
+const FORMATS = {
+    avif: "image/avif",
+    webp: "image/webp",
+    jpeg: "image/jpeg",
+    png: "image/png",
+};
+const EXTENSIONS = { avif: "avif", webp: "webp", jpeg: "jpg", png: "png" };
+
+const inFlight = new Map();
+let cacheBytes = null; // Lazily measured, then tracked as variants are added and evicted
+
+function optionsError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function parseDimension(value, label) {
+    if (value === undefined || value === "") return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_DIMENSION) {
+        throw optionsError(`${label} must be a whole number of pixels between 1 and ${MAX_DIMENSION}`);
+    }
+    return number;
+}
+
+// Pick an output format from the Accept header: AVIF, then WebP, else PNG for images that may be
+// transparent and JPEG for everything else
+function negotiateFormat(accept, filename) {
+    const accepted = (accept || "").toLowerCase();
+    if (accepted.includes("image/avif")) return "avif";
+    if (accepted.includes("image/webp")) return "webp";
+    return [".png", ".gif", ".webp", ".avif", ".svg"].includes(path.extname(filename).toLowerCase()) ? "png" : "jpeg";
+}
+
+// Validate query options: { w, h, fit, q, format }. Without format, the Accept header decides
+// (options.negotiated tells the route to send Vary: Accept).
+function parseVariantOptions(query, accept, filename) {
+    const width = parseDimension(query.w, "w");
+    const height = parseDimension(query.h, "h");
+    const fit = query.fit || "inside";
+    if (!FITS.includes(fit)) throw optionsError(`fit must be one of ${FITS.join(", ")}`);
+
+    let quality = DEFAULT_QUALITY;
+    if (query.q !== undefined && query.q !== "") {
+        quality = Number(query.q);
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+            throw optionsError("q must be a whole number between 1 and 100");
+        }
+    }
+
+    let format = query.format ? String(query.format).toLowerCase() : null;
+    if (format === "jpg") format = "jpeg";
+    if (format && !FORMATS[format]) throw optionsError(`format must be one of ${Object.keys(FORMATS).join(", ")}`);
+
+    return {
+        width,
+        height,
+        fit,
+        quality,
+        format: format || negotiateFormat(accept, filename),
+        negotiated: !format,
+    };
+}
+
+function hash(value) {
+    return crypto.createHash("sha256").update(value).digest("hex").slice(0, 32);
+}
+
+function fileCacheDir(remotePath) {
+    const org = remotePath.split("/")[2];
+    return path.join(CACHE_DIR, org, hash(remotePath));
+}
+
+function variantFile(remotePath, options) {
+    const key = hash(JSON.stringify([options.width, options.height, options.fit, options.quality, options.format]));
+    return path.join(fileCacheDir(remotePath), `${key}.${EXTENSIONS[options.format]}`);
+}
+
+function listCacheFiles(dir = CACHE_DIR) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+        return [];
+    }
+    const files = [];
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listCacheFiles(full));
+        } else if (!entry.name.endsWith(".tmp")) {
+            try {
+                const stat = fs.statSync(full);
+                files.push({ path: full, size: stat.size, mtimeMs: stat.mtimeMs });
+            } catch (e) {}
+        }
+    }
+    return files;
+}
+
+// Remove the least recently used variants until the cache is back under its target size
+function evict() {
+    const files = listCacheFiles().sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    const target = MAX_CACHE_BYTES * EVICT_TARGET;
+    let removed = 0;
+    for (const file of files) {
+        if (total <= target) break;
+        try {
+            fs.unlinkSync(file.path);
+            total -= file.size;
+            removed += 1;
+        } catch (e) {}
+    }
+    cacheBytes = total;
+    if (removed > 0) console.log(`[Images] Evicted ${removed} cached variants`);
+}
+
+function recordAdded(size) {
+    if (cacheBytes === null) cacheBytes = listCacheFiles().reduce((sum, file) => sum + file.size, 0);
+    else cacheBytes += size;
+    if (cacheBytes > MAX_CACHE_BYTES) evict();
+}
+
+async function renderVariant(remotePath, options, file) {
+    const source = await storage.getFileContents(remotePath, { format: "binary" });
+    let pipeline = sharp(source).rotate(); // honour EXIF orientation
+    if (options.width || options.height) {
+        pipeline = pipeline.resize({
+            width: options.width || undefined,
+            height: options.height || undefined,
+            fit: options.fit,
+            withoutEnlargement: true,
+        });
+    }
+    if (options.format === "jpeg") pipeline = pipeline.flatten({ background: "#ffffff" });
+    const output = await pipeline.toFormat(options.format, { quality: options.quality }).toBuffer();
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write then rename so concurrent readers never see a partial file
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, output);
+    fs.renameSync(tmp, file);
+    recordAdded(output.length);
+}
+
+// Path of the cached variant on local disk, rendering it from storage on a miss.
+// Resolves to { file, contentType, cached }.
+async function getVariant(remotePath, options) {
+    const file = variantFile(remotePath, options);
+    const contentType = FORMATS[options.format];
+
+    if (fs.existsSync(file)) {
+        // Mark as recently used for eviction
+        const now = new Date();
+        fs.utimes(file, now, now, () => {});
+        return { file, contentType, cached: true };
+    }
+
+    if (!inFlight.has(file)) {
+        inFlight.set(file, renderVariant(remotePath, options, file).finally(() => inFlight.delete(file)));
+    }
+    await inFlight.get(file);
+    return { file, contentType, cached: false };
+}
+
+// Drop every cached variant of a file, after it was replaced, moved or deleted
+function invalidateVariants(remotePath) {
+    fs.rmSync(fileCacheDir(remotePath), { recursive: true, force: true });
+}
+
+// Drop every cached variant of an org, e.g. after the org was renamed
+function invalidateOrgVariants(orgName) {
+    fs.rmSync(path.join(CACHE_DIR, orgName), { recursive: true, force: true });
+}
+
+module.exports = {
+    parseVariantOptions,
+    getVariant,
+    invalidateVariants,
+    invalidateOrgVariants,
+};
@@ -1,690 +1,2296 @@
-const express = require("express");
-const cors = require("cors");
-const multer = require("multer");
-const { owncloud } = require("./storage/owncloud");
-const { processImage, processVideo } = require("./watermark");
-const dotenv = require("dotenv");
-const path = require("path");
-const fs = require("fs");
-const os = require("os");
-
-dotenv.config();
-
-const app = express();
-
-// Use disk storage for better large file handling on memory-constrained servers (like Render)
-// Files are stored in the system's temp directory
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, os.tmpdir());
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({ 
-    storage: storage,
-    limits: {
-        fileSize: 10 * 1024 * 1024 * 1024, // Limit to 10GB
-    }
-});
-
-// Increase server timeout for large uploads
-app.use((req, res, next) => {
-    // Set timeout to 1 hour for large files
-    req.setTimeout(3600000);
-    res.setTimeout(3600000);
-    next();
-});
-
-const defaultAllowedOrigins = [
-  "https://staging-sigtrackweb.sigtrackapp.com",
-  "https://prod-sigtrackweb.sigtrackapp.com",
-  "http://localhost:3000",
-  "http://localhost:5173",
-   "http://localhost:5174",
-    "http://localhost:5175",
-];
-
-const allowedOrigins = process.env.CORS_ALLOWED_ORIGINS
-  ? process.env.CORS_ALLOWED_ORIGINS.split(",").map((origin) => origin.trim()).filter(Boolean)
-  : defaultAllowedOrigins;
-
-const corsOptions = {
-  origin: (origin, callback) => {
-    if (!origin || allowedOrigins.includes(origin)) {
-      callback(null, true);
-      return;
-    }
-    callback(new Error("CORS origin not allowed"));
-  },
-  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "Range", "If-None-Match", "If-Modified-Since"],
-  exposedHeaders: ["Content-Length", "Content-Range", "Accept-Ranges", "ETag"],
-  optionsSuccessStatus: 204,
-};
-
-app.use(cors(corsOptions));
-app.options("*", cors(corsOptions));
-
-
-// Health check
-app.get("/api/health", async (req, res) => {
-  try {
-    const canList = await owncloud.exists("/organizations");
-    const canAdmin = await owncloud.exists("/admin");
-    res.json({
-      status: "ok",
-      owncloud: {
-        organizationsFolderExists: !!canList,
-        adminFolderExists: !!canAdmin,
-      },
-    });
-  } catch (error) {
-    console.error("Health check error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "OwnCloud connectivity failed",
-      details: error.message,
-    });
-  }
-});
-
-
-
-
-// List Organizations (folders in /organizations)
-app.get("/api/orgs", async (req, res) => {
-  try {
-    const items = await owncloud.getDirectoryContents("/organizations");
-    // Filter only directories
-    const orgs = items
-      .filter((item) => item.type === "directory")
-      .map((item) => ({
-        name: item.basename,
-        lastModified: item.lastmod,
-        size: item.size,
-        logo: `/api/orgs/${item.basename}/logo` // Dedicated logo endpoint handles extensions
-      }));
-    res.json(orgs);
-  } catch (error) {
-    console.error("List orgs error:", error);
-    // If folder doesn't exist, maybe return empty
-    if (error.response && error.response.status === 404) {
-        return res.json([]);
-    }
-    res.status(500).json({ error: "Failed to list organizations", details: error.message });
-  }
-});
-
-// Get Org Logo
-app.get("/api/orgs/:orgName/logo", async (req, res) => {
-    const { orgName } = req.params;
-    // Check for logo with various extensions
-    const extensions = ['.png', '.jpg', '.jpeg', '.svg', '.jfif', '.webp', '.gif'];
-    
-    console.log(`[Logo] Fetching logo for ${orgName}`);
-
-    try {
-        for (const ext of extensions) {
-            const path = `/organizations/${orgName}/logo${ext}`;
-            if (await owncloud.exists(path)) {
-                 console.log(`[Logo] Found at ${path}`);
-                 const stream = owncloud.createReadStream(path);
-                 // Set correct content type based on ext
-                 const mimeType = ext === '.svg' ? 'image/svg+xml' : `image/${ext.replace('.', '')}`;
-                 res.setHeader('Content-Type', mimeType);
-                 stream.pipe(res);
-                 return;
-            }
-        }
-        console.log(`[Logo] Not found for ${orgName}`);
-        res.status(404).send("Logo not found");
-    } catch (error) {
-        console.error("Get logo error:", error);
-        res.status(500).send("Failed to get logo");
-    }
-});
-
-// Get Org Details (check existence and size)
-app.get("/api/orgs/:orgName", async (req, res) => {
-    const { orgName } = req.params;
-    try {
-        const stat = await owncloud.stat(`/organizations/${orgName}`);
-        res.json({ 
-            exists: true, 
-            name: stat.basename,
-            size: stat.size 
-        });
-    } catch (error) {
-        if (error.response && error.response.status === 404) {
-            return res.status(404).json({ exists: false });
-        }
-        res.status(500).json({ error: "Error checking org", details: error.message });
-    }
-});
-
-// Get Org Config (JSON file with credentials and metadata)
-app.get("/api/orgs/:orgName/config", async (req, res) => {
-    const { orgName } = req.params;
-    try {
-        const configPath = `/organizations/${orgName}/config.json`;
-        const configContent = await owncloud.getFileContents(configPath);
-        const configData = JSON.parse(configContent.toString());
-        
-        console.log(`[OrgConfig] Retrieved config for ${orgName}`);
-        res.json(configData);
-    } catch (error) {
-        console.error(`[OrgConfig] Error retrieving config for ${orgName}:`, error);
-        if (error.response && error.response.status === 404) {
-            return res.status(404).json({ error: "Organization config not found" });
-        }
-        res.status(500).json({ error: "Failed to retrieve organization config", details: error.message });
-    }
-});
-
-// Create Organization
-app.post("/api/orgs/create", upload.single("logo"), async (req, res) => {
-  const { orgName, password, levels, createdAt } = req.body;
-  const logoFile = req.file;
-
-  if (!orgName) {
-    return res.status(400).json({ error: "Organization name is required" });
-  }
-
-  if (!password) {
-    return res.status(400).json({ error: "Organization password is required" });
-  }
-
-  try {
-    // Check if organization already exists
-    const orgExists = await owncloud.exists(`/organizations/${orgName}`);
-    if (!orgExists) {
-        // Create main org folder
-        await owncloud.createDirectory(`/organizations/${orgName}`);
-        // Create subfolders
-        await owncloud.createDirectory(`/organizations/${orgName}/videos`);
-        await owncloud.createDirectory(`/organizations/${orgName}/images`);
-    }
-
-    // Create config.json with organization metadata
-    const configData = {
-      orgId: orgName,
-      password: password,
-      levels: levels ? JSON.parse(levels) : [],
-      createdAt: createdAt || new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      version: "1.1" // Bump version
-    };
-
-    const configPath = `/organizations/${orgName}/config.json`;
-    await owncloud.putFileContents(configPath, JSON.stringify(configData, null, 2), { overwrite: true });
-    console.log(`[OrgCreate] Created/Updated config.json for ${orgName}`);
-
-    // Upload logo if provided
-    if (logoFile) {
-        const logoPath = `/organizations/${orgName}/logo${path.extname(logoFile.originalname)}`;
-        const buffer = fs.readFileSync(logoFile.path);
-        await owncloud.putFileContents(logoPath, buffer, { overwrite: true });
-        // Clean up temp file
-        fs.unlinkSync(logoFile.path);
-    }
-
-    res.json({ success: true, message: `Organization ${orgName} created with config` });
-  } catch (error) {
-    console.error("Create org error:", error);
-    // Cleanup temp file if error
-    if (logoFile && fs.existsSync(logoFile.path)) fs.unlinkSync(logoFile.path);
-    
-    // 405 means it might already exist
-    if (error.response && error.response.status === 405) {
-        return res.json({ success: true, message: `Organization ${orgName} already exists` });
-    }
-    res.status(500).json({ error: "Failed to create organization" });
-  }
-});
-
-// Admin Logo Upload
-app.post("/api/admin/logo", upload.single("logo"), async (req, res) => {
-    const logoFile = req.file;
-    if (!logoFile) {
-        return res.status(400).json({ error: "No logo file provided" });
-    }
-
-    try {
-        // Ensure admin folder exists
-        if (!(await owncloud.exists("/admin"))) {
-            await owncloud.createDirectory("/admin");
-        }
-
-        // Delete existing logos first
-        const extensions = ['.png', '.jpg', '.jpeg', '.svg', '.jfif', '.webp', '.gif'];
-        for (const ext of extensions) {
-            const oldPath = `/admin/logo${ext}`;
-            if (await owncloud.exists(oldPath)) {
-                await owncloud.deleteFile(oldPath);
-            }
-        }
-
-        // Upload new logo
-        const logoPath = `/admin/logo${path.extname(logoFile.originalname)}`;
-        const buffer = fs.readFileSync(logoFile.path);
-        await owncloud.putFileContents(logoPath, buffer, { overwrite: true });
-        
-        // Clean up temp file
-        fs.unlinkSync(logoFile.path);
-
-        res.json({ success: true, message: "Admin logo updated" });
-    } catch (error) {
-        console.error("Admin logo upload error:", error);
-        if (logoFile && fs.existsSync(logoFile.path)) fs.unlinkSync(logoFile.path);
-        res.status(500).json({ error: "Failed to upload admin logo" });
-    }
-});
-
-// Get Admin Logo
-app.get("/api/admin/logo", async (req, res) => {
-    const extensions = ['.png', '.jpg', '.jpeg', '.svg', '.jfif', '.webp', '.gif'];
-    
-    try {
-        if (!(await owncloud.exists("/admin"))) {
-             // If admin folder doesn't exist, return 404 immediately
-             return res.status(404).send("Admin logo not found");
-        }
-
-        for (const ext of extensions) {
-            const path = `/admin/logo${ext}`;
-            if (await owncloud.exists(path)) {
-                 const stream = owncloud.createReadStream(path);
-                 const mimeType = ext === '.svg' ? 'image/svg+xml' : `image/${ext.replace('.', '')}`;
-                 res.setHeader('Content-Type', mimeType);
-                 stream.pipe(res);
-                 return;
-            }
-        }
-        res.status(404).send("Admin logo not found");
-    } catch (error) {
-        console.error("Get admin logo error:", error);
-        res.status(500).send("Failed to get admin logo");
-    }
-});
-
-// Update Organization
-app.post("/api/orgs/:orgName/update", upload.single("logo"), async (req, res) => {
-    const { orgName } = req.params;
-    const { newName } = req.body;
-    const logoFile = req.file;
-
-    try {
-        let targetOrgName = orgName;
-
-        // Handle renaming if newName is provided and different
-        if (newName && newName !== orgName) {
-            // Check if new name exists
-            if (await owncloud.exists(`/organizations/${newName}`)) {
-                return res.status(400).json({ error: "Organization name already taken" });
-            }
-            // Move directory
-            await owncloud.move(`/organizations/${orgName}`, `/organizations/${newName}`);
-            targetOrgName = newName;
-        }
-        
-        // Upload logo if provided
-        if (logoFile) {
-            // Delete existing logos first to avoid confusion (e.g. replacing png with jpg)
-            const extensions = ['.png', '.jpg', '.jpeg', '.svg', '.jfif', '.webp', '.gif'];
-            for (const ext of extensions) {
-                const oldPath = `/organizations/${targetOrgName}/logo${ext}`;
-                if (await owncloud.exists(oldPath)) {
-                    await owncloud.deleteFile(oldPath);
-                }
-            }
-            
-            const logoPath = `/organizations/${targetOrgName}/logo${path.extname(logoFile.originalname)}`;
-            const buffer = fs.readFileSync(logoFile.path);
-            await owncloud.putFileContents(logoPath, buffer, { overwrite: true });
-            fs.unlinkSync(logoFile.path);
-        }
-
-        res.json({ success: true, message: "Organization updated", newName: targetOrgName });
-    } catch (error) {
-        console.error("Update org error:", error);
-        if (logoFile && fs.existsSync(logoFile.path)) fs.unlinkSync(logoFile.path);
-        res.status(500).json({ error: "Failed to update organization" });
-    }
-});
-
-// Upload File
-app.post("/api/upload", upload.single("file"), async (req, res) => {
-  const { orgName, folder } = req.body; // videos or images
-  const file = req.file;
-
-  if (!file || !orgName || !folder) {
-    return res.status(400).json({ error: "Missing file, orgName, or folder" });
-  }
-
-  const mimeType = file.mimetype;
-  let uploadPath = file.path;
-  let isTempFile = true; // Track if we need to delete uploadPath later
-
-  // Watermark Processing
-  try {
-      if (mimeType.startsWith('image/')) {
-          // Images are small, read to buffer
-          let buffer = fs.readFileSync(file.path);
-          buffer = await processImage(buffer, orgName);
-          // Overwrite the temp file with processed buffer
-          fs.writeFileSync(file.path, buffer);
-          uploadPath = file.path;
-      } else if (mimeType.startsWith('video/')) {
-          // Videos use path-based processing
-          // processVideo now takes path and returns output path
-          const processedPath = await processVideo(file.path, orgName);
-          
-          // If processed path is different (success), we use it.
-          // If it failed, it returns original path.
-          if (processedPath !== file.path) {
-              // Delete original temp file as we have a new output file
-              fs.unlinkSync(file.path);
-              uploadPath = processedPath;
-          }
-      }
-  } catch (err) {
-      console.error("Watermark processing failed, uploading original.", err);
-  }
-
-  const remotePath = `/organizations/${orgName}/${folder}/${file.originalname}`;
-
-  try {
-    // Use stream for upload to handle large files efficiently
-    const readStream = fs.createReadStream(uploadPath);
-    const writeStream = owncloud.createWriteStream(remotePath);
-    
-    // Pipe data
-    readStream.pipe(writeStream);
-
-    // Wait for finish
-    await new Promise((resolve, reject) => {
-        writeStream.on('finish', resolve);
-        writeStream.on('error', reject);
-        readStream.on('error', reject);
-    });
-
-    res.json({ success: true, path: remotePath });
-  } catch (error) {
-    console.error("Upload error:", error);
-    res.status(500).json({ error: "Upload failed" });
-  } finally {
-      // Clean up temp file(s)
-      if (fs.existsSync(uploadPath)) {
-          fs.unlinkSync(uploadPath);
-      }
-  }
-});
-
-// Get/Stream File
-app.get("/api/file/:org/:folder/:filename", async (req, res) => {
-    const { org, folder, filename } = req.params;
-    let path;
-    
-    // Handle logo special case where folder might be part of filename or omitted in frontend logic, 
-    // but here we expect :folder to be part of path. 
-    // Wait, the route is /api/file/:org/:folder/:filename
-    // If we want logo at root of org, we might need a different route or use a "root" folder param.
-    // Let's handle "root" as a magic folder name for org root.
-    if (folder === "root") {
-         path = `/organizations/${org}/${filename}`;
-    } else {
-         path = `/organizations/${org}/${folder}/${filename}`;
-    }
-
-    try {
-        // Try exact match first
-        let exists = await owncloud.exists(path);
-        
-        // If not found and it's a logo request, try other extensions
-        if (!exists && filename.startsWith('logo')) {
-            const extensions = ['.png', '.jpg', '.jpeg', '.svg'];
-            for (const ext of extensions) {
-                const tryPath = `/organizations/${org}/${folder === "root" ? "" : folder + "/"}logo${ext}`;
-                if (await owncloud.exists(tryPath)) {
-                    path = tryPath;
-                    exists = true;
-                    break;
-                }
-            }
-        }
-
-        if (!exists) {
-            return res.status(404).send("File not found");
-        }
-
-        // Get file stream
-        const stream = owncloud.createReadStream(path);
-        stream.pipe(res);
-    } catch (error) {
-        console.error("Get file error:", error);
-        res.status(500).send("Failed to get file");
-    }
-});
-
-// Stream file by path
-app.get("/api/files/stream", async (req, res) => {
-    const { path } = req.query;
-    if (!path) {
-        return res.status(400).send("Missing path");
-    }
-    
-    // console.log(`[Stream] Requesting path: ${path}`);
-
-    try {
-        // Get stats first to handle ranges and content-length correctly
-        const stat = await owncloud.stat(path);
-        
-        const fileSize = stat.size;
-        const range = req.headers.range;
-
-        // Simple mime type detection
-        const ext = path.split('.').pop().toLowerCase();
-        const mimeTypes = {
-            'png': 'image/png',
-            'jpg': 'image/jpeg',
-            'jpeg': 'image/jpeg',
-            'gif': 'image/gif',
-            'mp4': 'video/mp4',
-            'mov': 'video/quicktime',
-            'webm': 'video/webm',
-            'svg': 'image/svg+xml'
-        };
-        const mimeType = mimeTypes[ext] || 'application/octet-stream';
-
-        // Handle Range Requests (Critical for video seeking and performance)
-        if (range) {
-            const parts = range.replace(/bytes=/, "").split("-");
-            const start = parseInt(parts[0], 10);
-            const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-            const chunksize = (end - start) + 1;
-
-            res.writeHead(206, {
-                'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                'Accept-Ranges': 'bytes',
-                'Content-Length': chunksize,
-                'Content-Type': mimeType,
-            });
-
-            // Pass Range header to upstream WebDAV server
-            const stream = owncloud.createReadStream(path, {
-                headers: { 'Range': `bytes=${start}-${end}` }
-            });
-
-            stream.on('error', (err) => {
-                console.error(`[Stream Error] ${path}:`, err.message);
-                if (!res.headersSent) res.end();
-            });
-
-            stream.pipe(res);
-        } else {
-            res.writeHead(200, {
-                'Content-Length': fileSize,
-                'Content-Type': mimeType,
-                'Accept-Ranges': 'bytes',
-            });
-
-            const stream = owncloud.createReadStream(path);
-            
-            stream.on('error', (err) => {
-                console.error(`[Stream Error] ${path}:`, err.message);
-                if (!res.headersSent) res.end();
-            });
-
-            stream.pipe(res);
-        }
-    } catch (error) {
-        if (error.status === 404 || (error.response && error.response.status === 404)) {
-            return res.status(404).send("File not found");
-        }
-        console.error("Stream file error:", error.message);
-        if (!res.headersSent) {
-            res.status(500).send("Failed to stream file");
-        }
-    }
-});
-
-// Delete file
-app.delete("/api/files/delete", express.json(), async (req, res) => {
-    const { path: filePath } = req.body;
-    if (!filePath) return res.status(400).json({ error: "File path is required" });
-
-    try {
-        await owncloud.deleteFile(filePath);
-        // Also try to delete metadata if exists
-        const metaPath = `${filePath}.meta.json`;
-        if (await owncloud.exists(metaPath)) {
-            await owncloud.deleteFile(metaPath);
-        }
-        res.json({ success: true });
-    } catch (error) {
-        console.error("Delete file error:", error);
-        res.status(500).json({ error: "Failed to delete file" });
-    }
-});
-
-// Update file metadata
-app.post("/api/files/metadata", express.json(), async (req, res) => {
-    const { path: filePath, metadata } = req.body;
-    if (!filePath || !metadata) return res.status(400).json({ error: "File path and metadata are required" });
-
-    try {
-        const metaPath = `${filePath}.meta.json`;
-        await owncloud.putFileContents(metaPath, JSON.stringify(metadata, null, 2), { overwrite: true });
-        res.json({ success: true, message: "Metadata updated" });
-    } catch (error) {
-        console.error("Update metadata error:", error);
-        res.status(500).json({ error: "Failed to update metadata" });
-    }
-});
-
-// Get file metadata
-app.get("/api/files/metadata", async (req, res) => {
-    const { path: filePath } = req.query;
-    if (!filePath) return res.status(400).json({ error: "File path is required" });
-
-    try {
-        const metaPath = `${filePath}.meta.json`;
-        if (await owncloud.exists(metaPath)) {
-            const content = await owncloud.getFileContents(metaPath);
-            return res.json(JSON.parse(content.toString()));
-        }
-        res.status(404).json({ error: "Metadata not found" });
-    } catch (error) {
-        console.error("Get metadata error:", error);
-        res.status(500).json({ error: "Failed to get metadata" });
-    }
-});
-
-// List files with metadata support
-app.get("/api/list/:org/:folder", async (req, res) => {
-  const { org, folder } = req.params;
-  const directory = `/organizations/${org}/${folder}/`;
-
-  try {
-    const items = await owncloud.getDirectoryContents(directory);
-    
-    // Filter out .meta.json files from the main list, but we'll use them to enrich the main files
-    const mainFiles = items.filter(item => item.type === 'file' && !item.basename.endsWith('.meta.json'));
-    const metaFiles = items.filter(item => item.type === 'file' && item.basename.endsWith('.meta.json'));
-
-    const enrichedFiles = await Promise.all(mainFiles.map(async (file) => {
-        const metaFile = metaFiles.find(m => m.basename === `${file.basename}.meta.json`);
-        let metadata = null;
-        
-        if (metaFile) {
-            try {
-                const metaContent = await owncloud.getFileContents(metaFile.filename);
-                metadata = JSON.parse(metaContent.toString());
-            } catch (e) {
-                console.warn(`Failed to parse metadata for ${file.basename}`, e);
-            }
-        }
-        
-        return {
-            ...file,
-            metadata
-        };
-    }));
-
-    res.json(enrichedFiles);
-  } catch (error) {
-    console.error(`List ${folder} error for ${org}:`, error);
-    if (error.response && error.response.status === 404) {
-        return res.json([]);
-    }
-    res.status(500).json({ error: `Failed to list ${folder}` });
-  }
-});
-
-// Move/Rename File
-app.post("/api/files/move", async (req, res) => {
-    const { source, destination } = req.body;
-    if (!source || !destination) {
-        return res.status(400).json({ error: "Missing source or destination" });
-    }
-
-    try {
-        if (await owncloud.exists(source)) {
-            await owncloud.move(source, destination);
-            res.json({ success: true, message: "File moved" });
-        } else {
-            res.status(404).json({ error: "Source file not found" });
-        }
-    } catch (error) {
-        console.error("Move file error:", error);
-        res.status(500).json({ error: "Failed to move file" });
-    }
-});
-
-const PORT = process.env.PORT || 3000;
-
-// Initialize WebDAV structure
-const initWebDav = async () => {
-  try {
-    const exists = await owncloud.exists("/organizations");
-    if (!exists) {
-      console.log("Creating /organizations folder...");
-      await owncloud.createDirectory("/organizations");
-    }
-  } catch (error) {
-    console.error("Failed to initialize WebDAV:", error);
-  }
-};
-
-if (require.main === module) {
-  app.listen(PORT, async () => {
-    await initWebDav();
-    console.log(`Server running on port ${PORT}`);
-  });
-}
-
-module.exports = app;
+const express = require("express");
+const cors = require("cors");
+const multer = require("multer");
+const { storage } = require("./storage");
+const { hashPassword, verifyPassword, checkOrgPassword, issueToken, optionalAuth, requireAuth, requireOrg, isAdmin, requireAdmin } = require("./auth");
+const { configPath, readOrgConfig, writeOrgConfig, publicConfig } = require("./orgConfig");
+const { MEDIA_FOLDERS, assertOrgName, buildFolderPath, buildMediaPath, relativeMediaPath, requireMediaPaths } = require("./paths");
+const { renderPreview } = require("./watermark");
+const { metaPathFor, readSidecar, splitSidecar, writeClientMetadata, writeLevel } = require("./sidecar");
+const { normalizeLevels, prepareLevels, applyLevelChanges, publicLevels, accessFor, assertCanRead } = require("./levels");
+const { validateWatermarkConfig, resolveWatermarkConfig } = require("./watermarkConfig");
+const { HLS_MIME_TYPES, hlsDirFor, rewritePlaylist } = require("./hls");
+const { getJob, listJobs, publicJob, start: startJobQueue } = require("./jobs");
+const { thumbDirFor, mediaKind, pickWidth, thumbnailUrls, ensureThumbnail } = require("./thumbnails");
+const { queueUpload } = require("./processing");
+const { parseVariantOptions, getVariant, invalidateVariants, invalidateOrgVariants } = require("./imageVariants");
+const { CACHE_CONTROL, sendIfNotModified } = require("./httpCache");
+const { sendFileBody } = require("./httpRange");
+const { mimeTypeFor } = require("./mimeTypes");
+const { applyConfigPatch } = require("./configPatch");
+const trash = require("./trash");
+const audit = require("./audit");
+const { parseChecksum, screenUpload, verifyFile, queueVerify } = require("./integrity");
+const { search, indexMedia, unindexMedia, moveIndexedMedia, dropIndex, renameIndex, queueRebuild } = require("./search");
+const tus = require("./tus");
+const shares = require("./shares");
+const webhooks = require("./webhooks");
+const quotas = require("./quotas");
+const playlists = require("./playlists");
+const { breadcrumbs, listFolder, createFolder, renameFolder } = require("./folders");
+const { multipartFilename, safeFilename, collisionPolicy, resolveCollision } = require("./filenames");
+const { checkDeclared, checkMove, inspectUpload } = require("./formats");
+const { versionsDirFor, versionFilePath, listVersions, readVersion, restoreVersion } = require("./versions");
+const dotenv = require("dotenv");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+dotenv.config();
+
+const app = express();
+
+// Use disk storage for better large file handling on memory-constrained servers (like Render)
+// Files are stored in the system's temp directory
+const uploadStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, os.tmpdir());
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({ 
+    storage: uploadStorage,
+    limits: {
+        fileSize: 10 * 1024 * 1024 * 1024, // Limit to 10GB
+    }
+});
+
+app.use(audit.assignRequestId);
+
+// Increase server timeout for large uploads
+app.use((req, res, next) => {
+    // Set timeout to 1 hour for large files - the transfer itself can still take a while,
+    // even though processing now happens in the job queue
+    req.setTimeout(3600000);
+    res.setTimeout(3600000);
+    next();
+});
+
+const defaultAllowedOrigins = [
+  "https://staging-sigtrackweb.sigtrackapp.com",
+  "https://prod-sigtrackweb.sigtrackapp.com",
+  "http://localhost:3000",
+  "http://localhost:5173",
+   "http://localhost:5174",
+    "http://localhost:5175",
+];
+
+const allowedOrigins = process.env.CORS_ALLOWED_ORIGINS
+  ? process.env.CORS_ALLOWED_ORIGINS.split(",").map((origin) => origin.trim()).filter(Boolean)
+  : defaultAllowedOrigins;
+
+const corsOptions = {
+  origin: (origin, callback) => {
+    if (!origin || allowedOrigins.includes(origin)) {
+      callback(null, true);
+      return;
+    }
+    callback(new Error("CORS origin not allowed"));
+  },
+  methods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: [
+    "Content-Type", "Authorization", "Range", "If-None-Match", "If-Modified-Since",
+    // audit log correlation and attribution
+    "X-Request-Id", "X-User-Name",
+    // password-protected share links, and the view a share link request belongs to
+    "X-Share-Key", "X-Share-View",
+    // tus resumable uploads
+    "Tus-Resumable", "Upload-Length", "Upload-Offset", "Upload-Metadata", "Upload-Checksum",
+  ],
+  exposedHeaders: [
+    "Content-Length", "Content-Range", "Accept-Ranges", "ETag",
+    "Location", "Tus-Resumable", "Tus-Version", "Tus-Extension", "Tus-Max-Size", "Tus-Checksum-Algorithm",
+    "Upload-Offset", "Upload-Length", "Upload-Expires", "X-Job-Id", "X-Request-Id", "X-Duplicate-Of", "X-File-Path", "X-Quota-Warning",
+    "X-Share-View",
+  ],
+  optionsSuccessStatus: 204,
+};
+
+// tus protocol headers. Registered before CORS because the CORS handler answers
+// every OPTIONS request itself, including the tus discovery request.
+app.use("/api/tus", (req, res, next) => {
+  res.setHeader("Tus-Resumable", tus.TUS_VERSION);
+  if (req.method === "OPTIONS") {
+    res.setHeader("Tus-Version", tus.TUS_VERSION);
+    res.setHeader("Tus-Extension", tus.TUS_EXTENSIONS.join(","));
+    res.setHeader("Tus-Max-Size", tus.MAX_SIZE);
+    res.setHeader("Tus-Checksum-Algorithm", tus.CHECKSUM_ALGORITHMS.join(","));
+  } else if (req.headers["tus-resumable"] !== tus.TUS_VERSION) {
+    res.setHeader("Tus-Version", tus.TUS_VERSION);
+    return res.status(412).json({ error: `Unsupported tus version, expected ${tus.TUS_VERSION}` });
+  }
+  next();
+});
+
+app.use(cors(corsOptions));
+app.options("*", cors(corsOptions));
+
+const LOGO_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.svg', '.jfif', '.webp', '.gif'];
+
+// Stat a stored file, or null if it doesn't exist
+const statIfExists = async (remotePath) => {
+  try {
+    return await storage.stat(remotePath);
+  } catch (error) {
+    if (error.response && error.response.status === 404) return null;
+    throw error;
+  }
+};
+
+// First logo<ext> in a folder, as { path, ext, stat }
+const findLogo = async (folderPath, extensions = LOGO_EXTENSIONS) => {
+  for (const ext of extensions) {
+    const logoPath = `${folderPath}/logo${ext}`;
+    const stat = await statIfExists(logoPath);
+    if (stat) return { path: logoPath, ext, stat };
+  }
+  return null;
+};
+
+// Send a stored file with validators: 304 for a matching conditional request, otherwise
+// the file (or the requested byte ranges) streamed from storage, headers only for HEAD
+const sendStoredFile = (req, res, remotePath, stat, contentType, cacheControl) => {
+  if (sendIfNotModified(req, res, stat, cacheControl)) return;
+  return sendFileBody(req, res, remotePath, stat, contentType);
+};
+
+// Media path named by /:org/:folder/:filename route parameters, or null if they don't form one
+// (the route itself reports why)
+const mediaPathFromParams = (req) => {
+  try {
+    return buildMediaPath(req.params.org, req.params.folder, req.params.filename);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Refuse files above the caller's access level. getPath(req) names the file.
+const requireLevel = (getPath) => async (req, res, next) => {
+  const remotePath = getPath(req);
+  if (!remotePath) return next();
+  try {
+    await assertCanRead(req.auth, remotePath);
+    next();
+  } catch (error) {
+    if (error.status === 403) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error(`[Levels] Access check failed for ${remotePath}:`, error.message);
+    res.status(500).json({ error: "Failed to check access level" });
+  }
+};
+
+// Every /api/orgs/:orgName/* route is scoped to the token's org.
+// Login and the logo (shown on the login screen) stay public, as does /api/orgs/:orgName itself.
+const PUBLIC_ORG_ROUTES = ["/login", "/logo"];
+app.use("/api/orgs/:orgName", (req, res, next) => {
+  if (req.path === "/" || PUBLIC_ORG_ROUTES.includes(req.path)) {
+    return next();
+  }
+  requireAuth(req, res, () => requireOrg((r) => r.params.orgName)(req, res, next));
+});
+
+// Health check
+app.get("/api/health", async (req, res) => {
+  try {
+    const canList = await storage.exists("/organizations");
+    const canAdmin = await storage.exists("/admin");
+    res.json({
+      status: "ok",
+      driver: storage.driver,
+      storageCache: storage.cacheStats(),
+      owncloud: {
+        organizationsFolderExists: !!canList,
+        adminFolderExists: !!canAdmin,
+      },
+    });
+  } catch (error) {
+    console.error("Health check error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Storage connectivity failed",
+      details: error.message,
+    });
+  }
+});
+
+
+
+
+// List Organizations (folders in /organizations)
+app.get("/api/orgs", async (req, res) => {
+  try {
+    const items = await storage.getDirectoryContents("/organizations");
+    // Filter only directories
+    const orgs = items
+      .filter((item) => item.type === "directory")
+      .map((item) => ({
+        name: item.basename,
+        lastModified: item.lastmod,
+        size: item.size,
+        logo: `/api/orgs/${item.basename}/logo` // Dedicated logo endpoint handles extensions
+      }));
+    res.json(orgs);
+  } catch (error) {
+    console.error("List orgs error:", error);
+    // If folder doesn't exist, maybe return empty
+    if (error.response && error.response.status === 404) {
+        return res.json([]);
+    }
+    res.status(500).json({ error: "Failed to list organizations", details: error.message });
+  }
+});
+
+// Get Org Logo
+app.get("/api/orgs/:orgName/logo", async (req, res) => {
+    const { orgName } = req.params;
+    
+    console.log(`[Logo] Fetching logo for ${orgName}`);
+
+    try {
+        const logo = await findLogo(`/organizations/${orgName}`);
+        if (!logo) {
+            console.log(`[Logo] Not found for ${orgName}`);
+            return res.status(404).send("Logo not found");
+        }
+        console.log(`[Logo] Found at ${logo.path}`);
+        sendStoredFile(req, res, logo.path, logo.stat, mimeTypeFor(logo.path), CACHE_CONTROL.public);
+    } catch (error) {
+        console.error("Get logo error:", error);
+        res.status(500).send("Failed to get logo");
+    }
+});
+
+// Get Org Details (check existence and size)
+app.get("/api/orgs/:orgName", async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const stat = await storage.stat(`/organizations/${orgName}`);
+        res.json({ 
+            exists: true, 
+            name: stat.basename,
+            size: stat.size 
+        });
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json({ exists: false });
+        }
+        res.status(500).json({ error: "Error checking org", details: error.message });
+    }
+});
+
+// Storage used by the org against its quota, broken down by media folder, versions, renditions and
+// trash. Measured at most once a minute; ?refresh=1 measures again.
+app.get("/api/orgs/:orgName/usage", requireAdmin, async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const usage = await quotas.getUsage(orgName, { refresh: req.query.refresh === "1" });
+        res.json({ org: orgName, ...usage, warning: quotas.usageWarning(usage) });
+    } catch (error) {
+        console.error(`[Quota] Usage error for ${orgName}:`, error);
+        res.status(500).json({ error: "Failed to measure storage usage" });
+    }
+});
+
+// Org Login - exchange a password for a bearer token. The org password gives an admin session;
+// with "level", the password is that level's and the session is a viewer at that level.
+app.post("/api/orgs/:orgName/login", express.json(), async (req, res) => {
+    const { orgName } = req.params;
+    const { password, level } = req.body || {};
+
+    if (!password) {
+        return res.status(400).json({ error: "Password is required" });
+    }
+
+    try {
+        const configData = await readOrgConfig(orgName);
+
+        if (level) {
+            const definition = normalizeLevels(configData.levels).find((l) => l.id === level);
+            if (!definition || !definition.passwordHash || !(await verifyPassword(password, definition.passwordHash))) {
+                console.warn(`[Auth] Failed login for ${orgName} at level ${level}`);
+                return res.status(401).json({ error: "Invalid organization, level or password" });
+            }
+            const { token, expiresAt } = issueToken(orgName, { role: "viewer", level: definition.id });
+            return res.json({ success: true, token, expiresAt, orgName, role: "viewer", level: definition.id });
+        }
+
+        const { valid, needsRehash } = await checkOrgPassword(configData, password);
+
+        if (!valid) {
+            console.warn(`[Auth] Failed login for ${orgName}`);
+            return res.status(401).json({ error: "Invalid organization or password" });
+        }
+
+        // Legacy configs stored the password in plaintext - replace it with a hash
+        if (needsRehash) {
+            configData.passwordHash = await hashPassword(password);
+            delete configData.password;
+            configData.updatedAt = new Date().toISOString();
+            await writeOrgConfig(orgName, configData);
+            console.log(`[Auth] Rehashed plaintext password for ${orgName}`);
+        }
+
+        const { token, expiresAt } = issueToken(orgName);
+        res.json({ success: true, token, expiresAt, orgName, role: "admin" });
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return res.status(401).json({ error: "Invalid organization or password" });
+        }
+        console.error(`[Auth] Login error for ${orgName}:`, error);
+        res.status(500).json({ error: "Login failed" });
+    }
+});
+
+// Get Org Config (JSON file with metadata - secrets are stripped)
+app.get("/api/orgs/:orgName/config", async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const configData = await readOrgConfig(orgName);
+        
+        console.log(`[OrgConfig] Retrieved config for ${orgName}`);
+        res.json(publicConfig(configData));
+    } catch (error) {
+        console.error(`[OrgConfig] Error retrieving config for ${orgName}:`, error);
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json({ error: "Organization config not found" });
+        }
+        res.status(500).json({ error: "Failed to retrieve organization config", details: error.message });
+    }
+});
+
+// Update config.json fields: displayName, description, password, levels, folderLevels, watermark,
+// trash ({ retentionDays }) and uploads ({ duplicates, formats }). Fields left out are kept.
+app.patch("/api/orgs/:orgName/config", requireAdmin, express.json(), async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const configData = await readOrgConfig(orgName);
+        const before = { ...configData };
+        await applyConfigPatch(configData, req.body);
+        await writeOrgConfig(orgName, configData);
+        audit.record(req, {
+            org: orgName,
+            action: "org.config",
+            targets: [configPath(orgName)],
+            ...audit.configChange(before, configData, Object.keys(req.body)),
+        });
+
+        console.log(`[OrgConfig] Patched ${Object.keys(req.body).join(", ")} for ${orgName}`);
+        res.json({ success: true, config: publicConfig(configData) });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json({ error: "Organization config not found" });
+        }
+        console.error(`[OrgConfig] Error patching config for ${orgName}:`, error);
+        res.status(500).json({ error: "Failed to update organization config" });
+    }
+});
+
+// Get watermark settings: the stored section and the effective settings per folder
+app.get("/api/orgs/:orgName/watermark", async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const configData = await readOrgConfig(orgName);
+        const effective = {};
+        for (const folder of MEDIA_FOLDERS) {
+            effective[folder] = resolveWatermarkConfig(configData.watermark, folder);
+        }
+        res.json({ watermark: configData.watermark || {}, effective });
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json({ error: "Organization config not found" });
+        }
+        console.error(`[Watermark] Error reading settings for ${orgName}:`, error);
+        res.status(500).json({ error: "Failed to get watermark settings" });
+    }
+});
+
+// Replace the watermark section of config.json
+app.put("/api/orgs/:orgName/watermark", requireAdmin, express.json(), async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const watermark = validateWatermarkConfig(req.body, MEDIA_FOLDERS);
+        const configData = await readOrgConfig(orgName);
+        const before = { ...configData };
+        configData.watermark = watermark;
+        configData.updatedAt = new Date().toISOString();
+        await writeOrgConfig(orgName, configData);
+        audit.record(req, {
+            org: orgName,
+            action: "org.watermark",
+            targets: [configPath(orgName)],
+            ...audit.configChange(before, configData, ["watermark"]),
+        });
+
+        console.log(`[Watermark] Updated settings for ${orgName}`);
+        res.json({ success: true, watermark });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json({ error: "Organization config not found" });
+        }
+        console.error(`[Watermark] Error updating settings for ${orgName}:`, error);
+        res.status(500).json({ error: "Failed to update watermark settings" });
+    }
+});
+
+// Optional display name sent with an upload, used in text watermarks
+function uploaderName(value) {
+    if (typeof value !== "string") return undefined;
+    return value.replace(/[\x00-\x1f\x7f]/g, "").trim().slice(0, 100) || undefined;
+}
+
+// Render watermark settings onto a sample frame. GET previews the saved settings,
+// POST previews a draft { watermark, folder, width, height } without saving it.
+// uploader fills in {uploader} in caption templates.
+const watermarkPreview = async (req, res) => {
+    const { orgName } = req.params;
+    const options = req.method === "POST" ? req.body || {} : req.query;
+    const clamp = (value) => (value ? Math.min(3840, Math.max(64, parseInt(value, 10) || 0)) : undefined);
+
+    try {
+        if (options.folder && !MEDIA_FOLDERS.includes(options.folder)) {
+            return res.status(400).json({ error: `Folder must be one of ${MEDIA_FOLDERS.join(", ")}` });
+        }
+        if (req.method === "POST" && options.watermark !== undefined) {
+            validateWatermarkConfig(options.watermark, MEDIA_FOLDERS);
+        }
+
+        const png = await renderPreview(orgName, {
+            folder: options.folder,
+            watermark: req.method === "POST" ? options.watermark : undefined,
+            uploader: uploaderName(options.uploader),
+            width: clamp(options.width),
+            height: clamp(options.height),
+        });
+        res.setHeader("Content-Type", "image/png");
+        res.setHeader("Cache-Control", "no-store");
+        res.send(png);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`[Watermark] Preview error for ${orgName}:`, error);
+        res.status(500).json({ error: "Failed to render watermark preview" });
+    }
+};
+app.get("/api/orgs/:orgName/watermark/preview", watermarkPreview);
+app.post("/api/orgs/:orgName/watermark/preview", express.json(), watermarkPreview);
+
+// Get access levels (lowest first) and the per-folder default levels
+app.get("/api/orgs/:orgName/levels", requireAdmin, async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const configData = await readOrgConfig(orgName);
+        res.json({ levels: publicLevels(configData.levels), folderLevels: configData.folderLevels || {} });
+    } catch (error) {
+        console.error(`[Levels] Error reading levels for ${orgName}:`, error);
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json({ error: "Organization config not found" });
+        }
+        res.status(500).json({ error: "Failed to read levels" });
+    }
+});
+
+// Replace level definitions and/or folder defaults. Body: { levels: [{ id, name, password }], folderLevels: { videos: "id" } }.
+// A level keeps its password when none is sent.
+app.put("/api/orgs/:orgName/levels", requireAdmin, express.json(), async (req, res) => {
+    const { orgName } = req.params;
+    const body = req.body || {};
+    if (body.levels === undefined && body.folderLevels === undefined) {
+        return res.status(400).json({ error: "levels or folderLevels is required" });
+    }
+
+    try {
+        const configData = await readOrgConfig(orgName);
+        const before = { ...configData };
+        await applyLevelChanges(configData, body);
+        const { levels, folderLevels } = configData;
+        configData.updatedAt = new Date().toISOString();
+        await writeOrgConfig(orgName, configData);
+        audit.record(req, {
+            org: orgName,
+            action: "org.levels",
+            targets: [configPath(orgName)],
+            ...audit.configChange(before, configData, ["levels", "folderLevels"]),
+        });
+        console.log(`[Levels] Updated levels for ${orgName}`);
+
+        res.json({ success: true, levels: publicLevels(levels), folderLevels });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`[Levels] Error updating levels for ${orgName}:`, error);
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json({ error: "Organization config not found" });
+        }
+        res.status(500).json({ error: "Failed to update levels" });
+    }
+});
+
+// Create Organization
+app.post("/api/orgs/create", optionalAuth, upload.single("logo"), async (req, res) => {
+  const { orgName, password, levels, createdAt } = req.body;
+  const logoFile = req.file;
+
+  if (!orgName) {
+    return res.status(400).json({ error: "Organization name is required" });
+  }
+
+  if (!password) {
+    return res.status(400).json({ error: "Organization password is required" });
+  }
+
+  // The name becomes a storage path segment, so it is checked before anything touches storage
+  try {
+    assertOrgName(orgName);
+  } catch (error) {
+    if (logoFile && fs.existsSync(logoFile.path)) fs.unlinkSync(logoFile.path);
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    // Check if organization already exists
+    const orgExists = await storage.exists(`/organizations/${orgName}`);
+
+    // Re-running create on an existing org overwrites its config, so it needs that org's token
+    if (orgExists && await storage.exists(`/organizations/${orgName}/config.json`)) {
+        if (!req.auth || req.auth.org !== orgName || !isAdmin(req.auth)) {
+            if (logoFile && fs.existsSync(logoFile.path)) fs.unlinkSync(logoFile.path);
+            return res.status(403).json({ error: "Organization already exists" });
+        }
+    }
+
+    let levelDefinitions;
+    try {
+        levelDefinitions = await prepareLevels(levels ? JSON.parse(levels) : []);
+    } catch (error) {
+        if (logoFile && fs.existsSync(logoFile.path)) fs.unlinkSync(logoFile.path);
+        return res.status(400).json({ error: `Invalid levels: ${error.message}` });
+    }
+
+    if (!orgExists) {
+        // Create main org folder
+        await storage.createDirectory(`/organizations/${orgName}`);
+        // Create subfolders
+        await storage.createDirectory(`/organizations/${orgName}/videos`);
+        await storage.createDirectory(`/organizations/${orgName}/images`);
+    }
+
+    // Create config.json with organization metadata
+    const configData = {
+      orgId: orgName,
+      passwordHash: await hashPassword(password),
+      levels: levelDefinitions,
+      createdAt: createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      version: "1.1" // Bump version
+    };
+
+    await writeOrgConfig(orgName, configData);
+    console.log(`[OrgCreate] Created/Updated config.json for ${orgName}`);
+
+    // Upload logo if provided
+    let logoPath;
+    if (logoFile) {
+        logoPath = `/organizations/${orgName}/logo${path.extname(logoFile.originalname)}`;
+        const buffer = fs.readFileSync(logoFile.path);
+        await storage.putFileContents(logoPath, buffer, { overwrite: true });
+        // Clean up temp file
+        fs.unlinkSync(logoFile.path);
+    }
+
+    audit.record(req, {
+        org: orgName,
+        action: "org.create",
+        targets: [configPath(orgName), ...(logoPath ? [logoPath] : [])],
+        after: { levels: publicConfig(configData).levels },
+        details: { recreated: orgExists },
+    });
+    res.json({ success: true, message: `Organization ${orgName} created with config` });
+  } catch (error) {
+    console.error("Create org error:", error);
+    // Cleanup temp file if error
+    if (logoFile && fs.existsSync(logoFile.path)) fs.unlinkSync(logoFile.path);
+    
+    // 405 means it might already exist
+    if (error.response && error.response.status === 405) {
+        return res.json({ success: true, message: `Organization ${orgName} already exists` });
+    }
+    res.status(500).json({ error: "Failed to create organization" });
+  }
+});
+
+// Admin Logo Upload
+app.post("/api/admin/logo", requireAuth, requireAdmin, upload.single("logo"), async (req, res) => {
+    const logoFile = req.file;
+    if (!logoFile) {
+        return res.status(400).json({ error: "No logo file provided" });
+    }
+
+    try {
+        // Ensure admin folder exists
+        if (!(await storage.exists("/admin"))) {
+            await storage.createDirectory("/admin");
+        }
+
+        // Delete existing logos first
+        const extensions = LOGO_EXTENSIONS;
+        for (const ext of extensions) {
+            const oldPath = `/admin/logo${ext}`;
+            if (await storage.exists(oldPath)) {
+                await storage.deleteFile(oldPath);
+            }
+        }
+
+        // Upload new logo
+        const logoPath = `/admin/logo${path.extname(logoFile.originalname)}`;
+        const buffer = fs.readFileSync(logoFile.path);
+        await storage.putFileContents(logoPath, buffer, { overwrite: true });
+        
+        // Clean up temp file
+        fs.unlinkSync(logoFile.path);
+
+        res.json({ success: true, message: "Admin logo updated" });
+    } catch (error) {
+        console.error("Admin logo upload error:", error);
+        if (logoFile && fs.existsSync(logoFile.path)) fs.unlinkSync(logoFile.path);
+        res.status(500).json({ error: "Failed to upload admin logo" });
+    }
+});
+
+// Get Admin Logo
+app.get("/api/admin/logo", async (req, res) => {
+    try {
+        if (!(await storage.exists("/admin"))) {
+             // If admin folder doesn't exist, return 404 immediately
+             return res.status(404).send("Admin logo not found");
+        }
+
+        const logo = await findLogo("/admin");
+        if (!logo) {
+            return res.status(404).send("Admin logo not found");
+        }
+        sendStoredFile(req, res, logo.path, logo.stat, mimeTypeFor(logo.path), CACHE_CONTROL.public);
+    } catch (error) {
+        console.error("Get admin logo error:", error);
+        res.status(500).send("Failed to get admin logo");
+    }
+});
+
+// Who performed a deletion, recorded in the trash entry: the audit actor (role, level, display name)
+// and the request address. The name may also come as "deletedBy" in the body or query.
+const deletedByFor = (req) => ({
+    ...audit.actorFor(req, (req.body && req.body.deletedBy) || req.query.deletedBy),
+    ip: req.ip,
+});
+
+// Delete Organization - moves it to /trash, where it can be restored with its password until the retention period ends
+app.delete("/api/orgs/:orgName", requireAuth, requireOrg((req) => req.params.orgName), requireAdmin, express.json(), async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const entry = await trash.trashOrg(orgName, deletedByFor(req));
+        dropIndex(orgName);
+        invalidateOrgVariants(orgName);
+        audit.record(req, { org: orgName, action: "org.delete", targets: [`/organizations/${orgName}`], details: { trashId: entry.id } });
+        console.log(`[Trash] Organization ${orgName} moved to trash (${entry.id})`);
+        res.json({ success: true, trashId: entry.id });
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json({ error: "Organization not found" });
+        }
+        console.error(`[Trash] Delete org error for ${orgName}:`, error);
+        res.status(500).json({ error: "Failed to delete organization" });
+    }
+});
+
+// Deleted organizations awaiting purge
+app.get("/api/trash/orgs", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const entries = await trash.listDeletedOrgs();
+        res.json(entries.map(({ id, org, deletedAt, expiresAt }) => ({ id, org, deletedAt, expiresAt })));
+    } catch (error) {
+        console.error("[Trash] List deleted orgs error:", error);
+        res.status(500).json({ error: "Failed to list deleted organizations" });
+    }
+});
+
+// Check the org password of a deleted org. Answers 401/404 itself and returns the entry, or null.
+const checkDeletedOrgPassword = async (req, res) => {
+    const { password } = req.body || {};
+    if (!password) {
+        res.status(400).json({ error: "Password is required" });
+        return null;
+    }
+    const { entry, configData } = await trash.readDeletedOrgConfig(req.params.id);
+    const { valid } = await checkOrgPassword(configData, password);
+    if (!valid) {
+        console.warn(`[Trash] Failed password for deleted org ${entry.org}`);
+        res.status(401).json({ error: "Invalid password" });
+        return null;
+    }
+    return entry;
+};
+
+// Restore a deleted organization (admin token). Body: { password } (the deleted org's password)
+app.post("/api/trash/orgs/:id/restore", requireAuth, requireAdmin, express.json(), async (req, res) => {
+    try {
+        const entry = await checkDeletedOrgPassword(req, res);
+        if (!entry) return;
+        await trash.restoreOrg(req.params.id);
+        audit.record(req, { org: entry.org, action: "org.restore", targets: [`/organizations/${entry.org}`], details: { trashId: entry.id } });
+        console.log(`[Trash] Organization ${entry.org} restored`);
+        res.json({ success: true, orgName: entry.org });
+    } catch (error) {
+        if (error.status === 404 || error.status === 409) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("[Trash] Restore org error:", error);
+        res.status(500).json({ error: "Failed to restore organization" });
+    }
+});
+
+// Permanently delete a deleted organization (admin token). Body: { password }
+app.delete("/api/trash/orgs/:id", requireAuth, requireAdmin, express.json(), async (req, res) => {
+    try {
+        const entry = await checkDeletedOrgPassword(req, res);
+        if (!entry) return;
+        await trash.purgeOrg(req.params.id);
+        audit.record(req, { org: entry.org, action: "org.purge", targets: [`/organizations/${entry.org}`], details: { trashId: entry.id } });
+        console.log(`[Trash] Organization ${entry.org} purged`);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error("[Trash] Purge org error:", error);
+        res.status(500).json({ error: "Failed to purge organization" });
+    }
+});
+
+// List the org's trash, newest first, with when each entry will be purged
+app.get("/api/orgs/:orgName/trash", requireAdmin, async (req, res) => {
+    try {
+        res.json(await trash.listTrash(req.params.orgName));
+    } catch (error) {
+        console.error(`[Trash] List error for ${req.params.orgName}:`, error);
+        res.status(500).json({ error: "Failed to list trash" });
+    }
+});
+
+// Put a trashed file or folder back where it was
+app.post("/api/orgs/:orgName/trash/:id/restore", requireAdmin, async (req, res) => {
+    const { orgName, id } = req.params;
+    try {
+        const entry = await trash.restoreFromTrash(orgName, id);
+        const restoredPath = `/organizations/${orgName}/${entry.items[0]}`;
+        if (entry.type === "folder") {
+            queueRebuild(orgName);
+        } else {
+            invalidateVariants(restoredPath);
+            await indexMedia(restoredPath);
+        }
+        audit.record(req, { org: orgName, action: `${entry.type === "folder" ? "folder" : "file"}.restore`, targets: [restoredPath], details: { trashId: id } });
+        console.log(`[Trash] Restored ${restoredPath}`);
+        res.json({ success: true, path: restoredPath });
+    } catch (error) {
+        if (error.status === 404 || error.status === 409) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`[Trash] Restore error for ${orgName}/${id}:`, error);
+        res.status(500).json({ error: "Failed to restore from trash" });
+    }
+});
+
+// Permanently delete a trash entry
+app.delete("/api/orgs/:orgName/trash/:id", requireAdmin, async (req, res) => {
+    const { orgName, id } = req.params;
+    try {
+        const entry = await trash.purgeFromTrash(orgName, id);
+        quotas.invalidateUsage(orgName);
+        audit.record(req, { org: orgName, action: "file.purge", targets: [entry.path], details: { trashId: id } });
+        console.log(`[Trash] Purged ${entry.path} from ${orgName}`);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error(`[Trash] Purge error for ${orgName}/${id}:`, error);
+        res.status(500).json({ error: "Failed to purge trash entry" });
+    }
+});
+
+// Update Organization
+app.post("/api/orgs/:orgName/update", requireAdmin, upload.single("logo"), async (req, res) => {
+    const { orgName } = req.params;
+    const { newName } = req.body;
+    const logoFile = req.file;
+
+    try {
+        let targetOrgName = orgName;
+
+        // Handle renaming if newName is provided and different
+        if (newName && newName !== orgName) {
+            try {
+                assertOrgName(newName);
+            } catch (error) {
+                if (logoFile && fs.existsSync(logoFile.path)) fs.unlinkSync(logoFile.path);
+                return res.status(400).json({ error: error.message });
+            }
+            // Check if new name exists
+            if (await storage.exists(`/organizations/${newName}`)) {
+                return res.status(400).json({ error: "Organization name already taken" });
+            }
+            // Move directory
+            await storage.moveFile(`/organizations/${orgName}`, `/organizations/${newName}`);
+            targetOrgName = newName;
+            // Indexed paths include the org name; the index is rebuilt under the new one
+            renameIndex(orgName, newName);
+            invalidateOrgVariants(orgName);
+            audit.renameOrgLog(orgName, newName);
+            shares.moveShares(`/organizations/${orgName}`, `/organizations/${newName}`, newName);
+            webhooks.renameOrgDeliveries(orgName, newName);
+            audit.record(req, {
+                org: newName,
+                action: "org.rename",
+                targets: [`/organizations/${orgName}`, `/organizations/${newName}`],
+                before: { name: orgName },
+                after: { name: newName },
+            });
+            await webhooks.emit(newName, "org.renamed", { from: orgName, to: newName });
+        }
+        
+        // Upload logo if provided
+        if (logoFile) {
+            // Delete existing logos first to avoid confusion (e.g. replacing png with jpg)
+            const extensions = LOGO_EXTENSIONS;
+            for (const ext of extensions) {
+                const oldPath = `/organizations/${targetOrgName}/logo${ext}`;
+                if (await storage.exists(oldPath)) {
+                    await storage.deleteFile(oldPath);
+                }
+            }
+            
+            const logoPath = `/organizations/${targetOrgName}/logo${path.extname(logoFile.originalname)}`;
+            const buffer = fs.readFileSync(logoFile.path);
+            await storage.putFileContents(logoPath, buffer, { overwrite: true });
+            fs.unlinkSync(logoFile.path);
+            audit.record(req, { org: targetOrgName, action: "org.logo", targets: [logoPath], details: { size: buffer.length } });
+        }
+
+        // A rename invalidates the old org scope, so hand back a token for the new name
+        const response = { success: true, message: "Organization updated", newName: targetOrgName };
+        if (targetOrgName !== orgName) {
+            Object.assign(response, issueToken(targetOrgName));
+        }
+        res.json(response);
+    } catch (error) {
+        console.error("Update org error:", error);
+        if (logoFile && fs.existsSync(logoFile.path)) fs.unlinkSync(logoFile.path);
+        res.status(500).json({ error: "Failed to update organization" });
+    }
+});
+
+// JSON body for an upload refused by screenUpload(): bad or mismatched checksum, or a rejected duplicate
+const screenErrorBody = (error) => ({
+    error: error.message,
+    ...(error.duplicateOf ? { duplicateOf: error.duplicateOf, sha256: error.sha256 } : {}),
+    ...(error.expected ? { expected: error.expected, actual: error.actual } : {}),
+});
+
+// JSON body for an upload refused by its content (inspectUpload/checkDeclared): the error code, the
+// format detected and the allow-list or limit it broke
+const formatErrorBody = (error) => ({
+    error: error.message,
+    code: error.code,
+    ...(error.detected !== undefined ? { detected: error.detected } : {}),
+    ...(error.allowed ? { allowed: error.allowed } : {}),
+    ...(error.limit ? { limit: error.limit } : {}),
+});
+
+// Upload File. The type is detected from the content (the client's Content-Type is ignored) and
+// checked against the folder's allow-list and limits. An optional "sha256" field (hex or base64) is
+// checked against the received file. If identical content already exists in the org, the org's
+// duplicate policy decides: the existing file is returned (200, duplicate: true), the
+// upload is refused (409) or it is stored anyway.
+app.post("/api/upload", requireAuth, requireAdmin, upload.single("file"), async (req, res) => {
+  const { orgName, folder, subfolder } = req.body; // videos or images, optionally a subfolder ("trips/2024")
+  const file = req.file;
+
+  if (!file || !orgName || !folder) {
+    if (file && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    return res.status(400).json({ error: "Missing file, orgName, or folder" });
+  }
+
+  // orgName only arrives with the multipart body, so the scope check happens after multer
+  if (orgName !== req.auth.org) {
+    fs.unlinkSync(file.path);
+    return res.status(403).json({ error: "Token is not valid for this organization" });
+  }
+
+  // onConflict: reject, rename or version (the default keeps the replaced file as a version)
+  let remotePath;
+  let policy;
+  try {
+    policy = collisionPolicy(req.body.onConflict);
+    const filename = safeFilename(multipartFilename(file.originalname));
+    remotePath = await resolveCollision(buildMediaPath(orgName, folder, subfolder ? `${subfolder}/${filename}` : filename), policy);
+  } catch (error) {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    if (!error.status) console.error("Upload path error:", error);
+    return res.status(error.status || 500).json({ error: error.status ? error.message : "Upload failed" });
+  }
+
+  let contentType;
+  try {
+    contentType = await inspectUpload(orgName, folder, file.path, path.posix.basename(remotePath));
+  } catch (error) {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    if (error.code) {
+      console.warn(`[Formats] Refused upload of ${remotePath}: ${error.message}`);
+      return res.status(error.status).json(formatErrorBody(error));
+    }
+    console.error("Upload inspection error:", error);
+    return res.status(500).json({ error: "Upload failed" });
+  }
+
+  let screened;
+  try {
+    screened = await screenUpload(orgName, file.path, req.body.sha256);
+  } catch (error) {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    if (error.status) {
+      console.warn(`[Integrity] Refused upload of ${remotePath}: ${error.message}`);
+      return res.status(error.status).json(screenErrorBody(error));
+    }
+    console.error("Upload hashing error:", error);
+    return res.status(500).json({ error: "Upload failed" });
+  }
+
+  if (screened.duplicateOf) {
+    fs.unlinkSync(file.path);
+    console.log(`[Integrity] ${remotePath} is a duplicate of ${screened.duplicateOf}`);
+    return res.json({ success: true, duplicate: true, path: screened.duplicateOf, sha256: screened.sha256 });
+  }
+
+  // Refuse before anything is processed if the org's quota can't take the file. The bytes stay
+  // reserved until the job is queued, after which the queued job counts.
+  let quota;
+  try {
+    quota = await quotas.reserve(orgName, file.size);
+  } catch (error) {
+    fs.unlinkSync(file.path);
+    if (error.status === 413) {
+      console.warn(`[Quota] Refused upload of ${remotePath}: ${error.message}`);
+      return res.status(413).json({ error: error.message, usage: error.usage });
+    }
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Upload quota check error:", error);
+    return res.status(500).json({ error: "Upload failed" });
+  }
+
+  // Processing and the storage upload run in the background; the client polls /api/jobs/:id
+  try {
+    const job = queueUpload({
+      orgName,
+      folder,
+      filename: path.posix.basename(remotePath),
+      mimeType: contentType.mimeType,
+      contentType,
+      tempPath: file.path,
+      remotePath,
+      uploader: uploaderName(req.body.uploader),
+      sha256: screened.sha256,
+      onConflict: policy,
+    });
+    audit.record(req, {
+      org: orgName,
+      action: "file.upload",
+      targets: [remotePath],
+      details: {
+        jobId: job.id,
+        size: file.size,
+        mimeType: contentType.mimeType,
+        clientMimeType: file.mimetype,
+        sha256: screened.sha256,
+        onConflict: policy,
+      },
+      name: req.body.uploader,
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      filename: path.posix.basename(remotePath),
+      path: remotePath,
+      sha256: screened.sha256,
+      ...(quota.warning && { warning: quota.warning }),
+    });
+  } catch (error) {
+    console.error("Upload error:", error);
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    res.status(500).json({ error: "Upload failed" });
+  } finally {
+    quotas.release(quota.id);
+  }
+});
+
+// Resumable upload (tus) - create. Upload-Metadata carries filename, folder, filetype and optionally
+// subfolder, uploader, sha256 (of the whole file, checked once the last chunk arrives) and onConflict.
+// The name is checked against existing files again on completion; the final path comes back in X-File-Path.
+// The extension and Upload-Length are checked against the folder's formats now, the content on completion.
+app.post("/api/tus", requireAuth, requireAdmin, async (req, res) => {
+    if (req.headers["upload-defer-length"]) {
+        return res.status(400).json({ error: "Upload-Defer-Length is not supported" });
+    }
+
+    const length = Number(req.headers["upload-length"]);
+    const metadata = tus.parseMetadata(req.headers["upload-metadata"]);
+    const { folder } = metadata;
+
+    if (!metadata.filename || !folder) {
+        return res.status(400).json({ error: "Upload-Metadata must include filename and folder" });
+    }
+    if (metadata.sha256 !== undefined) {
+        try {
+            parseChecksum(metadata.sha256);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+
+    try {
+        const filename = safeFilename(metadata.filename);
+        const remotePath = buildMediaPath(req.auth.org, folder, metadata.subfolder ? `${metadata.subfolder}/${filename}` : filename);
+        // Refuse early rather than after the whole file has been sent
+        await resolveCollision(remotePath, collisionPolicy(metadata.onConflict));
+        await checkDeclared(req.auth.org, folder, filename, length);
+        const record = tus.createUpload({ org: req.auth.org, length, metadata, remotePath });
+        // The upload's bytes stay reserved until it is queued, deleted or expires
+        let quota;
+        try {
+            quota = await quotas.reserve(req.auth.org, length, { id: record.id, ttlMs: null });
+        } catch (error) {
+            tus.removeUpload(record.id);
+            throw error;
+        }
+        console.log(`[Tus] Created upload ${record.id} for ${remotePath} (${length} bytes)`);
+        if (quota.warning) res.setHeader("X-Quota-Warning", quota.warning);
+
+        res.setHeader("Location", `/api/tus/${record.id}`);
+        res.setHeader("Upload-Expires", new Date(record.expiresAt).toUTCString());
+        res.status(201).end();
+    } catch (error) {
+        if (error.code) return res.status(error.status).json(formatErrorBody(error));
+        if (!error.status) console.error("[Tus] Create error:", error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to create upload" });
+    }
+});
+
+// Look up an upload belonging to the caller's org, answering 404/410 itself
+const findTusUpload = (req, res) => {
+    const record = tus.getUpload(req.params.id);
+    if (!record || record.org !== req.auth.org) {
+        res.status(404).json({ error: "Upload not found" });
+        return null;
+    }
+    if (tus.isExpired(record)) {
+        tus.removeUpload(record.id);
+        res.status(410).json({ error: "Upload expired" });
+        return null;
+    }
+    return record;
+};
+
+// Resumable upload (tus) - current offset
+app.head("/api/tus/:id", requireAuth, (req, res) => {
+    const record = findTusUpload(req, res);
+    if (!record) return;
+
+    res.setHeader("Upload-Offset", record.offset);
+    res.setHeader("Upload-Length", record.length);
+    res.setHeader("Cache-Control", "no-store");
+    if (!record.completedAt) {
+        res.setHeader("Upload-Expires", new Date(record.expiresAt).toUTCString());
+    }
+    if (record.jobId) res.setHeader("X-Job-Id", record.jobId);
+    res.status(200).end();
+});
+
+// Resumable upload (tus) - append a chunk. The last chunk hands the file to the job queue.
+app.patch("/api/tus/:id", requireAuth, requireAdmin, async (req, res) => {
+    if (req.headers["content-type"] !== "application/offset+octet-stream") {
+        return res.status(415).json({ error: "Content-Type must be application/offset+octet-stream" });
+    }
+
+    const found = findTusUpload(req, res);
+    if (!found) return;
+    // One request writes to an upload at a time
+    try {
+        tus.lockUpload(found.id);
+    } catch (error) {
+        if (!error.status) console.error(`[Tus] Lock error for ${found.id}:`, error);
+        return res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to store chunk" });
+    }
+    // Read again under the lock: another request may have appended to it, or completed it, meanwhile
+    const record = tus.getUpload(found.id);
+    if (!record) {
+        tus.unlockUpload(found.id);
+        return res.status(404).json({ error: "Upload not found" });
+    }
+
+    try {
+        const checksum = tus.parseChecksum(req.headers["upload-checksum"]);
+        await tus.appendChunk(record, Number(req.headers["upload-offset"]), req, checksum);
+
+        if (record.offset === record.length) {
+            const { folder } = record.metadata;
+            const tempPath = tus.detachCompletedFile(record);
+
+            // Another upload may have taken the name, or the quota, since this one was created
+            let remotePath;
+            try {
+                remotePath = await resolveCollision(record.remotePath, collisionPolicy(record.metadata.onConflict));
+                await quotas.reserve(record.org, record.length, { id: record.id, ttlMs: null });
+            } catch (error) {
+                fs.rmSync(tempPath, { force: true });
+                tus.removeUpload(record.id);
+                throw error;
+            }
+
+            // The content decides the type, as for /api/upload
+            let contentType;
+            try {
+                contentType = await inspectUpload(record.org, folder, tempPath, path.posix.basename(remotePath));
+            } catch (error) {
+                fs.rmSync(tempPath, { force: true });
+                tus.removeUpload(record.id);
+                if (!error.code) throw error;
+                console.warn(`[Formats] Refused upload of ${remotePath}: ${error.message}`);
+                return res.status(error.status).json(formatErrorBody(error));
+            }
+
+            // Whole-file checksum and duplicate check. A mismatch answers 460 like a chunk checksum failure.
+            let screened;
+            try {
+                screened = await screenUpload(record.org, tempPath, record.metadata.sha256);
+            } catch (error) {
+                fs.rmSync(tempPath, { force: true });
+                tus.removeUpload(record.id);
+                if (!error.status) throw error;
+                console.warn(`[Integrity] Refused upload of ${remotePath}: ${error.message}`);
+                return res.status(error.status === 422 ? 460 : error.status).json(screenErrorBody(error));
+            }
+
+            if (screened.duplicateOf) {
+                fs.rmSync(tempPath, { force: true });
+                tus.markCompleted(record, null);
+                console.log(`[Integrity] ${remotePath} is a duplicate of ${screened.duplicateOf}`);
+                res.setHeader("X-Duplicate-Of", screened.duplicateOf);
+            } else {
+                const job = queueUpload({
+                    orgName: record.org,
+                    folder,
+                    filename: path.posix.basename(remotePath),
+                    mimeType: contentType.mimeType,
+                    contentType,
+                    tempPath,
+                    remotePath,
+                    uploader: uploaderName(record.metadata.uploader),
+                    sha256: screened.sha256,
+                    onConflict: collisionPolicy(record.metadata.onConflict),
+                });
+                tus.markCompleted(record, job.id);
+                audit.record(req, {
+                    org: record.org,
+                    action: "file.upload",
+                    targets: [remotePath],
+                    details: {
+                        jobId: job.id,
+                        size: record.length,
+                        mimeType: contentType.mimeType,
+                        clientMimeType: record.metadata.filetype,
+                        tusId: record.id,
+                        sha256: screened.sha256,
+                        onConflict: collisionPolicy(record.metadata.onConflict),
+                    },
+                    name: record.metadata.uploader,
+                });
+                res.setHeader("X-Job-Id", job.id);
+                res.setHeader("X-File-Path", remotePath);
+            }
+        } else {
+            res.setHeader("Upload-Expires", new Date(record.expiresAt).toUTCString());
+        }
+
+        res.setHeader("Upload-Offset", record.offset);
+        res.status(204).end();
+    } catch (error) {
+        if (!error.status) console.error(`[Tus] Patch error for ${record.id}:`, error);
+        if (!res.headersSent) {
+            res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to store chunk" });
+        }
+    } finally {
+        tus.unlockUpload(record.id);
+    }
+});
+
+// Resumable upload (tus) - terminate
+app.delete("/api/tus/:id", requireAuth, requireAdmin, (req, res) => {
+    const record = findTusUpload(req, res);
+    if (!record) return;
+    if (record.completedAt) {
+        return res.status(409).json({ error: "Upload already completed" });
+    }
+    tus.removeUpload(record.id);
+    res.status(204).end();
+});
+
+// Get job status
+app.get("/api/jobs/:id", requireAuth, (req, res) => {
+    const job = getJob(req.params.id);
+    // Jobs of other orgs are reported as missing rather than forbidden
+    if (!job || job.org !== req.auth.org) {
+        return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(publicJob(job));
+});
+
+// List an org's jobs, optionally filtered by ?status=
+app.get("/api/orgs/:orgName/jobs", requireAdmin, (req, res) => {
+    const { orgName } = req.params;
+    const { status } = req.query;
+    res.json(listJobs({ org: orgName, status }).map(publicJob));
+});
+
+// Get/Stream File
+app.get("/api/file/:org/:folder/:filename", requireAuth, requireOrg((req) => req.params.org), requireLevel(mediaPathFromParams), async (req, res) => {
+    const { org, folder, filename } = req.params;
+    let path;
+    let folderPath;
+    
+    // Handle logo special case where folder might be part of filename or omitted in frontend logic, 
+    // but here we expect :folder to be part of path. 
+    // Wait, the route is /api/file/:org/:folder/:filename
+    // If we want logo at root of org, we might need a different route or use a "root" folder param.
+    // Let's handle "root" as a magic folder name for org root.
+    try {
+        if (folder === "root") {
+             // Only logos live at the org root alongside config.json
+             if (!/^logo(\.[a-z]+)?$/i.test(filename)) {
+                 return res.status(403).send("Access denied: only the logo can be read from the org root");
+             }
+             folderPath = `/organizations/${org}`;
+             path = `${folderPath}/${filename}`;
+        } else {
+             path = buildMediaPath(org, folder, filename);
+             folderPath = buildFolderPath(org, folder);
+        }
+    } catch (error) {
+        return res.status(error.status).send(error.message);
+    }
+
+    try {
+        // Try exact match first
+        let stat = await statIfExists(path);
+        
+        // If not found and it's a logo request, try other extensions
+        if (!stat && filename.startsWith('logo')) {
+            const logo = await findLogo(folderPath, ['.png', '.jpg', '.jpeg', '.svg']);
+            if (logo) {
+                path = logo.path;
+                stat = logo.stat;
+            }
+        }
+
+        if (!stat) {
+            return res.status(404).send("File not found");
+        }
+
+        await sendStoredFile(req, res, path, stat, mimeTypeFor(path));
+    } catch (error) {
+        console.error("Get file error:", error);
+        res.status(500).send("Failed to get file");
+    }
+});
+
+// Stream file by path
+app.get("/api/files/stream", requireAuth, requireMediaPaths("path"), requireLevel((req) => req.mediaPaths.path), async (req, res) => {
+    const { path } = req.mediaPaths;
+    if (!path) {
+        return res.status(400).send("Missing path");
+    }
+    
+    // console.log(`[Stream] Requesting path: ${path}`);
+
+    try {
+        // Get stats first to handle ranges and content-length correctly
+        const stat = await storage.stat(path);
+        // Ranges (critical for video seeking), If-Range, HEAD and conditional requests
+        await sendStoredFile(req, res, path, stat, mimeTypeFor(path));
+    } catch (error) {
+        if (error.status === 404 || (error.response && error.response.status === 404)) {
+            return res.status(404).send("File not found");
+        }
+        console.error("Stream file error:", error.message);
+        if (!res.headersSent) {
+            res.status(500).send("Failed to stream file");
+        }
+    }
+});
+
+// Serve HLS playlists and segments for a video
+// e.g. /api/hls/Acme/videos/clip.mp4/master.m3u8, /api/hls/Acme/videos/clip.mp4/720p/segment_003.ts
+app.get("/api/hls/:org/:folder/:filename/*", requireAuth, requireOrg((req) => req.params.org), requireLevel(mediaPathFromParams), async (req, res) => {
+    const { org, folder, filename } = req.params;
+    const rest = req.params[0];
+
+    const segments = rest.split("/");
+    if (segments.length > 2 || segments.some((s) => !/^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/.test(s))) {
+        return res.status(403).send("Invalid HLS path");
+    }
+
+    const ext = path.extname(rest).toLowerCase();
+    const mimeType = HLS_MIME_TYPES[ext];
+    if (!mimeType) {
+        return res.status(404).send("Not found");
+    }
+
+    let hlsPath;
+    try {
+        hlsPath = `${hlsDirFor(buildMediaPath(org, folder, filename))}/${rest}`;
+    } catch (error) {
+        return res.status(error.status).send(error.message);
+    }
+
+    try {
+        if (ext === ".m3u8") {
+            const content = await storage.getFileContents(hlsPath, { format: "text" });
+            res.setHeader("Content-Type", mimeType);
+            // Playlists are small and may be replaced by a re-upload, segments never change once written
+            res.setHeader("Cache-Control", "private, max-age=60");
+            return res.send(rewritePlaylist(content, req.query.access_token));
+        }
+
+        const stat = await storage.stat(hlsPath);
+        res.writeHead(200, {
+            "Content-Type": mimeType,
+            "Content-Length": stat.size,
+            "Cache-Control": "private, max-age=86400",
+        });
+        const stream = storage.createReadStream(hlsPath);
+        stream.on('error', (err) => {
+            console.error(`[HLS] Stream error ${hlsPath}:`, err.message);
+            res.end();
+        });
+        stream.pipe(res);
+    } catch (error) {
+        if (error.status === 404 || (error.response && error.response.status === 404)) {
+            return res.status(404).send("Not found");
+        }
+        console.error("[HLS] Serve error:", error.message);
+        if (!res.headersSent) res.status(500).send("Failed to serve HLS content");
+    }
+});
+
+// Files derived from an upload (renditions, thumbnails, earlier versions), stored in hidden folders next to it
+const derivedDirsFor = (filePath) => [hlsDirFor(filePath), thumbDirFor(filePath), versionsDirFor(filePath)];
+
+// Get a thumbnail (?w= picks the closest stored width), generating it on first request
+app.get("/api/thumb/:org/:folder/:filename", requireAuth, requireOrg((req) => req.params.org), requireLevel(mediaPathFromParams), async (req, res) => {
+    const { org, folder, filename } = req.params;
+
+    let filePath;
+    try {
+        filePath = buildMediaPath(org, folder, filename);
+    } catch (error) {
+        return res.status(error.status).send(error.message);
+    }
+
+    if (!mediaKind(filename)) {
+        return res.status(415).send("No thumbnail available for this file type");
+    }
+
+    try {
+        if (!(await storage.exists(filePath))) {
+            return res.status(404).send("File not found");
+        }
+
+        const thumbPath = await ensureThumbnail(filePath, pickWidth(req.query.w));
+        res.setHeader("Content-Type", "image/jpeg");
+        res.setHeader("Cache-Control", "private, max-age=86400");
+        const stream = storage.createReadStream(thumbPath);
+        stream.on('error', (err) => {
+            console.error(`[Thumbs] Stream error ${thumbPath}:`, err.message);
+            res.end();
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error(`[Thumbs] Failed to get thumbnail for ${filePath}:`, error.message);
+        if (!res.headersSent) res.status(500).send("Failed to get thumbnail");
+    }
+});
+
+// Get an image resized and/or converted: ?w=&h= (px), fit (cover, contain, fill, inside, outside),
+// q (1-100) and format (webp, avif, jpeg, png). Without format the Accept header picks one.
+// Variants are cached on local disk, so repeat requests don't touch storage.
+app.get("/api/image/:org/:folder/:filename", requireAuth, requireOrg((req) => req.params.org), requireLevel(mediaPathFromParams), async (req, res) => {
+    const { org, folder, filename } = req.params;
+
+    let filePath;
+    let options;
+    try {
+        filePath = buildMediaPath(org, folder, filename);
+        if (mediaKind(filename) !== "image") {
+            return res.status(415).send("Only images can be resized");
+        }
+        options = parseVariantOptions(req.query, req.headers.accept, filename);
+    } catch (error) {
+        return res.status(error.status).send(error.message);
+    }
+
+    try {
+        const variant = await getVariant(filePath, options);
+        res.setHeader("Content-Type", variant.contentType);
+        res.setHeader("Content-Length", fs.statSync(variant.file).size);
+        res.setHeader("Cache-Control", "private, max-age=86400");
+        if (options.negotiated) res.vary("Accept");
+        fs.createReadStream(variant.file).pipe(res);
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return res.status(404).send("File not found");
+        }
+        console.error(`[Images] Failed to render ${filePath}:`, error.message);
+        // sharp rejects files it can't decode (corrupt or unsupported formats)
+        res.status(error.message.includes("unsupported image format") ? 415 : 500).send("Failed to render image");
+    }
+});
+
+// Delete file - moves it to the org's trash (see /api/orgs/:orgName/trash)
+app.delete("/api/files/delete", requireAuth, requireAdmin, express.json(), requireMediaPaths("path"), async (req, res) => {
+    const { path: filePath } = req.mediaPaths;
+    if (!filePath) return res.status(400).json({ error: "File path is required" });
+
+    try {
+        // The file, its sidecar, HLS renditions and thumbnails go to the org's trash
+        const entry = await trash.trashFile(filePath, deletedByFor(req));
+        invalidateVariants(filePath);
+        await unindexMedia(filePath);
+        audit.record(req, { org: req.auth.org, action: "file.delete", targets: [filePath], details: { trashId: entry.id } });
+        await webhooks.emit(req.auth.org, "file.deleted", { path: filePath, trashId: entry.id });
+        res.json({ success: true, trashId: entry.id });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: "File not found" });
+        }
+        console.error("Delete file error:", error);
+        res.status(500).json({ error: "Failed to delete file" });
+    }
+});
+
+// Update file metadata. The server-owned "technical" and "level" fields are kept as they are.
+app.post("/api/files/metadata", requireAuth, requireAdmin, express.json(), requireMediaPaths("path"), async (req, res) => {
+    const { path: filePath } = req.mediaPaths;
+    const { metadata } = req.body;
+    if (!filePath || !metadata) return res.status(400).json({ error: "File path and metadata are required" });
+    if (typeof metadata !== "object" || Array.isArray(metadata)) {
+        return res.status(400).json({ error: "Metadata must be an object" });
+    }
+
+    try {
+        const before = splitSidecar(await readSidecar(filePath)).metadata;
+        const after = splitSidecar(await writeClientMetadata(filePath, metadata)).metadata;
+        await indexMedia(filePath);
+        audit.record(req, { org: req.auth.org, action: "file.metadata", targets: [filePath], before, after });
+        await webhooks.emit(req.auth.org, "metadata.updated", { path: filePath, metadata: after });
+        res.json({ success: true, message: "Metadata updated" });
+    } catch (error) {
+        console.error("Update metadata error:", error);
+        res.status(500).json({ error: "Failed to update metadata" });
+    }
+});
+
+// Get file metadata
+app.get("/api/files/metadata", requireAuth, requireMediaPaths("path"), requireLevel((req) => req.mediaPaths.path), async (req, res) => {
+    const { path: filePath } = req.mediaPaths;
+    if (!filePath) return res.status(400).json({ error: "File path is required" });
+
+    try {
+        const sidecar = await readSidecar(filePath);
+        if (sidecar) {
+            return res.json(sidecar);
+        }
+        res.status(404).json({ error: "Metadata not found" });
+    } catch (error) {
+        console.error("Get metadata error:", error);
+        res.status(500).json({ error: "Failed to get metadata" });
+    }
+});
+
+// Set a file's minimum access level (null clears it, falling back to the folder default).
+// Only the sidecar changes; the file itself is not touched.
+app.put("/api/files/level", requireAuth, requireAdmin, express.json(), requireMediaPaths("path"), async (req, res) => {
+    const { path: filePath } = req.mediaPaths;
+    const { level = null } = req.body;
+    if (!filePath) return res.status(400).json({ error: "File path is required" });
+    if (level !== null && typeof level !== "string") {
+        return res.status(400).json({ error: "Level must be a level id or null" });
+    }
+
+    try {
+        const access = await accessFor(req.auth);
+        if (level && !normalizeLevels(access.configData.levels).some((l) => l.id === level)) {
+            return res.status(400).json({ error: `Unknown level: ${level}` });
+        }
+        if (!(await storage.exists(filePath))) {
+            return res.status(404).json({ error: "File not found" });
+        }
+
+        const previous = await readSidecar(filePath);
+        await writeLevel(filePath, level || null);
+        await indexMedia(filePath);
+        audit.record(req, {
+            org: req.auth.org,
+            action: "file.level",
+            targets: [filePath],
+            before: { level: (previous && previous.level) || null },
+            after: { level: level || null },
+        });
+        const folder = filePath.split("/")[3];
+        console.log(`[Levels] ${filePath} set to ${level || "folder default"}`);
+        res.json({ success: true, path: filePath, level: level || null, effectiveLevel: access.levelOf(folder, level) });
+    } catch (error) {
+        console.error("Set level error:", error);
+        res.status(500).json({ error: "Failed to set level" });
+    }
+});
+
+// Version history of a file: the current file followed by the versions it replaced, newest first
+app.get("/api/files/versions", requireAuth, requireMediaPaths("path"), requireLevel((req) => req.mediaPaths.path), async (req, res) => {
+    const { path: filePath } = req.mediaPaths;
+    if (!filePath) return res.status(400).json({ error: "File path is required" });
+
+    try {
+        const versions = await listVersions(filePath);
+        let current = null;
+        try {
+            const stat = await storage.stat(filePath);
+            const sidecar = await readSidecar(filePath).catch(() => null);
+            const integrity = (sidecar && sidecar.integrity) || {};
+            current = { size: Number(stat.size), sha256: integrity.sha256 || null, uploadedAt: new Date(stat.lastmod).toISOString() };
+        } catch (error) {
+            if (!(error.status === 404 || (error.response && error.response.status === 404))) throw error;
+        }
+        if (!current && versions.length === 0) {
+            return res.status(404).json({ error: "File not found" });
+        }
+        res.json({ path: filePath, current, versions });
+    } catch (error) {
+        console.error(`[Versions] List error for ${filePath}:`, error);
+        res.status(500).json({ error: "Failed to list versions" });
+    }
+});
+
+// Download an earlier version of a file
+app.get("/api/files/versions/:version", requireAuth, requireMediaPaths("path"), requireLevel((req) => req.mediaPaths.path), async (req, res) => {
+    const { path: filePath } = req.mediaPaths;
+    if (!filePath) return res.status(400).send("Missing path");
+
+    try {
+        await readVersion(filePath, req.params.version);
+        const versionPath = versionFilePath(filePath, req.params.version);
+        const stat = await storage.stat(versionPath);
+        res.setHeader("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(path.posix.basename(filePath))}`);
+        await sendStoredFile(req, res, versionPath, stat, mimeTypeFor(filePath));
+    } catch (error) {
+        if (error.status === 400 || error.status === 404) return res.status(error.status).send(error.message);
+        if (error.response && error.response.status === 404) return res.status(404).send("Version not found");
+        console.error(`[Versions] Download error for ${filePath}:`, error.message);
+        if (!res.headersSent) res.status(500).send("Failed to send version");
+    }
+});
+
+// Make an earlier version current again. The file it replaces becomes the newest version.
+app.post("/api/files/versions/restore", requireAuth, requireAdmin, express.json(), requireMediaPaths("path"), async (req, res) => {
+    const { path: filePath } = req.mediaPaths;
+    const { version } = req.body;
+    if (!filePath || version === undefined) return res.status(400).json({ error: "File path and version are required" });
+
+    try {
+        const { restored, archived } = await restoreVersion(filePath, version, audit.actorFor(req, req.body.restoredBy));
+        invalidateVariants(filePath);
+        await indexMedia(filePath);
+        audit.record(req, {
+            org: req.auth.org,
+            action: "file.version.restore",
+            targets: [filePath],
+            details: { version: restored.version, archivedAs: archived ? archived.version : null },
+            name: req.body.restoredBy,
+        });
+        res.json({ success: true, path: filePath, restored, archived });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error(`[Versions] Restore error for ${filePath}:`, error);
+        res.status(500).json({ error: "Failed to restore version" });
+    }
+});
+
+// Files of one folder listing (items from getDirectoryContents), enriched with their sidecar metadata,
+// level and thumbnail links. Files above the caller's level are left out.
+const enrichFiles = async (access, org, folder, items) => {
+    // Filter out .meta.json files from the main list, but we'll use them to enrich the main files
+    const mainFiles = items.filter(item => item.type === 'file' && !item.basename.endsWith('.meta.json'));
+    const metaFiles = items.filter(item => item.type === 'file' && item.basename.endsWith('.meta.json'));
+
+    const enrichedFiles = await Promise.all(mainFiles.map(async (file) => {
+        const metaFile = metaFiles.find(m => m.basename === `${file.basename}.meta.json`);
+        let metadata = null;
+        let technical = null;
+        let level = null;
+        
+        if (metaFile) {
+            try {
+                const metaContent = await storage.getFileContents(metaFile.filename);
+                ({ metadata, technical, level } = splitSidecar(JSON.parse(metaContent.toString())));
+            } catch (e) {
+                console.warn(`Failed to parse metadata for ${file.basename}`, e);
+                // Its level is unknown, so only callers who may see every file get it
+                if (!access.unrestricted) return null;
+            }
+        }
+
+        // Files above the caller's level are left out of the listing
+        if (!access.canSee(folder, level)) return null;
+        
+        return {
+            ...file,
+            metadata,
+            technical,
+            level: access.levelOf(folder, level),
+            thumbnails: mediaKind(file.basename) ? thumbnailUrls(org, folder, relativeMediaPath(file.filename)) : null
+        };
+    }));
+
+    return enrichedFiles.filter(Boolean);
+};
+
+// List files with metadata support: those directly in a media folder, or in the subfolder named by
+// ?path= (relative to it)
+app.get("/api/list/:org/:folder", requireAuth, requireOrg((req) => req.params.org), async (req, res) => {
+  const { org, folder } = req.params;
+  let directory;
+  try {
+    directory = `${buildFolderPath(org, folder, req.query.path)}/`;
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  try {
+    const access = await accessFor(req.auth);
+    const items = await storage.getDirectoryContents(directory);
+    res.json(await enrichFiles(access, org, folder, items));
+  } catch (error) {
+    console.error(`List ${folder} error for ${org}:`, error);
+    if (error.response && error.response.status === 404) {
+        return res.json([]);
+    }
+    res.status(500).json({ error: `Failed to list ${folder}` });
+  }
+});
+
+// Browse a media folder: the subfolders and files of ?path= (relative to the media folder) with
+// breadcrumbs back up to it. recursive=1 lists every folder and file below it instead.
+app.get("/api/browse/:org/:folder", requireAuth, requireOrg((req) => req.params.org), async (req, res) => {
+    const { org, folder } = req.params;
+    const subPath = req.query.path || "";
+    let rootPath;
+    try {
+        buildFolderPath(org, folder, subPath);
+        rootPath = buildFolderPath(org, folder);
+    } catch (error) {
+        return res.status(error.status).json({ error: error.message });
+    }
+
+    try {
+        const access = await accessFor(req.auth);
+        const normalized = subPath.split("/").filter(Boolean).join("/");
+        const { folders: subfolders, entries } = await listFolder(rootPath, normalized, { recursive: req.query.recursive === "1" });
+        const files = [];
+        for (const entry of entries) files.push(...(await enrichFiles(access, org, folder, entry.items)));
+        res.json({
+            folder,
+            path: normalized,
+            breadcrumbs: breadcrumbs(folder, normalized),
+            folders: subfolders,
+            files,
+        });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error(`[Folders] Browse error for ${org}/${folder}/${subPath}:`, error);
+        res.status(500).json({ error: `Failed to browse ${folder}` });
+    }
+});
+
+// Create a subfolder: { folder: "videos", parent: "trips", name: "2024" }. parent defaults to the media folder.
+app.post("/api/folders", requireAuth, requireAdmin, express.json(), async (req, res) => {
+    const { folder, parent, name } = req.body || {};
+    try {
+        const folderPath = await createFolder(req.auth.org, folder, parent, name);
+        audit.record(req, { org: req.auth.org, action: "folder.create", targets: [folderPath] });
+        res.status(201).json({ success: true, path: folderPath });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error("[Folders] Create error:", error);
+        res.status(500).json({ error: "Failed to create folder" });
+    }
+});
+
+// Files below a folder changed paths: the search index, image variants, share links and playlists follow
+const folderMoved = async (org, from, to) => {
+    queueRebuild(org);
+    invalidateOrgVariants(org);
+    shares.moveShares(from, to, org);
+    await playlists.moveReferences(org, from, to);
+};
+
+// Rename a subfolder: { folder: "videos", path: "trips/2024", name: "2024-summer" }
+app.post("/api/folders/rename", requireAuth, requireAdmin, express.json(), async (req, res) => {
+    const { folder, path: subPath, name } = req.body || {};
+    try {
+        const { from, to } = await renameFolder(req.auth.org, folder, subPath, name);
+        if (from !== to) {
+            await folderMoved(req.auth.org, from, to);
+            audit.record(req, { org: req.auth.org, action: "folder.rename", targets: [from, to] });
+            await webhooks.emit(req.auth.org, "file.moved", { from, to, folder: true });
+        }
+        res.json({ success: true, from, to });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error("[Folders] Rename error:", error);
+        res.status(500).json({ error: "Failed to rename folder" });
+    }
+});
+
+// Delete a subfolder with everything in it: { folder: "videos", path: "trips/2024" }. It goes to the org's trash.
+app.delete("/api/folders", requireAuth, requireAdmin, express.json(), async (req, res) => {
+    const { folder, path: subPath } = req.body || {};
+    let folderPath;
+    try {
+        folderPath = buildFolderPath(req.auth.org, folder, subPath);
+        if (folderPath === buildFolderPath(req.auth.org, folder)) {
+            return res.status(400).json({ error: "A media folder itself can't be deleted" });
+        }
+    } catch (error) {
+        return res.status(error.status).json({ error: error.message });
+    }
+
+    try {
+        const entry = await trash.trashFolder(folderPath, deletedByFor(req));
+        queueRebuild(req.auth.org);
+        invalidateOrgVariants(req.auth.org);
+        audit.record(req, { org: req.auth.org, action: "folder.delete", targets: [folderPath], details: { trashId: entry.id } });
+        await webhooks.emit(req.auth.org, "file.deleted", { path: folderPath, trashId: entry.id, folder: true });
+        res.json({ success: true, trashId: entry.id });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: "Folder not found" });
+        }
+        console.error("[Folders] Delete error:", error);
+        res.status(500).json({ error: "Failed to delete folder" });
+    }
+});
+
+// Search the token's org. Free text (q) matches filenames and metadata; folder, type (image/video),
+// from/to (capture or upload date), tags (comma separated, all required) and min/maxDuration (seconds)
+// filter the results. Returns matches with facet counts for folder, type and tags.
+app.get("/api/search", requireAuth, async (req, res) => {
+    const org = req.query.org || req.auth.org;
+    if (org !== req.auth.org) {
+        return res.status(403).json({ error: "Token is not valid for this organization" });
+    }
+    if (req.query.folder && !MEDIA_FOLDERS.includes(req.query.folder)) {
+        return res.status(400).json({ error: `Folder must be one of ${MEDIA_FOLDERS.join(", ")}` });
+    }
+
+    try {
+        const access = await accessFor(req.auth);
+        const found = await search(org, req.query, { canSee: access.canSee });
+        found.results = found.results.map((doc) => ({
+            ...doc,
+            thumbnails: mediaKind(doc.filename) ? thumbnailUrls(org, doc.folder, relativeMediaPath(doc.path)) : null,
+        }));
+        res.json(found);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`[Search] Search error for ${org}:`, error);
+        res.status(500).json({ error: "Search failed" });
+    }
+});
+
+// Re-hash a stored file and compare it with the hash recorded at upload. Files stored before hashing
+// get their current hash recorded ("recorded"); otherwise the status is "ok" or "mismatch".
+app.post("/api/files/verify", requireAuth, requireAdmin, express.json(), requireMediaPaths("path"), async (req, res) => {
+    const { path: filePath } = req.mediaPaths;
+    if (!filePath) return res.status(400).json({ error: "File path is required" });
+
+    try {
+        if (!(await storage.exists(filePath))) {
+            return res.status(404).json({ error: "File not found" });
+        }
+        res.json(await verifyFile(filePath));
+    } catch (error) {
+        console.error(`[Integrity] Verify error for ${filePath}:`, error);
+        res.status(500).json({ error: "Failed to verify file" });
+    }
+});
+
+// Verify every file of the org in the background; the job result lists mismatches
+app.post("/api/orgs/:orgName/verify", requireAdmin, (req, res) => {
+    const job = queueVerify(req.params.orgName);
+    res.status(202).json({ success: true, jobId: job.id, status: job.status });
+});
+
+// Mint a share link for a file: { path, expiresIn (seconds) or expiresAt, maxViews, password,
+// allowDownload }. Anyone with the returned /s/<token> URL can view the file until it expires.
+app.post("/api/files/share", requireAuth, requireAdmin, express.json(), requireMediaPaths("path"), async (req, res) => {
+    const { path: filePath } = req.mediaPaths;
+    if (!filePath) return res.status(400).json({ error: "File path is required" });
+
+    try {
+        if (!(await storage.exists(filePath))) {
+            return res.status(404).json({ error: "File not found" });
+        }
+        const { token, share } = await shares.createShare(req.auth.org, filePath, req.body, audit.actorFor(req, req.body.createdBy));
+        audit.record(req, {
+            org: req.auth.org,
+            action: "file.share",
+            targets: [filePath],
+            details: { shareId: share.id, expiresAt: share.expiresAt, maxViews: share.maxViews, allowDownload: share.allowDownload, passwordProtected: share.passwordProtected },
+            name: req.body.createdBy,
+        });
+        res.status(201).json({ success: true, token, url: `/s/${token}`, share });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error(`[Shares] Create error for ${filePath}:`, error);
+        res.status(500).json({ error: "Failed to create share link" });
+    }
+});
+
+// Active share links of the org
+app.get("/api/orgs/:orgName/shares", requireAdmin, (req, res) => {
+    try {
+        res.json(shares.listShares(req.params.orgName));
+    } catch (error) {
+        console.error(`[Shares] List error for ${req.params.orgName}:`, error);
+        res.status(500).json({ error: "Failed to list share links" });
+    }
+});
+
+// Revoke a share link
+app.delete("/api/orgs/:orgName/shares/:id", requireAdmin, (req, res) => {
+    try {
+        const share = shares.revokeShare(req.params.orgName, req.params.id);
+        audit.record(req, { org: req.params.orgName, action: "file.share.revoke", targets: [share.path], details: { shareId: share.id } });
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error(`[Shares] Revoke error for ${req.params.id}:`, error);
+        res.status(500).json({ error: "Failed to revoke share link" });
+    }
+});
+
+// Webhook endpoints of the org, with their signing secrets, and the events they can subscribe to
+app.get("/api/orgs/:orgName/webhooks", requireAdmin, async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const configData = await readOrgConfig(orgName);
+        res.json({ webhooks: configData.webhooks || [], events: webhooks.EVENTS });
+    } catch (error) {
+        console.error(`[Webhooks] Error reading webhooks for ${orgName}:`, error);
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json({ error: "Organization config not found" });
+        }
+        res.status(500).json({ error: "Failed to read webhooks" });
+    }
+});
+
+// Replace the org's webhook endpoints. Body: { webhooks: [{ id, url, events, secret, active }] }.
+// An endpoint keeps its secret when none is sent; new ones get a generated secret.
+app.put("/api/orgs/:orgName/webhooks", requireAdmin, express.json(), async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const configData = await readOrgConfig(orgName);
+        const before = { ...configData };
+        configData.webhooks = webhooks.prepareWebhooks((req.body || {}).webhooks, configData.webhooks);
+        configData.updatedAt = new Date().toISOString();
+        await writeOrgConfig(orgName, configData);
+        audit.record(req, {
+            org: orgName,
+            action: "org.webhooks",
+            targets: [configPath(orgName)],
+            ...audit.configChange(before, configData, ["webhooks"]),
+        });
+        console.log(`[Webhooks] Updated webhooks for ${orgName}`);
+        res.json({ success: true, webhooks: configData.webhooks });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`[Webhooks] Error updating webhooks for ${orgName}:`, error);
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json({ error: "Organization config not found" });
+        }
+        res.status(500).json({ error: "Failed to update webhooks" });
+    }
+});
+
+// Queue a "webhook.test" event for one endpoint
+app.post("/api/orgs/:orgName/webhooks/:id/test", requireAdmin, async (req, res) => {
+    const { orgName, id } = req.params;
+    try {
+        const configData = await readOrgConfig(orgName);
+        const hook = (configData.webhooks || []).find((h) => h.id === id);
+        if (!hook) return res.status(404).json({ error: "Webhook not found" });
+        const delivery = webhooks.sendTest(orgName, hook);
+        res.status(202).json({ success: true, deliveryId: delivery.id, eventId: delivery.event.id });
+    } catch (error) {
+        console.error(`[Webhooks] Test error for ${orgName}/${id}:`, error);
+        res.status(500).json({ error: "Failed to queue test event" });
+    }
+});
+
+// Deliveries still being tried, and the dead letters that ran out of attempts
+app.get("/api/orgs/:orgName/webhooks/deliveries", requireAdmin, (req, res) => {
+    const { orgName } = req.params;
+    res.json({ pending: webhooks.listPending(orgName), dead: webhooks.listDeadLetters(orgName) });
+});
+
+// Send a dead letter again, with a fresh set of attempts
+app.post("/api/orgs/:orgName/webhooks/deliveries/:id/retry", requireAdmin, (req, res) => {
+    try {
+        res.status(202).json({ success: true, delivery: webhooks.retryDeadLetter(req.params.orgName, req.params.id) });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error(`[Webhooks] Retry error for ${req.params.id}:`, error);
+        res.status(500).json({ error: "Failed to retry delivery" });
+    }
+});
+
+// Drop a dead letter
+app.delete("/api/orgs/:orgName/webhooks/deliveries/:id", requireAdmin, (req, res) => {
+    try {
+        webhooks.discardDeadLetter(req.params.orgName, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error(`[Webhooks] Discard error for ${req.params.id}:`, error);
+        res.status(500).json({ error: "Failed to discard delivery" });
+    }
+});
+
+// Unlock a password-protected share link; the returned key goes along as ?key= (or X-Share-Key)
+app.post("/s/:token/unlock", express.json(), async (req, res) => {
+    try {
+        const share = shares.resolveShare(req.params.token);
+        res.json(await shares.unlockShare(share, req.body.password));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error("[Shares] Unlock error:", error);
+        res.status(500).json({ error: "Failed to unlock link" });
+    }
+});
+
+// View key of a share link request: ?view=, the X-Share-View header or the cookie set when the view began
+const shareViewKey = (req) => {
+    if (req.query.view) return req.query.view;
+    if (req.headers["x-share-view"]) return req.headers["x-share-view"];
+    const cookie = (req.headers.cookie || "").split(";").map((c) => c.trim()).find((c) => c.startsWith("share_view="));
+    return cookie ? decodeURIComponent(cookie.slice("share_view=".length)) : null;
+};
+
+// Public file behind a share link, with the same range and conditional support as /api/files/stream.
+// ?download=1 asks for an attachment, if the link allows downloads. A GET without a view key starts a
+// view: it is counted against the link's limit and answered with a key (X-Share-View header and a
+// cookie scoped to the link) under which the player's range and seek requests go on uncounted.
+app.get("/s/:token", async (req, res) => {
+    let share;
+    const viewKey = shareViewKey(req);
+    try {
+        share = shares.resolveShare(req.params.token, viewKey);
+    } catch (error) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    if (!shares.isUnlocked(share, req.query.key || req.headers["x-share-key"])) {
+        return res.status(401).json({ error: "This link needs a password", passwordRequired: true });
+    }
+    const download = req.query.download === "1" || req.query.download === "true";
+    if (download && !share.allowDownload) {
+        return res.status(403).json({ error: "Downloads are not allowed for this link" });
+    }
+
+    try {
+        const stat = await storage.stat(share.path);
+        if (req.method === "GET" && !shares.inView(share, viewKey)) {
+            const view = await shares.startView(share);
+            const maxAge = Math.max(0, Math.floor((Date.parse(view.expiresAt) - Date.now()) / 1000));
+            res.setHeader("X-Share-View", view.viewKey);
+            res.setHeader("Set-Cookie", `share_view=${encodeURIComponent(view.viewKey)}; Path=/s/${req.params.token}; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${req.secure ? "; Secure" : ""}`);
+        }
+
+        const filename = encodeURIComponent(path.posix.basename(share.path));
+        res.setHeader("Content-Disposition", `${download ? "attachment" : "inline"}; filename*=UTF-8''${filename}`);
+        res.setHeader("X-Robots-Tag", "noindex");
+        await sendStoredFile(req, res, share.path, stat, mimeTypeFor(share.path));
+    } catch (error) {
+        if (error.status === 404 || (error.response && error.response.status === 404)) {
+            return res.status(404).json({ error: "File not found" });
+        }
+        if (error.status === 410 || error.status === 503) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`[Shares] Stream error for ${share.id}:`, error.message);
+        if (!res.headersSent) res.status(500).json({ error: "Failed to stream file" });
+    }
+});
+
+// Playlist as listed: everything but the items, which are only counted
+const playlistSummary = ({ items, ...playlist }) => ({ ...playlist, itemCount: items.length });
+
+// Playlist items the caller may see, in order: { path, folder, filename, missing, thumbnails }.
+// Files that are gone (deleted or changed outside the API) stay in the list marked missing. Files whose
+// sidecar can't be read are left out for everyone but admins.
+const playlistItemsFor = async (auth, access, org, paths) => {
+    const items = await Promise.all(paths.map(async (remotePath) => {
+        const folder = remotePath.split("/")[3];
+        const missing = !(await storage.exists(remotePath));
+        let sidecar = null;
+        try {
+            if (!missing) sidecar = await readSidecar(remotePath);
+        } catch (error) {
+            if (!isAdmin(auth)) return null;
+        }
+        if (!access.canSee(folder, sidecar && sidecar.level)) return null;
+        const filename = path.posix.basename(remotePath);
+        return {
+            path: remotePath,
+            folder,
+            filename,
+            missing,
+            thumbnails: !missing && mediaKind(filename) ? thumbnailUrls(org, folder, relativeMediaPath(remotePath)) : null,
+        };
+    }));
+    return items.filter(Boolean);
+};
+
+// Playlists and collections of the org
+app.get("/api/orgs/:orgName/playlists", async (req, res) => {
+    try {
+        res.json((await playlists.listPlaylists(req.params.orgName)).map(playlistSummary));
+    } catch (error) {
+        console.error(`[Playlists] List error for ${req.params.orgName}:`, error);
+        res.status(500).json({ error: "Failed to list playlists" });
+    }
+});
+
+// One playlist with its items, leaving out files above the caller's level
+app.get("/api/orgs/:orgName/playlists/:id", async (req, res) => {
+    const { orgName, id } = req.params;
+    try {
+        const playlist = await playlists.getPlaylist(orgName, id);
+        const access = await accessFor(req.auth);
+        const [cover] = playlist.cover ? await playlistItemsFor(req.auth, access, orgName, [playlist.cover]) : [];
+        res.json({
+            ...playlist,
+            cover: cover || null,
+            items: await playlistItemsFor(req.auth, access, orgName, playlist.items),
+        });
+    } catch (error) {
+        if (error.status === 404) return res.status(404).json({ error: error.message });
+        console.error(`[Playlists] Read error for ${orgName}/${id}:`, error);
+        res.status(500).json({ error: "Failed to read playlist" });
+    }
+});
+
+// Create a playlist: { title, description, cover, items: [paths in order] }
+app.post("/api/orgs/:orgName/playlists", requireAdmin, express.json(), async (req, res) => {
+    const { orgName } = req.params;
+    try {
+        const playlist = await playlists.createPlaylist(orgName, req.body);
+        audit.record(req, { org: orgName, action: "playlist.create", targets: playlist.items, details: { playlistId: playlist.id, title: playlist.title } });
+        res.status(201).json(playlist);
+    } catch (error) {
+        if (error.status === 400) return res.status(400).json({ error: error.message });
+        console.error(`[Playlists] Create error for ${orgName}:`, error);
+        res.status(500).json({ error: "Failed to create playlist" });
+    }
+});
+
+// Change any of title, description, cover and items (the whole new order)
+app.patch("/api/orgs/:orgName/playlists/:id", requireAdmin, express.json(), async (req, res) => {
+    const { orgName, id } = req.params;
+    try {
+        const { before, after } = await playlists.updatePlaylist(orgName, id, req.body);
+        audit.record(req, {
+            org: orgName,
+            action: "playlist.update",
+            targets: after.items,
+            before,
+            after,
+            details: { playlistId: id },
+        });
+        res.json(after);
+    } catch (error) {
+        if (error.status === 400 || error.status === 404) return res.status(error.status).json({ error: error.message });
+        console.error(`[Playlists] Update error for ${orgName}/${id}:`, error);
+        res.status(500).json({ error: "Failed to update playlist" });
+    }
+});
+
+// Delete a playlist. Its files stay where they are.
+app.delete("/api/orgs/:orgName/playlists/:id", requireAdmin, async (req, res) => {
+    const { orgName, id } = req.params;
+    try {
+        const playlist = await playlists.deletePlaylist(orgName, id);
+        audit.record(req, { org: orgName, action: "playlist.delete", targets: [], details: { playlistId: id, title: playlist.title } });
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status === 404) return res.status(404).json({ error: error.message });
+        console.error(`[Playlists] Delete error for ${orgName}/${id}:`, error);
+        res.status(500).json({ error: "Failed to delete playlist" });
+    }
+});
+
+// Query the org's audit log, newest first: ?action= (comma separated, "file.*" for a group),
+// actor= (display name, role or level), from/to (dates), limit and offset
+app.get("/api/orgs/:orgName/audit", requireAdmin, (req, res) => {
+    try {
+        res.json(audit.queryAudit(req.params.orgName, req.query));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`[Audit] Query error for ${req.params.orgName}:`, error);
+        res.status(500).json({ error: "Failed to read audit log" });
+    }
+});
+
+// Rebuild the org's search index from storage in the background
+app.post("/api/orgs/:orgName/search/rebuild", requireAdmin, (req, res) => {
+    const job = queueRebuild(req.params.orgName);
+    res.status(202).json({ success: true, jobId: job.id, status: job.status });
+});
+
+// Move/Rename File
+app.post("/api/files/move", requireAuth, requireAdmin, express.json(), requireMediaPaths("source", "destination"), async (req, res) => {
+    const { source } = req.mediaPaths;
+    let { destination } = req.mediaPaths;
+    if (!source || !destination) {
+        return res.status(400).json({ error: "Missing source or destination" });
+    }
+
+    // An existing file at the destination is never overwritten. onConflict: reject (409, the default)
+    // or rename to the next free "name (n).ext".
+    const onConflict = req.body.onConflict === undefined ? "reject" : req.body.onConflict;
+    if (!["reject", "rename"].includes(onConflict)) {
+        return res.status(400).json({ error: "onConflict must be one of reject, rename" });
+    }
+
+    // The destination folder takes a file only as it would an upload: of its kind, allowed by the
+    // org and named for its format. Folders stay within their media folder.
+    try {
+        const { type } = await storage.stat(source);
+        const folder = destination.split("/")[3];
+        if (type === "directory") {
+            if (folder !== source.split("/")[3]) {
+                return res.status(400).json({ error: "Folders can only be moved within their media folder" });
+            }
+        } else {
+            await checkMove(req.auth.org, folder, path.posix.basename(source), path.posix.basename(destination));
+        }
+    } catch (error) {
+        if (error.response && error.response.status === 404) return res.status(404).json({ error: "Source file not found" });
+        if (error.code && error.status) {
+            console.warn(`[Formats] Refused move of ${source} to ${destination}: ${error.message}`);
+            return res.status(error.status).json(formatErrorBody(error));
+        }
+        console.error("Move file error:", error);
+        return res.status(500).json({ error: "Failed to move file" });
+    }
+
+    try {
+        if (await storage.exists(source)) {
+            destination = await resolveCollision(destination, onConflict);
+            // Moving into a subfolder creates it
+            await storage.createDirectory(path.posix.dirname(destination), { recursive: true });
+            await storage.moveFile(source, destination);
+            // Keep the sidecar, HLS renditions, thumbnails and versions alongside the moved file
+            if (await storage.exists(metaPathFor(source))) {
+                await storage.moveFile(metaPathFor(source), metaPathFor(destination));
+            }
+            const destinationDirs = derivedDirsFor(destination);
+            for (const [index, dir] of derivedDirsFor(source).entries()) {
+                if (await storage.exists(dir)) {
+                    await storage.createDirectory(path.posix.dirname(destinationDirs[index]), { recursive: true });
+                    await storage.moveFile(dir, destinationDirs[index]);
+                }
+            }
+            invalidateVariants(source);
+            invalidateVariants(destination);
+            await moveIndexedMedia(source, destination);
+            shares.moveShares(source, destination);
+            await playlists.moveReferences(req.auth.org, source, destination);
+            audit.record(req, { org: req.auth.org, action: "file.move", targets: [source, destination] });
+            await webhooks.emit(req.auth.org, "file.moved", { from: source, to: destination });
+            res.json({ success: true, message: "File moved", path: destination });
+        } else {
+            res.status(404).json({ error: "Source file not found" });
+        }
+    } catch (error) {
+        if (error.status === 409) return res.status(409).json({ error: error.message });
+        console.error("Move file error:", error);
+        res.status(500).json({ error: "Failed to move file" });
+    }
+});
+
+const PORT = process.env.PORT || 3000;
+
+// Initialize storage structure
+const initStorage = async () => {
+  try {
+    const exists = await storage.exists("/organizations");
+    if (!exists) {
+      console.log("Creating /organizations folder...");
+      await storage.createDirectory("/organizations");
+    }
+  } catch (error) {
+    console.error("Failed to initialize storage:", error);
+  }
+};
+
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    await initStorage();
+    startJobQueue();
+    tus.startCleanup();
+    trash.startCleanup();
+    webhooks.start();
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
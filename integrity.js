@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+const { storage } = require("./storage");
+const { readOrgConfig } = require("./orgConfig");
+const { readSidecar, writeIntegrity } = require("./sidecar");
+const { findByHash, listMediaFiles, indexMedia } = require("./search");
+const { registerHandler, enqueue } = require("./jobs");
+
+// Content hashes. Every upload is hashed (SHA-256) on arrival: the hash is checked against an optional
+// client-supplied checksum, used to find an identical file already in the org, and stored in the
+// sidecar's "integrity" block along with the hash of the bytes actually stored (which differ once a
+// watermark is applied). Verification re-hashes the stored file against the latter:
+//
+// "integrity": { "algorithm": "sha256", "sha256": "...", "storedSha256": "...", "size": 123,
+//                "hashedAt": "...", "lastVerifiedAt": "...", "lastVerifyStatus": "ok" }
+
+// What happens when an upload's content already exists in the org: "return" the existing file,
+// "reject" the upload, or "allow" the copy. Orgs can override with "uploads": { "duplicates": ... }.
+const DUPLICATE_POLICIES = ["return", "reject", "allow"];
+const DEFAULT_DUPLICATE_POLICY = DUPLICATE_POLICIES.includes(process.env.UPLOAD_DUPLICATES)
+    ? process.env.UPLOAD_DUPLICATES
+    : "return";
+
+function integrityError(status, message, extra = {}) {
+    const error = new Error(message);
+    error.status = status;
+    Object.assign(error, extra);
+    return error;
+}
+
+async function hashStream(stream) {
+    const hash = crypto.createHash("sha256");
+    await pipeline(stream, hash);
+    return hash.digest("hex");
+}
+
+const hashFile = (localPath) => hashStream(fs.createReadStream(localPath));
+const hashStored = (remotePath) => hashStream(storage.createReadStream(remotePath));
+
+// A client checksum as lowercase hex. Accepts hex, base64, and either with a "sha256:" or
+// "sha-256=" prefix (the Digest header form).
+function parseChecksum(value) {
+    if (typeof value !== "string") throw integrityError(400, "Checksum must be a string");
+    const digest = value.trim().replace(/^sha-?256[:=]/i, "");
+    if (/^[a-f0-9]{64}$/i.test(digest)) return digest.toLowerCase();
+    const bytes = Buffer.from(digest, "base64");
+    if (bytes.length === 32 && /^[A-Za-z0-9+/]{43}=?$/.test(digest)) return bytes.toString("hex");
+    throw integrityError(400, "Checksum must be a SHA-256 digest in hex or base64");
+}
+
+function duplicatePolicy(configData) {
+    const policy = configData && configData.uploads && configData.uploads.duplicates;
+    return DUPLICATE_POLICIES.includes(policy) ? policy : DEFAULT_DUPLICATE_POLICY;
+}
+
+// Hash a received file, verify the client's checksum and look for an identical file in the org.
+// Returns { sha256, duplicateOf } (duplicateOf set when the policy is "return"). Throws 422 on a
+// checksum mismatch and 409 when the policy is "reject" and a duplicate exists.
+async function screenUpload(orgName, localPath, clientChecksum) {
+    const expected = clientChecksum ? parseChecksum(clientChecksum) : null;
+    const sha256 = await hashFile(localPath);
+    if (expected && expected !== sha256) {
+        throw integrityError(422, "Checksum mismatch: the file was damaged in transfer", { expected, actual: sha256 });
+    }
+
+    let configData = {};
+    try {
+        configData = await readOrgConfig(orgName);
+    } catch (error) {
+        console.warn(`[Integrity] No config for ${orgName}, using the default duplicate policy`);
+    }
+    const policy = duplicatePolicy(configData);
+    if (policy === "allow") return { sha256, duplicateOf: null };
+
+    const existing = await findByHash(orgName, sha256);
+    if (!existing || !(await storage.exists(existing))) return { sha256, duplicateOf: null };
+    if (policy === "reject") {
+        throw integrityError(409, `Duplicate of ${existing}`, { duplicateOf: existing, sha256 });
+    }
+    return { sha256, duplicateOf: existing };
+}
+
+// The sidecar integrity block for a newly stored file
+function integrityRecord(sha256, storedSha256, size) {
+    return { algorithm: "sha256", sha256, storedSha256, size, hashedAt: new Date().toISOString() };
+}
+
+// Re-hash a stored file. Files without a recorded hash (stored before hashing existed) get one,
+// which later checks compare against. Returns { path, status: ok|mismatch|recorded, expected, actual }.
+async function verifyFile(remotePath) {
+    const sidecar = await readSidecar(remotePath).catch(() => null);
+    const integrity = (sidecar && sidecar.integrity) || null;
+    const actual = await hashStored(remotePath);
+    const expected = integrity ? integrity.storedSha256 : null;
+    const status = !expected ? "recorded" : expected === actual ? "ok" : "mismatch";
+    const verifiedAt = new Date().toISOString();
+
+    const { size } = await storage.stat(remotePath);
+    await writeIntegrity(remotePath, {
+        ...(integrity || integrityRecord(actual, actual, size)),
+        lastVerifiedAt: verifiedAt,
+        lastVerifyStatus: status,
+    });
+    if (!integrity) await indexMedia(remotePath);
+    if (status === "mismatch") {
+        console.error(`[Integrity] ${remotePath} does not match its recorded hash (expected ${expected}, got ${actual})`);
+    }
+    return { path: remotePath, status, expected, actual, verifiedAt };
+}
+
+// Verify every media file of an org; run by the job queue
+async function verifyOrg(orgName, update) {
+    const files = await listMediaFiles(orgName);
+    const summary = { org: orgName, checked: 0, ok: 0, recorded: 0, mismatched: [], failed: [] };
+    for (const [index, { remotePath }] of files.entries()) {
+        try {
+            const result = await verifyFile(remotePath);
+            summary.checked += 1;
+            if (result.status === "mismatch") summary.mismatched.push(remotePath);
+            else summary[result.status] += 1;
+        } catch (error) {
+            console.error(`[Integrity] Failed to verify ${remotePath}:`, error.message);
+            summary.failed.push({ path: remotePath, error: error.message });
+        }
+        update({ progress: ((index + 1) / files.length) * 100 });
+    }
+    console.log(`[Integrity] Verified ${summary.checked} files for ${orgName}, ${summary.mismatched.length} mismatched`);
+    return summary;
+}
+
+registerHandler("verify", (job, update) => verifyOrg(job.org, update));
+
+function queueVerify(orgName) {
+    return enqueue("verify", orgName, {});
+}
+
+module.exports = {
+    DUPLICATE_POLICIES,
+    hashFile,
+    parseChecksum,
+    screenUpload,
+    integrityRecord,
+    verifyFile,
+    queueVerify,
+};
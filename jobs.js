@@ -0,0 +1,243 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+
+// Persistent job queue. Each job is a JSON file in JOBS_DIR so queued work survives a restart,
+// and a job is claimed by exclusively creating <id>.lock, which keeps cluster workers from
+// running the same job twice.
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const JOBS_DIR = path.join(DATA_DIR, "jobs");
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const RETRY_DELAY_MS = 30 * 1000;
+const POLL_INTERVAL_MS = 2000;
+// Finished jobs are kept this long so clients can still poll the result
+const RETENTION_MS = (parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+const STATUS = {
+    QUEUED: "queued",
+    PROCESSING: "processing",
+    UPLOADING: "uploading",
+    DONE: "done",
+    FAILED: "failed",
+};
+
+const handlers = {};
+const running = new Set();
+let timer = null;
+
+function jobFile(id) {
+    return path.join(JOBS_DIR, `${id}.json`);
+}
+
+function lockFile(id) {
+    return path.join(JOBS_DIR, `${id}.lock`);
+}
+
+function writeJob(job) {
+    // Write then rename so readers never see a half-written file
+    const tmp = `${jobFile(job.id)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(job, null, 2));
+    fs.renameSync(tmp, jobFile(job.id));
+}
+
+function getJob(id) {
+    if (!/^[a-f0-9-]+$/.test(id)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(jobFile(id), "utf8"));
+    } catch (e) {
+        return null;
+    }
+}
+
+function listJobs(filter = {}) {
+    if (!fs.existsSync(JOBS_DIR)) return [];
+    return fs.readdirSync(JOBS_DIR)
+        .filter((name) => name.endsWith(".json"))
+        .map((name) => getJob(name.slice(0, -5)))
+        .filter((job) => job
+            && (!filter.org || job.org === filter.org)
+            && (!filter.status || job.status === filter.status))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Register the function that runs jobs of a given type: handler(job, update) => result.
+// onFailed(job) runs once a job has used up its attempts, e.g. to remove temp files.
+function registerHandler(type, handler, { onFailed } = {}) {
+    handlers[type] = { run: handler, onFailed };
+}
+
+function enqueue(type, org, data) {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        org,
+        status: STATUS.QUEUED,
+        progress: 0,
+        attempts: 0,
+        maxAttempts: MAX_ATTEMPTS,
+        availableAt: now,
+        error: null,
+        result: null,
+        data,
+        createdAt: now,
+        updatedAt: now,
+    };
+    writeJob(job);
+    if (timer) setImmediate(tick);
+    return job;
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === "EPERM";
+    }
+}
+
+function claim(id) {
+    try {
+        fs.writeFileSync(lockFile(id), String(process.pid), { flag: "wx" });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function release(id) {
+    try {
+        fs.unlinkSync(lockFile(id));
+    } catch (e) {}
+}
+
+// Jobs left mid-run by a crashed or restarted process go back to the queue
+function recoverStaleJobs() {
+    if (!fs.existsSync(JOBS_DIR)) return;
+    for (const name of fs.readdirSync(JOBS_DIR).filter((n) => n.endsWith(".lock"))) {
+        const id = name.slice(0, -5);
+        const pid = parseInt(fs.readFileSync(path.join(JOBS_DIR, name), "utf8"), 10);
+        if (pid && pid !== process.pid && isProcessAlive(pid)) continue;
+
+        const job = getJob(id);
+        if (job && (job.status === STATUS.PROCESSING || job.status === STATUS.UPLOADING)) {
+            console.log(`[Jobs] Requeueing interrupted job ${id}`);
+            writeJob({ ...job, status: STATUS.QUEUED, progress: 0, updatedAt: new Date().toISOString() });
+        }
+        release(id);
+    }
+}
+
+function pruneFinishedJobs() {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const job of listJobs()) {
+        if ((job.status === STATUS.DONE || job.status === STATUS.FAILED) && Date.parse(job.updatedAt) < cutoff) {
+            try {
+                fs.unlinkSync(jobFile(job.id));
+            } catch (e) {}
+        }
+    }
+}
+
+async function run(job) {
+    const handler = handlers[job.type];
+    job.attempts += 1;
+    job.status = STATUS.PROCESSING;
+    job.progress = 0;
+    job.error = null;
+    job.updatedAt = new Date().toISOString();
+    writeJob(job);
+
+    // Handlers report status changes, progress and their own state (kept across retries) through update()
+    let lastWrite = 0;
+    const update = (changes) => {
+        const progressOnly = Object.keys(changes).every((key) => key === "progress" || (key === "status" && changes.status === job.status));
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        if (typeof job.progress === "number") job.progress = Math.min(100, Math.max(0, Math.round(job.progress)));
+        // Progress events fire many times per second; persist those at most once a second
+        if (!progressOnly || Date.now() - lastWrite >= 1000) {
+            lastWrite = Date.now();
+            writeJob(job);
+        }
+    };
+
+    try {
+        if (!handler) throw new Error(`No handler registered for job type ${job.type}`);
+        const result = await handler.run(job, update);
+        Object.assign(job, { status: STATUS.DONE, progress: 100, result });
+        console.log(`[Jobs] ${job.type} job ${job.id} done`);
+    } catch (error) {
+        // Handlers mark errors that a retry can't fix (e.g. missing input) as permanent
+        const willRetry = !error.permanent && job.attempts < job.maxAttempts;
+        console.error(`[Jobs] ${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+        Object.assign(job, {
+            status: willRetry ? STATUS.QUEUED : STATUS.FAILED,
+            progress: 0,
+            error: error.message,
+            availableAt: new Date(Date.now() + RETRY_DELAY_MS * job.attempts).toISOString(),
+        });
+        if (!willRetry && handler && handler.onFailed) {
+            await Promise.resolve(handler.onFailed(job)).catch(() => {});
+        }
+    }
+    job.updatedAt = new Date().toISOString();
+    writeJob(job);
+}
+
+function tick() {
+    if (running.size >= CONCURRENCY) return;
+
+    const now = Date.now();
+    const ready = listJobs({ status: STATUS.QUEUED }).filter((job) => Date.parse(job.availableAt) <= now);
+
+    for (const job of ready) {
+        if (running.size >= CONCURRENCY) break;
+        if (running.has(job.id) || !claim(job.id)) continue;
+
+        // Re-read after claiming in case another worker finished it in between
+        const fresh = getJob(job.id);
+        if (!fresh || fresh.status !== STATUS.QUEUED) {
+            release(job.id);
+            continue;
+        }
+
+        running.add(job.id);
+        run(fresh).finally(() => {
+            running.delete(job.id);
+            release(job.id);
+            setImmediate(tick);
+        });
+    }
+}
+
+function start() {
+    if (timer) return;
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    recoverStaleJobs();
+    pruneFinishedJobs();
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    timer.unref();
+    tick();
+    console.log(`[Jobs] Queue started (concurrency ${CONCURRENCY})`);
+}
+
+// Shape returned to clients - internal data such as temp file paths stays on the server
+function publicJob(job) {
+    const { data, availableAt, ...rest } = job;
+    return { ...rest, filename: data && data.filename, folder: data && data.folder };
+}
+
+module.exports = {
+    STATUS,
+    DATA_DIR,
+    registerHandler,
+    enqueue,
+    getJob,
+    listJobs,
+    publicJob,
+    start,
+};
@@ -0,0 +1,172 @@
+const { hashPassword, isAdmin } = require("./auth");
+const { MEDIA_FOLDERS } = require("./paths");
+const { readOrgConfig } = require("./orgConfig");
+const { readSidecar } = require("./sidecar");
+const { isNotFound } = require("./storage/errors");
+
+// Access levels. config.json "levels" lists them from lowest to highest:
+//
+// "levels": [{ "id": "public", "name": "Public" }, { "id": "staff", "name": "Staff", "passwordHash": "scrypt$..." }],
+// "folderLevels": { "videos": "staff" }
+//
+// A viewer logs in at a level (with that level's password) and may see files up to and including it.
+// A file's minimum level is the "level" in its sidecar, else its folder's default, else none
+// (visible to everyone). The org password logs in as admin, who sees everything and manages levels.
+// Older configs may list levels as plain names; they are read as { id, name } in the same order.
+
+const LEVEL_ID = /^[A-Za-z0-9_-]{1,32}$/;
+
+function levelError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function slug(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 32);
+}
+
+// Level definitions of a config in { id, name, passwordHash? } form
+function normalizeLevels(levels) {
+    if (!Array.isArray(levels)) return [];
+    return levels
+        .map((level) => {
+            if (typeof level === "string") return { id: slug(level), name: level };
+            if (level && typeof level === "object") {
+                const id = level.id || slug(level.name || "");
+                return { ...level, id, name: level.name || id };
+            }
+            return null;
+        })
+        .filter((level) => level && level.id);
+}
+
+// Validate client-supplied definitions and hash their passwords. A level that keeps its id keeps
+// its password unless a new one is given.
+async function prepareLevels(input, existingLevels = []) {
+    if (!Array.isArray(input)) throw levelError("levels must be an array");
+    const existing = normalizeLevels(existingLevels);
+    const seen = new Set();
+    const prepared = [];
+
+    for (const [index, raw] of input.entries()) {
+        const level = typeof raw === "string" ? { name: raw } : raw;
+        if (!level || typeof level !== "object") throw levelError(`levels[${index}] must be an object`);
+        const id = level.id || slug(level.name || "");
+        if (!LEVEL_ID.test(id)) {
+            throw levelError(`levels[${index}].id must be 1-32 letters, digits, dashes or underscores`);
+        }
+        if (seen.has(id)) throw levelError(`Duplicate level id: ${id}`);
+        seen.add(id);
+
+        const entry = { id, name: typeof level.name === "string" && level.name.trim() ? level.name.trim() : id };
+        if (level.password !== undefined && level.password !== null && level.password !== "") {
+            if (typeof level.password !== "string") throw levelError(`levels[${index}].password must be a string`);
+            entry.passwordHash = await hashPassword(level.password);
+        } else {
+            const previous = existing.find((l) => l.id === id);
+            if (previous && previous.passwordHash) entry.passwordHash = previous.passwordHash;
+        }
+        prepared.push(entry);
+    }
+    return prepared;
+}
+
+function validateFolderLevels(folderLevels, levels) {
+    if (folderLevels === null || typeof folderLevels !== "object" || Array.isArray(folderLevels)) {
+        throw levelError("folderLevels must be an object");
+    }
+    for (const [folder, levelId] of Object.entries(folderLevels)) {
+        if (!MEDIA_FOLDERS.includes(folder)) throw levelError(`folderLevels.${folder} is not a media folder`);
+        if (levelId !== null && !levels.some((level) => level.id === levelId)) {
+            throw levelError(`folderLevels.${folder}: unknown level ${levelId}`);
+        }
+    }
+    return folderLevels;
+}
+
+// Apply { levels, folderLevels } (either may be omitted) to a config. Folder defaults pointing at a
+// removed level are dropped; files still set to one become visible to admins only.
+async function applyLevelChanges(configData, { levels, folderLevels }) {
+    const definitions = levels !== undefined
+        ? await prepareLevels(levels, configData.levels)
+        : normalizeLevels(configData.levels);
+
+    let defaults;
+    if (folderLevels !== undefined) {
+        defaults = validateFolderLevels(folderLevels, definitions);
+    } else {
+        defaults = {};
+        for (const [folder, levelId] of Object.entries(configData.folderLevels || {})) {
+            if (definitions.some((level) => level.id === levelId)) defaults[folder] = levelId;
+        }
+    }
+
+    configData.levels = definitions;
+    configData.folderLevels = defaults;
+    return configData;
+}
+
+// Level definitions safe to send to clients
+function publicLevels(levels) {
+    return normalizeLevels(levels).map(({ passwordHash, password, ...level }) => ({ ...level, hasPassword: !!(passwordHash || password) }));
+}
+
+// Rank of a level id: 0 for none, position + 1 for a defined level. An unknown id (e.g. a deleted
+// level still set on a file) ranks above every viewer, so only admins see that file.
+function levelRank(levels, levelId) {
+    if (!levelId) return 0;
+    const index = normalizeLevels(levels).findIndex((level) => level.id === levelId);
+    return index === -1 ? Infinity : index + 1;
+}
+
+// Highest rank the caller may see. A viewer whose level was removed sees only unrestricted files.
+function callerRank(auth, configData) {
+    if (isAdmin(auth)) return Infinity;
+    const rank = levelRank(configData.levels, auth.level);
+    return rank === Infinity ? 0 : rank;
+}
+
+// Minimum level of a file: its own, else its folder's default
+function effectiveLevel(configData, folder, ownLevel) {
+    if (ownLevel) return ownLevel;
+    return (configData.folderLevels && configData.folderLevels[folder]) || null;
+}
+
+// Access context for a request: resolves whether files are visible to the caller
+async function accessFor(auth) {
+    const configData = await readOrgConfig(auth.org);
+    const rank = callerRank(auth, configData);
+    return {
+        configData,
+        // Admins: no file is restricted for them
+        unrestricted: rank === Infinity,
+        levelOf: (folder, ownLevel) => effectiveLevel(configData, folder, ownLevel),
+        canSee: (folder, ownLevel) => rank === Infinity || levelRank(configData.levels, effectiveLevel(configData, folder, ownLevel)) <= rank,
+    };
+}
+
+// Throw a 403 if the caller's level doesn't cover a stored file (reads its sidecar). A sidecar that
+// can't be read fails the check rather than falling back to the folder default.
+async function assertCanRead(auth, remotePath) {
+    if (isAdmin(auth)) return;
+    const folder = remotePath.split("/")[3];
+    const access = await accessFor(auth);
+    const sidecar = await readSidecar(remotePath).catch((error) => {
+        if (isNotFound(error)) return null;
+        throw levelError("Your access level does not allow this file", 403);
+    });
+    if (!access.canSee(folder, sidecar && sidecar.level)) {
+        throw levelError("Your access level does not allow this file", 403);
+    }
+}
+
+module.exports = {
+    normalizeLevels,
+    prepareLevels,
+    applyLevelChanges,
+    publicLevels,
+    levelRank,
+    accessFor,
+    assertCanRead,
+};
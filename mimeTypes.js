@@ -0,0 +1,44 @@
+const path = require("path");
+
+// Content types by extension for every media type we store, plus logos and sidecars
+const MIME_TYPES = {
+    // Images
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".jfif": "image/jpeg",
+    ".pjpeg": "image/jpeg",
+    ".webp": "image/webp",
+    ".gif": "image/gif",
+    ".avif": "image/avif",
+    ".tif": "image/tiff",
+    ".tiff": "image/tiff",
+    ".bmp": "image/bmp",
+    ".heic": "image/heic",
+    ".heif": "image/heif",
+    ".svg": "image/svg+xml",
+    ".ico": "image/x-icon",
+    // Video
+    ".mp4": "video/mp4",
+    ".m4v": "video/x-m4v",
+    ".mov": "video/quicktime",
+    ".webm": "video/webm",
+    ".mkv": "video/x-matroska",
+    ".avi": "video/x-msvideo",
+    ".3gp": "video/3gpp",
+    ".ogv": "video/ogg",
+    ".mpg": "video/mpeg",
+    ".mpeg": "video/mpeg",
+    ".wmv": "video/x-ms-wmv",
+    ".flv": "video/x-flv",
+    // Other
+    ".json": "application/json",
+};
+
+const DEFAULT_MIME_TYPE = "application/octet-stream";
+
+function mimeTypeFor(filename) {
+    return MIME_TYPES[path.extname(filename).toLowerCase()] || DEFAULT_MIME_TYPE;
+}
+
+module.exports = { MIME_TYPES, DEFAULT_MIME_TYPE, mimeTypeFor };
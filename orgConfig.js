@@ -0,0 +1,39 @@
+const { storage } = require("./storage");
+
+// Fields that must never leave the server
+const SECRET_FIELDS = ["password", "passwordHash", "secret"];
+
+function configPath(orgName) {
+    return `/organizations/${orgName}/config.json`;
+}
+
+// Read and parse an org's config.json. Throws the storage error (404 etc.) if missing.
+async function readOrgConfig(orgName) {
+    const content = await storage.getFileContents(configPath(orgName));
+    return JSON.parse(content.toString());
+}
+
+async function writeOrgConfig(orgName, configData) {
+    await storage.putFileContents(configPath(orgName), JSON.stringify(configData, null, 2), { overwrite: true });
+}
+
+// Copy of the config that is safe to return to clients
+function publicConfig(configData) {
+    const safe = { ...configData };
+    for (const field of SECRET_FIELDS) {
+        delete safe[field];
+    }
+    // Level passwords and webhook secrets too
+    for (const list of ["levels", "webhooks"]) {
+        if (!Array.isArray(safe[list])) continue;
+        safe[list] = safe[list].map((entry) => {
+            if (!entry || typeof entry !== "object") return entry;
+            const copy = { ...entry };
+            for (const field of SECRET_FIELDS) delete copy[field];
+            return copy;
+        });
+    }
+    return safe;
+}
+
+module.exports = { configPath, readOrgConfig, writeOrgConfig, publicConfig };
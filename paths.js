@@ -0,0 +1,139 @@
+const path = require("path");
+
+// The only folders clients may read from or write to inside an org
+const MEDIA_FOLDERS = ["videos", "images"];
+
+// Percent-encoded separators or dots left after Express has decoded the query once (double encoding),
+// backslashes and control characters are never valid in a media path.
+const FORBIDDEN_PATTERN = /%2f|%5c|%2e|%00|\\|[\x00-\x1f\x7f]/i;
+
+function accessError(message) {
+    const error = new Error(message);
+    error.status = 403;
+    return error;
+}
+
+function orgRoot(orgName) {
+    return `/organizations/${orgName}`;
+}
+
+// Validate a single path segment (org name, folder or filename)
+function assertSegment(segment, label) {
+    if (typeof segment !== "string" || segment.length === 0) {
+        throw accessError(`Invalid ${label}`);
+    }
+    if (segment === "." || segment === ".." || segment.includes("/") || FORBIDDEN_PATTERN.test(segment)) {
+        throw accessError(`Invalid ${label}: ${segment}`);
+    }
+}
+
+// A new org name from a client: a single path segment that isn't hidden (no "..", "a/b" or ".trash")
+function assertOrgName(orgName) {
+    assertSegment(orgName, "organization name");
+    if (orgName.startsWith(".")) throw accessError(`Invalid organization name: ${orgName}`);
+}
+
+// Names starting with a dot are the server's hidden folders (.hls, .thumbs, .versions, .trash) and
+// "<file>.meta.json" is a sidecar. Derived files have their own routes, which check the level of the
+// file they belong to, so they are never addressed as media paths.
+function assertVisible(segment, label) {
+    if (segment.startsWith(".") || segment.endsWith(".meta.json")) {
+        throw accessError(`Invalid ${label}: ${segment}`);
+    }
+}
+
+// Resolve a client-supplied storage path and make sure it stays inside
+// /organizations/<org>/{videos,images}. Returns the normalized path or throws a 403 error.
+function resolveMediaPath(orgName, rawPath) {
+    assertSegment(orgName, "organization");
+
+    if (typeof rawPath !== "string" || rawPath.length === 0) {
+        throw accessError("Path is required");
+    }
+    if (FORBIDDEN_PATTERN.test(rawPath)) {
+        throw accessError("Path contains encoded separators or illegal characters");
+    }
+    if (!rawPath.startsWith("/")) {
+        throw accessError("Path must be absolute");
+    }
+
+    const segments = rawPath.split("/").filter(Boolean);
+    if (segments.some((segment) => segment === "." || segment === "..")) {
+        throw accessError("Path traversal is not allowed");
+    }
+
+    for (const segment of segments.slice(3)) assertVisible(segment, "path");
+
+    const normalized = path.posix.normalize(`/${segments.join("/")}`);
+    const allowed = MEDIA_FOLDERS.some((folder) => normalized.startsWith(`${orgRoot(orgName)}/${folder}/`));
+    if (!allowed) {
+        throw accessError(`Access denied: path must be inside ${orgRoot(orgName)}/{${MEDIA_FOLDERS.join(",")}}`);
+    }
+    return normalized;
+}
+
+// Segments of a subfolder path below a media folder ("trips/2024"). Names starting with a dot are
+// reserved for the server's hidden folders.
+function subfolderSegments(subPath) {
+    if (subPath === undefined || subPath === null || subPath === "" || subPath === "/") return [];
+    if (typeof subPath !== "string") throw accessError("Invalid subfolder");
+    const segments = subPath.split("/").filter(Boolean);
+    for (const segment of segments) {
+        assertSegment(segment, "subfolder");
+        assertVisible(segment, "subfolder");
+    }
+    return segments;
+}
+
+// Build the path of a media folder, or a subfolder of it, from route parameters
+function buildFolderPath(orgName, folder, subPath) {
+    assertSegment(orgName, "organization");
+    if (!MEDIA_FOLDERS.includes(folder)) {
+        throw accessError(`Access denied: folder must be one of ${MEDIA_FOLDERS.join(", ")}`);
+    }
+    return [`${orgRoot(orgName)}/${folder}`, ...subfolderSegments(subPath)].join("/");
+}
+
+// Build the path of a file inside a media folder from route parameters. filename may include
+// subfolders ("trips/2024/clip.mp4", sent percent-encoded as one route segment).
+function buildMediaPath(orgName, folder, filename) {
+    if (typeof filename !== "string") throw accessError("Invalid filename");
+    const slash = filename.lastIndexOf("/");
+    const name = filename.slice(slash + 1);
+    assertSegment(name, "filename");
+    assertVisible(name, "filename");
+    return `${buildFolderPath(orgName, folder, slash === -1 ? "" : filename.slice(0, slash))}/${name}`;
+}
+
+// A media path below its media folder: /organizations/Acme/videos/trips/clip.mp4 -> trips/clip.mp4
+function relativeMediaPath(remotePath) {
+    return remotePath.split("/").slice(4).join("/");
+}
+
+// Middleware: resolve the named path fields (query for GET, body otherwise) against the
+// token's org and expose them as req.mediaPaths. Missing fields are left for the route to report.
+function requireMediaPaths(...fields) {
+    return (req, res, next) => {
+        const source = req.method === "GET" || req.method === "HEAD" ? req.query : req.body || {};
+        req.mediaPaths = {};
+        try {
+            for (const field of fields) {
+                if (source[field] === undefined || source[field] === "") continue;
+                req.mediaPaths[field] = resolveMediaPath(req.auth.org, source[field]);
+            }
+        } catch (error) {
+            return res.status(error.status || 403).json({ error: error.message });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    MEDIA_FOLDERS,
+    assertOrgName,
+    resolveMediaPath,
+    buildFolderPath,
+    buildMediaPath,
+    relativeMediaPath,
+    requireMediaPaths,
+};
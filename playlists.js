@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+const { storage } = require("./storage");
+const { isNotFound } = require("./storage/errors");
+const { resolveMediaPath } = require("./paths");
+
+// Playlists (or collections): ordered lists of an org's files with a title, description and cover.
+// All of an org's playlists live in /organizations/<org>/playlists.json:
+//
+// { "playlists": [{ "id", "title", "description", "cover": "videos/intro.mp4", "items": ["videos/a.mp4", ...],
+//                   "createdAt", "updatedAt" }] }
+//
+// Paths are stored relative to the org so they survive an org rename; moving a file or folder
+// rewrites them (moveReferences). Clients always see and send full storage paths.
+
+const MAX_TITLE = 200;
+const MAX_DESCRIPTION = 2000;
+const MAX_ITEMS = 1000;
+const MAX_PLAYLISTS = 500;
+
+function playlistError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function playlistsPath(orgName) {
+    return `/organizations/${orgName}/playlists.json`;
+}
+
+const orgPrefix = (orgName) => `/organizations/${orgName}/`;
+const toStored = (orgName, remotePath) => remotePath.slice(orgPrefix(orgName).length);
+const toRemote = (orgName, stored) => `${orgPrefix(orgName)}${stored}`;
+
+async function readPlaylists(orgName) {
+    try {
+        const content = await storage.getFileContents(playlistsPath(orgName));
+        const data = JSON.parse(content.toString());
+        return Array.isArray(data.playlists) ? data.playlists : [];
+    } catch (error) {
+        if (isNotFound(error)) return [];
+        throw error;
+    }
+}
+
+async function writePlaylists(orgName, playlists) {
+    await storage.putFileContents(playlistsPath(orgName), JSON.stringify({ playlists }, null, 2), { overwrite: true });
+}
+
+// A playlist as clients see it, with full paths
+function expand(orgName, playlist) {
+    return {
+        ...playlist,
+        cover: playlist.cover ? toRemote(orgName, playlist.cover) : null,
+        items: playlist.items.map((item) => toRemote(orgName, item)),
+    };
+}
+
+function validateText(value, field, max) {
+    if (typeof value !== "string" || value.length > max) {
+        throw playlistError(400, `${field} must be a string of at most ${max} characters`);
+    }
+    return value.trim();
+}
+
+// A client path, checked to be a media file of the org, in stored (org-relative) form
+function storedPath(orgName, remotePath, field) {
+    try {
+        return toStored(orgName, resolveMediaPath(orgName, remotePath));
+    } catch (error) {
+        throw playlistError(400, `${field}: ${error.message}`);
+    }
+}
+
+// Validate the given fields of a create or update body into stored form
+function prepareFields(orgName, body, { creating }) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) throw playlistError(400, "Body must be a JSON object");
+    const fields = {};
+
+    if (body.title !== undefined || creating) {
+        fields.title = validateText(body.title, "title", MAX_TITLE);
+        if (!fields.title) throw playlistError(400, "title is required");
+    }
+    if (body.description !== undefined) {
+        fields.description = body.description === null ? "" : validateText(body.description, "description", MAX_DESCRIPTION);
+    }
+    if (body.cover !== undefined) {
+        fields.cover = body.cover === null ? null : storedPath(orgName, body.cover, "cover");
+    }
+    if (body.items !== undefined) {
+        if (!Array.isArray(body.items) || body.items.length > MAX_ITEMS) {
+            throw playlistError(400, `items must be an array of at most ${MAX_ITEMS} file paths`);
+        }
+        fields.items = body.items.map((item, index) => storedPath(orgName, item, `items[${index}]`));
+    }
+    return fields;
+}
+
+async function listPlaylists(orgName) {
+    return (await readPlaylists(orgName)).map((playlist) => expand(orgName, playlist));
+}
+
+async function getPlaylist(orgName, id) {
+    const playlist = (await readPlaylists(orgName)).find((p) => p.id === id);
+    if (!playlist) throw playlistError(404, "Playlist not found");
+    return expand(orgName, playlist);
+}
+
+async function createPlaylist(orgName, body) {
+    const fields = prepareFields(orgName, body, { creating: true });
+    const playlists = await readPlaylists(orgName);
+    if (playlists.length >= MAX_PLAYLISTS) throw playlistError(400, `An org can have at most ${MAX_PLAYLISTS} playlists`);
+
+    const now = new Date().toISOString();
+    const playlist = { id: crypto.randomUUID(), title: "", description: "", cover: null, items: [], ...fields, createdAt: now, updatedAt: now };
+    playlists.push(playlist);
+    await writePlaylists(orgName, playlists);
+    return expand(orgName, playlist);
+}
+
+// Replace the given fields; items, when given, is the whole new order. Returns { before, after }.
+async function updatePlaylist(orgName, id, body) {
+    const fields = prepareFields(orgName, body, { creating: false });
+    const playlists = await readPlaylists(orgName);
+    const index = playlists.findIndex((p) => p.id === id);
+    if (index === -1) throw playlistError(404, "Playlist not found");
+
+    const before = playlists[index];
+    playlists[index] = { ...before, ...fields, updatedAt: new Date().toISOString() };
+    await writePlaylists(orgName, playlists);
+    return { before: expand(orgName, before), after: expand(orgName, playlists[index]) };
+}
+
+async function deletePlaylist(orgName, id) {
+    const playlists = await readPlaylists(orgName);
+    const playlist = playlists.find((p) => p.id === id);
+    if (!playlist) throw playlistError(404, "Playlist not found");
+    await writePlaylists(orgName, playlists.filter((p) => p.id !== id));
+    return expand(orgName, playlist);
+}
+
+// A file or folder moved within the org: references to fromPath, or to anything below it, follow
+async function moveReferences(orgName, fromPath, toPath) {
+    const from = toStored(orgName, fromPath);
+    const to = toStored(orgName, toPath);
+    const moved = (stored) => (stored === from || stored.startsWith(`${from}/`) ? to + stored.slice(from.length) : stored);
+
+    const playlists = await readPlaylists(orgName);
+    let changed = false;
+    for (const playlist of playlists) {
+        const cover = playlist.cover ? moved(playlist.cover) : null;
+        const items = playlist.items.map(moved);
+        if (cover !== playlist.cover || items.some((item, i) => item !== playlist.items[i])) {
+            Object.assign(playlist, { cover, items });
+            changed = true;
+        }
+    }
+    if (changed) await writePlaylists(orgName, playlists);
+}
+
+module.exports = {
+    listPlaylists,
+    getPlaylist,
+    createPlaylist,
+    updatePlaylist,
+    deletePlaylist,
+    moveReferences,
+};
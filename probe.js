@@ -0,0 +1,158 @@
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+const ffprobePath = require('ffprobe-static').path;
+
+ffmpeg.setFfprobePath(ffprobePath);
+
+// Technical details of an uploaded file, stored by the server in the "technical" block of its sidecar
+
+function ffprobe(inputPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(inputPath, (err, data) => (err ? reject(err) : resolve(data)));
+    });
+}
+
+function toNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// ffprobe reports frame rates as fractions such as "30000/1001"
+function parseFrameRate(value) {
+    if (!value || typeof value !== 'string') return null;
+    const [num, den] = value.split('/').map(Number);
+    if (!num || !den) return null;
+    return Math.round((num / den) * 1000) / 1000;
+}
+
+// Rotation comes from the legacy "rotate" tag or from the display matrix side data
+function videoRotation(stream) {
+    if (stream.tags && stream.tags.rotate !== undefined) return toNumber(stream.tags.rotate) || 0;
+    const matrix = (stream.side_data_list || []).find((side) => side.rotation !== undefined);
+    return matrix ? -toNumber(matrix.rotation) || 0 : 0;
+}
+
+async function probeVideoFile(localPath) {
+    const data = await ffprobe(localPath);
+    const video = data.streams.find((s) => s.codec_type === 'video');
+    const audio = data.streams.find((s) => s.codec_type === 'audio');
+    const format = data.format || {};
+
+    return {
+        kind: 'video',
+        container: format.format_name || null,
+        duration: toNumber(format.duration),
+        bitrate: toNumber(format.bit_rate),
+        width: video ? video.width : null,
+        height: video ? video.height : null,
+        videoCodec: video ? video.codec_name : null,
+        frameRate: video ? parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate) : null,
+        rotation: video ? videoRotation(video) : 0,
+        hasAudio: !!audio,
+        audioCodec: audio ? audio.codec_name : null,
+    };
+}
+
+// Container-level facts for checking an upload before it is accepted: what ffprobe makes of the file,
+// its duration and which kinds of stream it carries. Rejects if ffprobe can't read it.
+async function probeContainer(localPath) {
+    const data = await ffprobe(localPath);
+    const format = data.format || {};
+    // Cover art in audio files shows up as a video stream
+    const isPicture = (s) => s.disposition && s.disposition.attached_pic;
+    return {
+        container: format.format_name || null,
+        duration: toNumber(format.duration),
+        hasVideo: data.streams.some((s) => s.codec_type === 'video' && !isPicture(s)),
+        hasAudio: data.streams.some((s) => s.codec_type === 'audio'),
+    };
+}
+
+// Decode an image completely, for checking an upload before it is accepted: { format, width, height }.
+// Rejects if sharp can't decode it, e.g. a valid header followed by something else.
+async function decodeImage(localPath) {
+    const image = sharp(localPath, { failOn: 'error' });
+    const { format, width, height } = await image.metadata();
+    // stats() reads every pixel
+    await image.stats();
+    return { format, width, height };
+}
+
+// Index the entries of a TIFF IFD by tag
+function readIfdEntries(tiff, offset, little) {
+    const read16 = (at) => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+    const read32 = (at) => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+    const entries = new Map();
+    const count = read16(offset);
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+        entries.set(read16(entry), { type: read16(entry + 2), count: read32(entry + 4), value: entry + 8, read32 });
+    }
+    return entries;
+}
+
+function asciiValue(tiff, entry) {
+    if (!entry || entry.type !== 2) return null;
+    // Values longer than 4 bytes are stored at an offset
+    const start = entry.count > 4 ? entry.read32(entry.value) : entry.value;
+    if (start + entry.count > tiff.length) return null;
+    return tiff.toString('ascii', start, start + entry.count).replace(/\0+$/, '').trim() || null;
+}
+
+// Capture date from raw EXIF (DateTimeOriginal, falling back to DateTime), as "YYYY-MM-DDTHH:MM:SS"
+// plus the offset when the camera recorded one. EXIF dates carry no time zone otherwise.
+function exifCaptureDate(exif) {
+    try {
+        const tiff = exif.slice(0, 6).toString('ascii') === 'Exif\0\0' ? exif.slice(6) : exif;
+        const little = tiff.toString('ascii', 0, 2) === 'II';
+        const ifd0 = readIfdEntries(tiff, little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), little);
+
+        let raw = null;
+        let offset = null;
+        const exifPointer = ifd0.get(0x8769);
+        if (exifPointer) {
+            const exifIfd = readIfdEntries(tiff, exifPointer.read32(exifPointer.value), little);
+            raw = asciiValue(tiff, exifIfd.get(0x9003));
+            offset = asciiValue(tiff, exifIfd.get(0x9011));
+        }
+        raw = raw || asciiValue(tiff, ifd0.get(0x0132));
+
+        const match = raw && raw.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+        if (!match || match[1] === '0000') return null;
+        const date = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+        return offset && /^[+-]\d{2}:\d{2}$/.test(offset) ? `${date}${offset}` : date;
+    } catch (error) {
+        return null;
+    }
+}
+
+// storedPath is the file as stored (after watermarking); originalPath, when given, is the upload as
+// received, which still carries the EXIF data that watermarking strips
+async function probeImageFile(storedPath, originalPath) {
+    const stored = await sharp(storedPath).metadata();
+    const original = originalPath ? await sharp(originalPath).metadata() : stored;
+    // Width and height as displayed: orientations 5-8 are rotated by 90 degrees. Watermarked
+    // output is already upright, but an original stored as-is still has its orientation tag.
+    const rotated = (stored.orientation || 1) >= 5;
+
+    return {
+        kind: 'image',
+        format: stored.format || null,
+        width: rotated ? stored.height : stored.width,
+        height: rotated ? stored.width : stored.height,
+        hasAlpha: !!stored.hasAlpha,
+        orientation: original.orientation || 1,
+        capturedAt: original.exif ? exifCaptureDate(original.exif) : null,
+    };
+}
+
+// Probe a local file by kind ('image' or 'video'). Resolves to the technical block.
+async function probeMedia(kind, storedPath, originalPath) {
+    const technical = kind === 'video'
+        ? await probeVideoFile(storedPath)
+        : await probeImageFile(storedPath, originalPath);
+    return { ...technical, probedAt: new Date().toISOString() };
+}
+
+module.exports = { probeMedia, probeContainer, decodeImage };
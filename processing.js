@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { storage } = require('./storage');
+const { processImage, processVideo } = require('./watermark');
+const { MASTER_PLAYLIST, encodeHls, storeHls } = require('./hls');
+const { mediaKind, generateThumbnails } = require('./thumbnails');
+const { probeMedia } = require('./probe');
+const { writeTechnical, writeIntegrity } = require('./sidecar');
+const { hashFile, integrityRecord } = require('./integrity');
+const { stagingPathFor, archiveCurrent } = require('./versions');
+const { indexMedia } = require('./search');
+const { relativeMediaPath } = require('./paths');
+const { invalidateVariants } = require('./imageVariants');
+const { STATUS, registerHandler, enqueue } = require('./jobs');
+const webhooks = require('./webhooks');
+const { invalidateUsage } = require('./quotas');
+const { collisionPolicy, resolveCollision } = require('./filenames');
+
+// Upload pipeline run by the job queue: watermark, package HLS, store in storage, then probe and thumbnails.
+// job.data = { orgName, folder, filename, mimeType, contentType, tempPath, remotePath, uploader, sha256, onConflict }
+// where mimeType and contentType ({ format, mimeType, kind, ... }) are detected from the content on arrival
+
+function removeFile(filePath) {
+    try {
+        if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (e) {}
+}
+
+// Stream a local file to storage, reporting the percentage of bytes sent
+function uploadFile(localPath, remotePath, onProgress) {
+    const total = fs.statSync(localPath).size;
+    let sent = 0;
+
+    const readStream = fs.createReadStream(localPath);
+    const writeStream = storage.createWriteStream(remotePath);
+
+    readStream.on('data', (chunk) => {
+        sent += chunk.length;
+        if (total > 0) onProgress((sent / total) * 100);
+    });
+    readStream.pipe(writeStream);
+
+    return new Promise((resolve, reject) => {
+        writeStream.on('finish', resolve);
+        writeStream.on('error', reject);
+        readStream.on('error', reject);
+    });
+}
+
+async function runUploadJob(job, update) {
+    const { orgName, folder, mimeType, contentType, tempPath, uploader, sha256, onConflict } = job.data;
+    let { filename, remotePath } = job.data;
+
+    if (!fs.existsSync(tempPath)) {
+        const error = new Error('Uploaded file is no longer available on the server');
+        error.permanent = true;
+        throw error;
+    }
+
+    // Stages already done by an earlier attempt, with what they produced. A retry skips them, so it
+    // doesn't store (and version) the file a second time or redo its sidecars.
+    const stages = { ...job.stages };
+    const complete = (stage, value) => {
+        stages[stage] = value;
+        update({ stages: { ...stages } });
+    };
+
+    const isVideo = mimeType.startsWith('video/');
+    // The original temp file is kept until the job finishes so a retry can start over from it
+    let uploadPath = tempPath;
+    let hlsDir = null;
+    // Caption template variables
+    const caption = { folder, filename, uploader, uploadedAt: job.createdAt };
+
+    // Everything up to thumbnails works from the watermarked file
+    const needsMedia = !stages.stored || stages.hls === undefined || stages.technical === undefined || stages.thumbnails === undefined;
+
+    try {
+        // Watermark Processing
+        try {
+            if (needsMedia && mimeType.startsWith('image/')) {
+                // Images are small, read to buffer
+                const buffer = await processImage(fs.readFileSync(tempPath), orgName, caption);
+                uploadPath = `${tempPath}.processed`;
+                fs.writeFileSync(uploadPath, buffer);
+            } else if (needsMedia && isVideo) {
+                // processVideo returns the original path if watermarking failed
+                uploadPath = await processVideo(tempPath, orgName, {
+                    ...caption,
+                    onProgress: (percent) => update({ progress: percent / 2 }),
+                });
+            }
+        } catch (err) {
+            console.error("Watermark processing failed, uploading original.", err);
+            uploadPath = tempPath;
+        }
+
+        // Adaptive-bitrate renditions for smoother playback. A packaging failure only means
+        // the client falls back to /api/files/stream.
+        if (isVideo && stages.hls === undefined) {
+            try {
+                hlsDir = await encodeHls(uploadPath, (percent) => {
+                    update({ progress: 50 + percent / 2 });
+                });
+            } catch (err) {
+                console.error(`[HLS] Packaging failed for ${remotePath}:`, err.message);
+            }
+        }
+
+        // Hashes of the upload (computed when it arrived) and of what is stored, for later verification
+        const uploadedSha256 = sha256 || await hashFile(tempPath);
+
+        if (!stages.stored) {
+            const storedSha256 = uploadPath === tempPath ? uploadedSha256 : await hashFile(uploadPath);
+
+            // Another upload may have taken the name while this one was queued, so the upload's onConflict
+            // policy is applied again: rename moves the job to the next free name, reject fails it for good
+            const resolvedPath = await resolveCollision(remotePath, collisionPolicy(onConflict)).catch((error) => {
+                if (error.status === 409) error.permanent = true;
+                throw error;
+            });
+            if (resolvedPath !== remotePath) {
+                console.log(`[Upload] ${remotePath} was taken, storing job ${job.id} as ${resolvedPath}`);
+                remotePath = resolvedPath;
+                filename = path.posix.basename(resolvedPath);
+                update({ data: { ...job.data, remotePath, filename } });
+            }
+
+            // A file already at the path is never overwritten: the new content is staged, the current file
+            // becomes a version, then the staged file takes its place. A failed upload leaves the current file alone.
+            const replacing = await storage.exists(remotePath);
+            const targetPath = replacing ? stagingPathFor(remotePath, job.id) : remotePath;
+            // Uploads into a subfolder create it
+            await storage.createDirectory(path.posix.dirname(targetPath), { recursive: true });
+
+            update({ status: STATUS.UPLOADING, progress: 0 });
+            await uploadFile(uploadPath, targetPath, (percent) => {
+                update({ progress: hlsDir ? percent * 0.9 : percent });
+            });
+            if (replacing) {
+                await archiveCurrent(remotePath, { uploader: uploader || null, jobId: job.id });
+                await storage.moveFile(targetPath, remotePath);
+            }
+            // Usage now counts the stored file instead of the queued upload
+            invalidateUsage(orgName);
+            complete('stored', { replaced: replacing, size: fs.statSync(uploadPath).size, storedSha256 });
+        }
+        const { replaced, size: storedSize, storedSha256 } = stages.stored;
+
+        // The file is in storage, so it is announced now rather than after processing. Recorded as a
+        // stage so a retry doesn't announce it again.
+        if (!stages.announced) {
+            await webhooks.emit(orgName, 'file.uploaded', {
+                path: remotePath,
+                folder,
+                filename,
+                mimeType,
+                size: storedSize,
+                sha256: uploadedSha256,
+                uploader: uploader || null,
+                replaced,
+                jobId: job.id,
+            });
+            complete('announced', true);
+        }
+
+        if (!stages.integrity) {
+            invalidateVariants(remotePath);
+            await writeIntegrity(remotePath, integrityRecord(uploadedSha256, storedSha256, storedSize));
+            complete('integrity', true);
+        }
+
+        if (stages.hls === undefined) {
+            let hls = null;
+            if (hlsDir) {
+                await storeHls(hlsDir, remotePath);
+                hls = `/api/hls/${orgName}/${folder}/${encodeURIComponent(relativeMediaPath(remotePath))}/${MASTER_PLAYLIST}`;
+            }
+            complete('hls', hls);
+        }
+
+        // Technical details (duration, resolution, codecs, EXIF date) go into the sidecar.
+        // Images are probed from the original too, since watermarking strips EXIF.
+        // The type detected on arrival is recorded alongside, even if probing fails.
+        if (stages.technical === undefined) {
+            let technical = null;
+            const kind = contentType ? contentType.kind : mediaKind(filename) || (isVideo ? 'video' : mimeType.startsWith('image/') ? 'image' : null);
+            if (kind) {
+                try {
+                    technical = await probeMedia(kind, uploadPath, kind === 'image' ? tempPath : undefined);
+                } catch (err) {
+                    console.error(`[Probe] Failed for ${remotePath}:`, err.message);
+                }
+            }
+            if (contentType) {
+                technical = { ...(technical || { kind }), detectedType: { format: contentType.format, mimeType: contentType.mimeType } };
+            }
+            if (technical) {
+                try {
+                    await writeTechnical(remotePath, technical);
+                } catch (err) {
+                    console.error(`[Meta] Failed to store technical details for ${remotePath}:`, err.message);
+                }
+            }
+            complete('technical', technical);
+        }
+
+        // Thumbnails are generated lazily by /api/thumb if this fails
+        if (stages.thumbnails === undefined) {
+            let thumbnails = false;
+            try {
+                thumbnails = await generateThumbnails(uploadPath, remotePath);
+            } catch (err) {
+                console.error(`[Thumbs] Generation failed for ${remotePath}:`, err.message);
+            }
+            complete('thumbnails', thumbnails);
+        }
+
+        if (!stages.indexed) {
+            await indexMedia(remotePath);
+            complete('indexed', true);
+        }
+
+        removeFile(tempPath);
+
+        // file.processed goes out once, after the last stage
+        const result = { path: remotePath, hls: stages.hls, thumbnails: stages.thumbnails, technical: stages.technical, sha256: uploadedSha256, replaced };
+        await webhooks.emit(orgName, 'file.processed', { ...result, jobId: job.id });
+        return result;
+    } finally {
+        if (uploadPath !== tempPath) removeFile(uploadPath);
+        if (hlsDir) fs.rmSync(hlsDir, { recursive: true, force: true });
+    }
+}
+
+registerHandler('upload', runUploadJob, {
+    onFailed: (job) => removeFile(job.data.tempPath),
+});
+
+// Queue a received file for processing. Used by /api/upload and by completed tus uploads.
+function queueUpload(data) {
+    const job = enqueue('upload', data.orgName, data);
+    console.log(`[Upload] Queued job ${job.id} for ${data.remotePath}`);
+    return job;
+}
+
+module.exports = { runUploadJob, queueUpload };
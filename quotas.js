@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { storage } = require("./storage");
+const { isNotFound } = require("./storage/errors");
+const { readOrgConfig } = require("./orgConfig");
+const { MEDIA_FOLDERS } = require("./paths");
+const { STATUS, DATA_DIR, listJobs } = require("./jobs");
+
+// Per-org storage quotas. The limit lives in config.json and is set by the operator (PATCH refuses it):
+//
+// "quota": { "maxBytes": 10737418240, "warnPercent": 80 }
+//
+// Orgs without one get ORG_QUOTA_GB (unlimited if unset). Usage is measured by walking the org's
+// folder in storage, broken down by media folder, versions, renditions (HLS and thumbnails) and trash,
+// and cached for a minute. Uploads not stored yet count too, so several uploads sent at once can't
+// each slip under the limit: those in the job queue, and those holding a reservation.
+//
+// reserve() checks an upload against the quota and records the bytes in DATA_DIR/quota/<id>.json
+// until release(id): /api/upload holds one until its job is queued, a tus upload from creation until
+// it is queued, deleted or expires. Checks and reservations of one org go one at a time (<org>.lock).
+
+const DEFAULT_MAX_BYTES = process.env.ORG_QUOTA_GB ? Math.round(Number(process.env.ORG_QUOTA_GB) * 1024 ** 3) : null;
+const DEFAULT_WARN_PERCENT = parseInt(process.env.QUOTA_WARN_PERCENT, 10) || 80;
+const CACHE_TTL_MS = 60 * 1000;
+const RESERVATIONS_DIR = path.join(DATA_DIR, "quota");
+// Reservations not released by then (a worker died mid-request) stop counting
+const RESERVATION_TTL_MS = 60 * 60 * 1000;
+const LOCK_WAIT_MS = 5000;
+const LOCK_STALE_MS = 30 * 1000;
+
+const cache = new Map();
+
+function quotaError(message, extra = {}) {
+    const error = new Error(message);
+    error.status = 413;
+    Object.assign(error, extra);
+    return error;
+}
+
+function quotaFor(configData) {
+    const quota = (configData && configData.quota) || {};
+    const maxBytes = typeof quota.maxBytes === "number" && quota.maxBytes > 0 ? quota.maxBytes : DEFAULT_MAX_BYTES;
+    const warnPercent = typeof quota.warnPercent === "number" ? quota.warnPercent : DEFAULT_WARN_PERCENT;
+    return { maxBytes, warnPercent };
+}
+
+// Which part of the breakdown a file belongs to, from its path below the org folder
+function categoryOf(segments) {
+    if (segments[0] === ".trash") return "trash";
+    if (segments.includes(".versions")) return "versions";
+    if (segments.includes(".hls") || segments.includes(".thumbs")) return "renditions";
+    if (MEDIA_FOLDERS.includes(segments[0])) return segments[0];
+    return "other";
+}
+
+async function walk(dirPath, segments, totals) {
+    let items;
+    try {
+        items = await storage.getDirectoryContents(dirPath);
+    } catch (error) {
+        if (isNotFound(error)) return;
+        throw error;
+    }
+    for (const item of items) {
+        const itemSegments = [...segments, item.basename];
+        if (item.type === "directory") {
+            await walk(`${dirPath}/${item.basename}`, itemSegments, totals);
+        } else {
+            totals[categoryOf(itemSegments)] += Number(item.size) || 0;
+        }
+    }
+}
+
+// Bytes of queued uploads not yet stored
+function pendingBytes(orgName) {
+    let bytes = 0;
+    for (const job of listJobs({ org: orgName })) {
+        if (job.type !== "upload" || job.status === STATUS.DONE || job.status === STATUS.FAILED) continue;
+        if (job.stages && job.stages.stored) continue;
+        try {
+            bytes += fs.statSync(job.data.tempPath).size;
+        } catch (e) {}
+    }
+    return bytes;
+}
+
+function reservationFile(id) {
+    return path.join(RESERVATIONS_DIR, `${id}.json`);
+}
+
+// Bytes reserved for the org, leaving out the reservation `except`. Expired reservations are removed.
+function reservedBytes(orgName, except) {
+    if (!fs.existsSync(RESERVATIONS_DIR)) return 0;
+    let bytes = 0;
+    for (const name of fs.readdirSync(RESERVATIONS_DIR).filter((n) => n.endsWith(".json"))) {
+        let reservation;
+        try {
+            reservation = JSON.parse(fs.readFileSync(path.join(RESERVATIONS_DIR, name), "utf8"));
+        } catch (e) {
+            continue;
+        }
+        if (reservation.expiresAt && Date.parse(reservation.expiresAt) <= Date.now()) {
+            release(reservation.id);
+            continue;
+        }
+        if (reservation.org === orgName && reservation.id !== except) bytes += reservation.bytes;
+    }
+    return bytes;
+}
+
+function release(id) {
+    if (!id || !/^[a-f0-9-]+$/.test(id)) return;
+    try {
+        fs.unlinkSync(reservationFile(id));
+    } catch (e) {}
+}
+
+// Run fn holding the org's reservation lock
+async function withOrgLock(orgName, fn) {
+    const lock = path.join(RESERVATIONS_DIR, `${orgName}.lock`);
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    fs.mkdirSync(RESERVATIONS_DIR, { recursive: true });
+    for (;;) {
+        try {
+            fs.writeFileSync(lock, String(process.pid), { flag: "wx" });
+            break;
+        } catch (error) {
+            if (error.code !== "EEXIST") throw error;
+        }
+        // A lock left by a worker that died while holding it
+        try {
+            if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) fs.rmSync(lock, { force: true });
+        } catch (e) {}
+        if (Date.now() > deadline) {
+            const error = new Error("Storage quota is busy, try again");
+            error.status = 503;
+            throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    try {
+        return await fn();
+    } finally {
+        fs.rmSync(lock, { force: true });
+    }
+}
+
+async function measure(orgName) {
+    const breakdown = {};
+    for (const category of [...MEDIA_FOLDERS, "versions", "renditions", "trash", "other"]) breakdown[category] = 0;
+    await walk(`/organizations/${orgName}`, [], breakdown);
+    return {
+        stored: Object.values(breakdown).reduce((sum, bytes) => sum + bytes, 0),
+        breakdown,
+        measuredAt: new Date().toISOString(),
+    };
+}
+
+function invalidateUsage(orgName) {
+    cache.delete(orgName);
+}
+
+// { used, stored, pending, breakdown, maxBytes, warnPercent, percentUsed, measuredAt }
+// where pending covers queued uploads and reservations (except the reservation `except`)
+async function getUsage(orgName, { refresh = false, except = null } = {}) {
+    let measured = cache.get(orgName);
+    if (refresh || !measured || measured.expiresAt <= Date.now()) {
+        measured = { ...(await measure(orgName)), expiresAt: Date.now() + CACHE_TTL_MS };
+        cache.set(orgName, measured);
+    }
+
+    let configData = {};
+    try {
+        configData = await readOrgConfig(orgName);
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+    const { maxBytes, warnPercent } = quotaFor(configData);
+    const pending = pendingBytes(orgName) + reservedBytes(orgName, except);
+    const used = measured.stored + pending;
+    return {
+        used,
+        stored: measured.stored,
+        pending,
+        breakdown: measured.breakdown,
+        maxBytes,
+        warnPercent,
+        percentUsed: maxBytes ? Math.round((used / maxBytes) * 1000) / 10 : null,
+        measuredAt: measured.measuredAt,
+    };
+}
+
+function formatBytes(bytes) {
+    const units = ["B", "KB", "MB", "GB", "TB"];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit += 1;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// The soft-limit warning for a usage, or null below the threshold
+function usageWarning(usage) {
+    if (!usage.maxBytes || usage.percentUsed < usage.warnPercent) return null;
+    return `Storage is ${usage.percentUsed}% full (${formatBytes(usage.used)} of ${formatBytes(usage.maxBytes)})`;
+}
+
+// Check that size more bytes fit in the org's quota and hold them under id until release(id).
+// Reserving again under the same id (a tus upload checked again on completion) replaces the
+// reservation rather than counting it twice. ttlMs: null keeps it until released.
+// Throws 413 if the bytes don't fit; otherwise returns { id, usage, warning } with the upload included.
+async function reserve(orgName, size, { id = crypto.randomUUID(), ttlMs = RESERVATION_TTL_MS } = {}) {
+    // Measure outside the lock, so a slow storage walk doesn't hold up the org's other uploads
+    await getUsage(orgName);
+    return withOrgLock(orgName, async () => {
+        const usage = await getUsage(orgName, { except: id });
+        const after = { ...usage, used: usage.used + size, pending: usage.pending + size };
+        if (usage.maxBytes) {
+            after.percentUsed = Math.round((after.used / usage.maxBytes) * 1000) / 10;
+            if (after.used > usage.maxBytes) {
+                const free = Math.max(0, usage.maxBytes - usage.used);
+                throw quotaError(
+                    `Upload of ${formatBytes(size)} exceeds the storage quota (${formatBytes(free)} of ${formatBytes(usage.maxBytes)} left)`,
+                    { usage },
+                );
+            }
+        }
+
+        const now = Date.now();
+        const reservation = {
+            id,
+            org: orgName,
+            bytes: size,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: ttlMs ? new Date(now + ttlMs).toISOString() : null,
+        };
+        const tmp = `${reservationFile(id)}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(reservation, null, 2));
+        fs.renameSync(tmp, reservationFile(id));
+        return { id, usage: after, warning: usageWarning(after) };
+    });
+}
+
+module.exports = { quotaFor, getUsage, usageWarning, reserve, release, invalidateUsage };
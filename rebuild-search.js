@@ -0,0 +1,18 @@
+const { rebuildIndex, rebuildAll } = require("./search");
+
+// Re-crawl storage and rebuild the search index.
+// Usage: npm run rebuild-search [-- <orgName>]   (all orgs when no name is given)
+async function rebuild() {
+    const orgName = process.argv[2];
+    try {
+        const results = orgName ? [await rebuildIndex(orgName)] : await rebuildAll();
+        for (const result of results) {
+            console.log(`${result.org}: ${result.files} files indexed`);
+        }
+    } catch (e) {
+        console.error("Error rebuilding search index:", e);
+        process.exitCode = 1;
+    }
+}
+
+rebuild();
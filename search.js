@@ -0,0 +1,494 @@
+const path = require("path");
+const fs = require("fs");
+const { storage } = require("./storage");
+const { DATA_DIR, registerHandler, enqueue } = require("./jobs");
+const { MEDIA_FOLDERS } = require("./paths");
+const { mediaKind } = require("./thumbnails");
+const { metaPathFor, readSidecar, splitSidecar } = require("./sidecar");
+
+// Search index over org media. Each org's documents are kept in SEARCH_DIR/<org>.json and an
+// inverted index (token -> paths) is built in memory when the file is loaded. Cluster workers
+// share the files: a worker reloads an org whenever the file changed since it last read it, and
+// writes hold SEARCH_DIR/<org>.lock so one worker's update never overwrites another's.
+// Storage stays the source of truth; rebuildIndex() re-crawls it to recover a lost or stale index.
+// Bulk path changes (folders moved or deleted, org renamed) queue a rebuild in the background and
+// searches keep using the stale index until it is done.
+
+const SEARCH_DIR = path.join(DATA_DIR, "search");
+// Bumped when documents gain fields, so older index files are rebuilt
+const INDEX_VERSION = 2;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const FACET_SIZE = 20;
+// Matches in the filename rank above matches in metadata
+const FILENAME_WEIGHT = 3;
+// Waiting for another worker's update of the same org
+const LOCK_WAIT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+
+const loaded = new Map(); // org -> { stamp, docs: Map(path -> doc), tokens: Map(token -> Set(path)) }
+const rebuilding = new Map();
+
+function indexFile(orgName) {
+    return path.join(SEARCH_DIR, `${orgName}.json`);
+}
+
+function tokenize(text) {
+    return String(text).toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// All string and number values of client metadata, for free-text matching
+function metadataText(value, depth = 0) {
+    if (value === null || value === undefined || depth > 4) return [];
+    if (typeof value === "string" || typeof value === "number") return [String(value)];
+    if (Array.isArray(value)) return value.flatMap((item) => metadataText(item, depth + 1));
+    if (typeof value === "object") return Object.values(value).flatMap((item) => metadataText(item, depth + 1));
+    return [];
+}
+
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : typeof tags === "string" ? tags.split(",") : [];
+    return [...new Set(list.filter((tag) => typeof tag === "string").map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Build the indexed document for a stored file from its stat and sidecar
+function buildDocument(remotePath, stat, sidecar) {
+    const [, , org, folder] = remotePath.split("/");
+    const { metadata, technical, level, integrity } = splitSidecar(sidecar);
+    const filename = path.posix.basename(remotePath);
+    return {
+        path: remotePath,
+        org,
+        folder,
+        filename,
+        type: mediaKind(filename) || (technical && technical.kind) || "other",
+        size: stat.size,
+        modifiedAt: new Date(stat.lastmod).toISOString(),
+        // Capture date when the file carries one, otherwise the upload date
+        date: (technical && technical.capturedAt) || new Date(stat.lastmod).toISOString(),
+        duration: technical && typeof technical.duration === "number" ? technical.duration : null,
+        tags: normalizeTags(metadata.tags),
+        metadata,
+        technical,
+        // The file's own minimum level; folder defaults are applied at query time
+        level,
+        // SHA-256 of the uploaded content, for duplicate detection
+        sha256: (integrity && integrity.sha256) || null,
+    };
+}
+
+function documentTerms(doc) {
+    const terms = new Map();
+    for (const token of tokenize(doc.filename)) terms.set(token, FILENAME_WEIGHT);
+    for (const token of tokenize([...metadataText(doc.metadata), ...doc.tags].join(" "))) {
+        if (!terms.has(token)) terms.set(token, 1);
+    }
+    return terms;
+}
+
+function addToTokens(entry, doc) {
+    doc.terms = documentTerms(doc);
+    for (const token of doc.terms.keys()) {
+        if (!entry.tokens.has(token)) entry.tokens.set(token, new Set());
+        entry.tokens.get(token).add(doc.path);
+    }
+}
+
+function removeFromTokens(entry, doc) {
+    for (const token of doc.terms.keys()) {
+        const paths = entry.tokens.get(token);
+        if (!paths) continue;
+        paths.delete(doc.path);
+        if (paths.size === 0) entry.tokens.delete(token);
+    }
+}
+
+function emptyEntry() {
+    return { stamp: null, docs: new Map(), tokens: new Map() };
+}
+
+// Identifies one write of an index file: each save renames a new file into place, so the inode
+// changes even when two writes land within the filesystem's timestamp granularity
+function fileStamp(orgName) {
+    const stat = fs.statSync(indexFile(orgName));
+    return `${stat.ino}:${stat.mtimeMs}`;
+}
+
+// The org's index, reloaded if another worker has written it since. null if it was never built.
+function loadIndex(orgName) {
+    let stamp;
+    try {
+        stamp = fileStamp(orgName);
+    } catch (e) {
+        loaded.delete(orgName);
+        return null;
+    }
+
+    const cached = loaded.get(orgName);
+    if (cached && cached.stamp === stamp) return cached;
+
+    const entry = emptyEntry();
+    entry.stamp = stamp;
+    try {
+        const stored = JSON.parse(fs.readFileSync(indexFile(orgName), "utf8"));
+        if (stored.version !== INDEX_VERSION) return null;
+        for (const doc of stored.docs) {
+            entry.docs.set(doc.path, doc);
+            addToTokens(entry, doc);
+        }
+    } catch (e) {
+        console.error(`[Search] Unreadable index for ${orgName}, it needs a rebuild:`, e.message);
+        return null;
+    }
+    loaded.set(orgName, entry);
+    return entry;
+}
+
+function saveIndex(orgName, entry) {
+    fs.mkdirSync(SEARCH_DIR, { recursive: true });
+    const docs = [...entry.docs.values()].map(({ terms, ...doc }) => doc);
+    // Write then rename so other workers never read a half-written file
+    const tmp = `${indexFile(orgName)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: INDEX_VERSION, updatedAt: new Date().toISOString(), docs }));
+    fs.renameSync(tmp, indexFile(orgName));
+    entry.stamp = fileStamp(orgName);
+    loaded.set(orgName, entry);
+}
+
+// Run fn holding the org's index lock
+async function withIndexLock(orgName, fn) {
+    const lock = `${indexFile(orgName)}.lock`;
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    fs.mkdirSync(SEARCH_DIR, { recursive: true });
+    for (;;) {
+        try {
+            fs.writeFileSync(lock, String(process.pid), { flag: "wx" });
+            break;
+        } catch (error) {
+            if (error.code !== "EEXIST") throw error;
+        }
+        // A lock left by a worker that died while holding it
+        try {
+            if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) fs.rmSync(lock, { force: true });
+        } catch (e) {}
+        if (Date.now() > deadline) {
+            const error = new Error(`Search index for ${orgName} is busy`);
+            error.status = 503;
+            throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    try {
+        return await fn();
+    } finally {
+        fs.rmSync(lock, { force: true });
+    }
+}
+
+function orgOf(remotePath) {
+    return remotePath.split("/")[2];
+}
+
+// Index updates never fail the operation that triggered them; a rebuild repairs any gap
+async function updateIndex(orgName, change) {
+    try {
+        await withIndexLock(orgName, async () => {
+            // Loaded under the lock, so it includes every update saved before this one
+            const entry = loadIndex(orgName);
+            // Not built yet: the first search builds it from storage, which includes this change
+            if (!entry) return;
+            await change(entry);
+            saveIndex(orgName, entry);
+        });
+    } catch (error) {
+        console.error(`[Search] Failed to update index for ${orgName}:`, error.message);
+    }
+}
+
+function removeDocument(entry, remotePath) {
+    const existing = entry.docs.get(remotePath);
+    if (!existing) return;
+    removeFromTokens(entry, existing);
+    entry.docs.delete(remotePath);
+}
+
+// Add or refresh a file from storage (after an upload or a metadata change)
+function indexMedia(remotePath) {
+    return updateIndex(orgOf(remotePath), async (entry) => {
+        removeDocument(entry, remotePath);
+        if (!(await storage.exists(remotePath))) return;
+        let sidecar;
+        try {
+            sidecar = await readSidecar(remotePath);
+        } catch (error) {
+            // Without its level the file could show up above it; it stays out until the sidecar is fixed
+            console.warn(`[Search] Leaving out ${remotePath}: unreadable sidecar`);
+            return;
+        }
+        const doc = buildDocument(remotePath, await storage.stat(remotePath), sidecar);
+        entry.docs.set(remotePath, doc);
+        addToTokens(entry, doc);
+    });
+}
+
+function unindexMedia(remotePath) {
+    return updateIndex(orgOf(remotePath), async (entry) => removeDocument(entry, remotePath));
+}
+
+async function moveIndexedMedia(fromPath, toPath) {
+    await unindexMedia(fromPath);
+    await indexMedia(toPath);
+}
+
+// Forget an org's index, e.g. after the org was deleted
+function dropIndex(orgName) {
+    loaded.delete(orgName);
+    try {
+        fs.unlinkSync(indexFile(orgName));
+    } catch (e) {}
+}
+
+// Follow an org rename: the index moves to the new name and is served, with its old paths, until
+// a rebuild in the background replaces it
+function renameIndex(oldName, newName) {
+    loaded.delete(oldName);
+    try {
+        fs.renameSync(indexFile(oldName), indexFile(newName));
+    } catch (e) {}
+    return queueRebuild(newName);
+}
+
+// Media files below a folder, skipping hidden folders (.hls, .thumbs) and sidecars
+async function crawlFolder(folderPath) {
+    let items;
+    try {
+        items = await storage.getDirectoryContents(folderPath);
+    } catch (error) {
+        if (error.response && error.response.status === 404) return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const item of items) {
+        if (item.basename.startsWith(".")) continue;
+        if (item.type === "directory") {
+            files.push(...(await crawlFolder(`${folderPath}/${item.basename}`)));
+        } else if (!item.basename.endsWith(".meta.json")) {
+            files.push({
+                remotePath: `${folderPath}/${item.basename}`,
+                stat: item,
+                hasSidecar: items.some((m) => m.basename === `${item.basename}.meta.json`),
+            });
+        }
+    }
+    return files;
+}
+
+// Re-crawl an org's media folders in storage and replace its index
+function rebuildIndex(orgName) {
+    if (rebuilding.has(orgName)) return rebuilding.get(orgName);
+
+    const run = (async () => {
+        const entry = emptyEntry();
+        for (const { remotePath, stat, hasSidecar } of await listMediaFiles(orgName)) {
+            let sidecar = null;
+            if (hasSidecar) {
+                try {
+                    sidecar = JSON.parse((await storage.getFileContents(metaPathFor(remotePath))).toString());
+                } catch (e) {
+                    // Its level is unknown, so it stays out of the index rather than falling back to the folder's
+                    console.warn(`[Search] Leaving out ${remotePath}: unreadable sidecar`);
+                    continue;
+                }
+            }
+            const doc = buildDocument(remotePath, stat, sidecar);
+            entry.docs.set(remotePath, doc);
+            addToTokens(entry, doc);
+        }
+        await withIndexLock(orgName, () => saveIndex(orgName, entry));
+        console.log(`[Search] Indexed ${entry.docs.size} files for ${orgName}`);
+        return { org: orgName, files: entry.docs.size };
+    })();
+
+    rebuilding.set(orgName, run);
+    return run.finally(() => rebuilding.delete(orgName));
+}
+
+// Media files in an org's folders, as { remotePath, stat, hasSidecar }
+async function listMediaFiles(orgName) {
+    const files = [];
+    for (const folder of MEDIA_FOLDERS) {
+        files.push(...(await crawlFolder(`/organizations/${orgName}/${folder}`)));
+    }
+    return files;
+}
+
+// Path of an indexed file with this content hash, or null. Builds the index on first use.
+async function findByHash(orgName, sha256) {
+    let entry = loadIndex(orgName);
+    if (!entry) {
+        await rebuildIndex(orgName);
+        entry = loadIndex(orgName) || emptyEntry();
+    }
+    for (const doc of entry.docs.values()) {
+        if (doc.sha256 === sha256) return doc.path;
+    }
+    return null;
+}
+
+// Rebuild every org found in storage
+async function rebuildAll() {
+    const items = await storage.getDirectoryContents("/organizations");
+    const results = [];
+    for (const item of items.filter((i) => i.type === "directory")) {
+        results.push(await rebuildIndex(item.basename));
+    }
+    return results;
+}
+
+function queryError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function parseDate(value, label) {
+    if (value === undefined || value === "") return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw queryError(`${label} must be a date such as 2024-05-01`);
+    return time;
+}
+
+function parseNumber(value, label) {
+    if (value === undefined || value === "") return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw queryError(`${label} must be a non-negative number`);
+    return number;
+}
+
+// Paths matching every query term (prefix match on indexed tokens), with relevance scores
+function matchTerms(entry, terms) {
+    let scores = null;
+    for (const term of terms) {
+        const termScores = new Map();
+        for (const [token, paths] of entry.tokens) {
+            if (!token.startsWith(term)) continue;
+            // Whole-word matches count double
+            const bonus = token === term ? 2 : 1;
+            for (const docPath of paths) {
+                const weight = entry.docs.get(docPath).terms.get(token) * bonus;
+                termScores.set(docPath, Math.max(termScores.get(docPath) || 0, weight));
+            }
+        }
+        if (scores === null) {
+            scores = termScores;
+        } else {
+            for (const docPath of scores.keys()) {
+                if (termScores.has(docPath)) scores.set(docPath, scores.get(docPath) + termScores.get(docPath));
+                else scores.delete(docPath);
+            }
+        }
+        if (scores.size === 0) break;
+    }
+    return scores;
+}
+
+function countFacet(docs, valuesOf) {
+    const counts = new Map();
+    for (const doc of docs) {
+        for (const value of valuesOf(doc)) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+        .slice(0, FACET_SIZE)
+        .map(([value, count]) => ({ value, count }));
+}
+
+const SORTS = {
+    relevance: (a, b) => b.score - a.score || b.doc.date.localeCompare(a.doc.date),
+    newest: (a, b) => b.doc.date.localeCompare(a.doc.date),
+    oldest: (a, b) => a.doc.date.localeCompare(b.doc.date),
+    name: (a, b) => a.doc.filename.localeCompare(b.doc.filename),
+};
+
+// Search an org's media. query: { q, folder, type, from, to, tags, minDuration, maxDuration, sort, limit, offset }
+// canSee(folder, level), when given, drops documents above the caller's access level.
+// Builds the index from storage on first use.
+async function search(orgName, query = {}, { canSee } = {}) {
+    const terms = tokenize(query.q || "");
+    const from = parseDate(query.from, "from");
+    const to = parseDate(query.to, "to");
+    const minDuration = parseNumber(query.minDuration, "minDuration");
+    const maxDuration = parseNumber(query.maxDuration, "maxDuration");
+    const tags = normalizeTags(query.tags);
+    const sort = query.sort || (terms.length ? "relevance" : "newest");
+    if (!SORTS[sort]) throw queryError(`sort must be one of ${Object.keys(SORTS).join(", ")}`);
+    const limit = Math.min(MAX_LIMIT, parseInt(query.limit, 10) || DEFAULT_LIMIT);
+    const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+
+    let entry = loadIndex(orgName);
+    if (!entry) {
+        await rebuildIndex(orgName);
+        entry = loadIndex(orgName) || emptyEntry();
+    }
+
+    const scores = terms.length ? matchTerms(entry, terms) : null;
+    const candidates = scores
+        ? [...scores.keys()].map((docPath) => ({ doc: entry.docs.get(docPath), score: scores.get(docPath) }))
+        : [...entry.docs.values()].map((doc) => ({ doc, score: 0 }));
+
+    // "to" is inclusive: a bare date covers that whole day
+    const toEnd = to !== null && /^\d{4}-\d{2}-\d{2}$/.test(query.to) ? to + 24 * 60 * 60 * 1000 - 1 : to;
+    const matches = candidates.filter(({ doc }) => {
+        if (canSee && !canSee(doc.folder, doc.level)) return false;
+        if (query.folder && doc.folder !== query.folder) return false;
+        if (query.type && doc.type !== query.type) return false;
+        const time = Date.parse(doc.date);
+        if (from !== null && !(time >= from)) return false;
+        if (toEnd !== null && !(time <= toEnd)) return false;
+        if (tags.some((tag) => !doc.tags.includes(tag))) return false;
+        if (minDuration !== null && !(doc.duration !== null && doc.duration >= minDuration)) return false;
+        if (maxDuration !== null && !(doc.duration !== null && doc.duration <= maxDuration)) return false;
+        return true;
+    });
+
+    matches.sort(SORTS[sort]);
+    const docs = matches.map(({ doc }) => doc);
+    return {
+        total: matches.length,
+        offset,
+        limit,
+        results: matches.slice(offset, offset + limit).map(({ doc, score }) => {
+            const { terms: _terms, ...result } = doc;
+            return { ...result, score };
+        }),
+        facets: {
+            folder: countFacet(docs, (doc) => [doc.folder]),
+            type: countFacet(docs, (doc) => [doc.type]),
+            tags: countFacet(docs, (doc) => doc.tags),
+        },
+    };
+}
+
+registerHandler("search-rebuild", (job) => rebuildIndex(job.org));
+
+// Rebuild an org's index in the background
+function queueRebuild(orgName) {
+    return enqueue("search-rebuild", orgName, {});
+}
+
+module.exports = {
+    search,
+    indexMedia,
+    unindexMedia,
+    moveIndexedMedia,
+    dropIndex,
+    renameIndex,
+    rebuildIndex,
+    rebuildAll,
+    queueRebuild,
+    findByHash,
+    listMediaFiles,
+};
@@ -0,0 +1,269 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { DATA_DIR } = require("./jobs");
+const { hashPassword, verifyPassword, encodeSigned, decodeSigned } = require("./auth");
+
+// Share links: signed, expiring URLs (/s/<token>) that let someone outside the org view one file.
+// The token is HMAC-signed and carries the link's id, expiry, view limit and download flag;
+// it never contains the storage path. The server keeps a record per link in DATA_DIR/shares/<id>.json
+// with the path, view count and password hash, so links can be counted and revoked:
+// { id, org, path, createdAt, createdBy, expiresAt, maxViews, views, allowDownload, passwordHash, lastViewedAt, viewIds }
+//
+// A view is counted (and the view limit checked) when it starts. The response carries a view key that
+// the player's later range and seek requests send back; they are neither counted nor refused, even
+// once the limit is reached. Each key names one counted view, recorded in viewIds (view id -> expiry,
+// unix seconds), and lasts VIEW_TTL_S, about one page load.
+
+const SHARES_DIR = path.join(DATA_DIR, "shares");
+const HOUR_S = 60 * 60;
+const DEFAULT_TTL_S = (parseInt(process.env.SHARE_DEFAULT_HOURS, 10) || 7 * 24) * HOUR_S;
+const MAX_TTL_S = (parseInt(process.env.SHARE_MAX_DAYS, 10) || 30) * 24 * HOUR_S;
+// How long entering the password of a protected link lasts
+const UNLOCK_TTL_S = 12 * HOUR_S;
+// How long the requests of one counted view may go on
+const VIEW_TTL_S = 10 * 60;
+// Waiting for another request counting a view of the same link
+const LOCK_WAIT_MS = 2000;
+const LOCK_STALE_MS = 10000;
+const MAX_VIEWS = 1000000;
+
+const SHARE_PURPOSE = "share";
+const UNLOCK_PURPOSE = "share-unlock";
+const VIEW_PURPOSE = "share-view";
+
+function shareError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function recordPath(id) {
+    return path.join(SHARES_DIR, `${id}.json`);
+}
+
+function readRecord(id) {
+    if (typeof id !== "string" || !/^[a-f0-9-]{36}$/.test(id)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(recordPath(id), "utf8"));
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeRecord(record) {
+    fs.mkdirSync(SHARES_DIR, { recursive: true });
+    // Write then rename so readers never see a half-written file
+    const tmp = `${recordPath(record.id)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record, null, 2));
+    fs.renameSync(tmp, recordPath(record.id));
+}
+
+function readAllRecords() {
+    if (!fs.existsSync(SHARES_DIR)) return [];
+    return fs.readdirSync(SHARES_DIR)
+        .filter((name) => name.endsWith(".json"))
+        .map((name) => readRecord(name.slice(0, -5)))
+        .filter(Boolean);
+}
+
+const isExpired = (record) => Date.parse(record.expiresAt) <= Date.now();
+const isUsedUp = (record) => record.maxViews !== null && record.views >= record.maxViews;
+
+// A record as shown to admins: no password hash, plus what is left of it
+function publicShare(record) {
+    const { passwordHash, viewIds, ...rest } = record;
+    return {
+        ...rest,
+        passwordProtected: !!passwordHash,
+        viewsLeft: record.maxViews === null ? null : Math.max(0, record.maxViews - record.views),
+    };
+}
+
+// Expiry from { expiresIn (seconds) } or { expiresAt (date) }, at most MAX_TTL_S away
+function expiryFrom({ expiresIn, expiresAt }) {
+    const now = Date.now();
+    let expires = now + DEFAULT_TTL_S * 1000;
+    if (expiresIn !== undefined && expiresIn !== null) {
+        if (!Number.isInteger(expiresIn) || expiresIn <= 0) {
+            throw shareError(400, "expiresIn must be a positive number of seconds");
+        }
+        expires = now + expiresIn * 1000;
+    } else if (expiresAt !== undefined && expiresAt !== null) {
+        expires = Date.parse(expiresAt);
+        if (Number.isNaN(expires) || expires <= now) throw shareError(400, "expiresAt must be a future date");
+    }
+    if (expires > now + MAX_TTL_S * 1000) {
+        throw shareError(400, `Share links can last at most ${MAX_TTL_S / (24 * HOUR_S)} days`);
+    }
+    return new Date(expires);
+}
+
+// Mint a link to remotePath. options: expiresIn | expiresAt, maxViews, password, allowDownload.
+// Returns { token, share }.
+async function createShare(orgName, remotePath, options, createdBy) {
+    const { maxViews = null, password = null, allowDownload = false } = options;
+    const expires = expiryFrom(options);
+    if (maxViews !== null && (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > MAX_VIEWS)) {
+        throw shareError(400, `maxViews must be a whole number from 1 to ${MAX_VIEWS}`);
+    }
+    if (password !== null && (typeof password !== "string" || password.length === 0)) {
+        throw shareError(400, "password must be a non-empty string");
+    }
+    if (typeof allowDownload !== "boolean") throw shareError(400, "allowDownload must be true or false");
+
+    const record = {
+        id: crypto.randomUUID(),
+        org: orgName,
+        path: remotePath,
+        createdAt: new Date().toISOString(),
+        createdBy: createdBy || null,
+        expiresAt: expires.toISOString(),
+        maxViews,
+        views: 0,
+        allowDownload,
+        passwordHash: password === null ? null : await hashPassword(password),
+        lastViewedAt: null,
+    };
+    writeRecord(record);
+
+    const token = encodeSigned({
+        id: record.id,
+        exp: Math.floor(expires.getTime() / 1000),
+        maxViews,
+        download: allowDownload,
+        pw: !!record.passwordHash,
+    }, SHARE_PURPOSE);
+    console.log(`[Shares] Created link ${record.id} for ${remotePath}, expires ${record.expiresAt}`);
+    return { token, share: publicShare(record) };
+}
+
+// The record behind a link token. Throws 404 for invalid, expired or revoked links and 410 once
+// the view limit is reached, unless viewKey belongs to a view already counted.
+function resolveShare(token, viewKey) {
+    const payload = decodeSigned(token, SHARE_PURPOSE);
+    const record = payload ? readRecord(payload.id) : null;
+    if (!record || isExpired(record)) throw shareError(404, "This link is invalid or has expired");
+    if (isUsedUp(record) && !inView(record, viewKey)) throw shareError(410, "This link has reached its view limit");
+    return record;
+}
+
+// Whether viewKey belongs to a view of this link that was counted and hasn't ended
+function inView(record, viewKey) {
+    const payload = decodeSigned(viewKey, VIEW_PURPOSE);
+    if (!payload || payload.id !== record.id || typeof payload.view !== "string") return false;
+    const viewIds = record.viewIds || {};
+    return Object.prototype.hasOwnProperty.call(viewIds, payload.view) && viewIds[payload.view] * 1000 > Date.now();
+}
+
+// Check a protected link's password; returns a key to send with the file requests (?key=)
+async function unlockShare(record, password) {
+    if (!record.passwordHash) throw shareError(400, "This link has no password");
+    if (typeof password !== "string" || !(await verifyPassword(password, record.passwordHash))) {
+        throw shareError(401, "Invalid password");
+    }
+    const exp = Math.min(Math.floor(Date.now() / 1000) + UNLOCK_TTL_S, Math.floor(Date.parse(record.expiresAt) / 1000));
+    return { key: encodeSigned({ id: record.id, exp }, UNLOCK_PURPOSE), expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+function isUnlocked(record, key) {
+    if (!record.passwordHash) return true;
+    const payload = decodeSigned(key, UNLOCK_PURPOSE);
+    return !!payload && payload.id === record.id;
+}
+
+// Run fn holding <id>.json.lock, so cluster workers counting views of one link don't lose updates
+async function withRecordLock(id, fn) {
+    const lock = `${recordPath(id)}.lock`;
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    fs.mkdirSync(SHARES_DIR, { recursive: true });
+    for (;;) {
+        try {
+            fs.writeFileSync(lock, String(process.pid), { flag: "wx" });
+            break;
+        } catch (error) {
+            if (error.code !== "EEXIST") throw error;
+        }
+        // A lock left by a worker that died while holding it
+        try {
+            if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) fs.rmSync(lock, { force: true });
+        } catch (e) {}
+        if (Date.now() > deadline) throw shareError(503, "This link is busy, try again");
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    try {
+        return fn();
+    } finally {
+        fs.rmSync(lock, { force: true });
+    }
+}
+
+// Start a view: check the limit and count the view in one step. Returns { record, viewKey, expiresAt }
+// where viewKey lets the rest of this view's requests through (inView).
+function startView(record) {
+    return withRecordLock(record.id, () => {
+        const current = readRecord(record.id);
+        if (!current || isExpired(current)) throw shareError(404, "This link is invalid or has expired");
+        if (isUsedUp(current)) throw shareError(410, "This link has reached its view limit");
+        const now = Math.floor(Date.now() / 1000);
+        const exp = Math.min(now + VIEW_TTL_S, Math.floor(Date.parse(current.expiresAt) / 1000));
+        const view = crypto.randomBytes(16).toString("base64url");
+        // Ended views are dropped as new ones start
+        const viewIds = Object.entries(current.viewIds || {}).filter(([, expires]) => expires > now);
+        current.viewIds = Object.fromEntries([...viewIds, [view, exp]]);
+        current.views += 1;
+        current.lastViewedAt = new Date().toISOString();
+        writeRecord(current);
+
+        return {
+            record: current,
+            viewKey: encodeSigned({ id: current.id, view, exp }, VIEW_PURPOSE),
+            expiresAt: new Date(exp * 1000).toISOString(),
+        };
+    });
+}
+
+// Active links of an org, newest first. Records of expired links are removed on the way.
+function listShares(orgName) {
+    const active = [];
+    for (const record of readAllRecords().filter((r) => r.org === orgName)) {
+        if (isExpired(record)) {
+            fs.rmSync(recordPath(record.id), { force: true });
+            continue;
+        }
+        if (!isUsedUp(record)) active.push(publicShare(record));
+    }
+    return active.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Revoke a link: its token stops working immediately
+function revokeShare(orgName, id) {
+    const record = readRecord(id);
+    if (!record || record.org !== orgName) throw shareError(404, "Share link not found");
+    fs.rmSync(recordPath(id), { force: true });
+    console.log(`[Shares] Revoked link ${id} for ${record.path}`);
+    return publicShare(record);
+}
+
+// Keep links working when their file moves (or its org is renamed): records pointing at
+// fromPath, or below it, now point at toPath
+function moveShares(fromPath, toPath, orgName) {
+    for (const record of readAllRecords()) {
+        if (record.path !== fromPath && !record.path.startsWith(`${fromPath}/`)) continue;
+        record.path = toPath + record.path.slice(fromPath.length);
+        if (orgName) record.org = orgName;
+        writeRecord(record);
+    }
+}
+
+module.exports = {
+    createShare,
+    resolveShare,
+    unlockShare,
+    isUnlocked,
+    inView,
+    startView,
+    listShares,
+    revokeShare,
+    moveShares,
+};
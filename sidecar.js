@@ -0,0 +1,73 @@
+const { storage } = require('./storage');
+
+// Each media file may have a "<file>.meta.json" sidecar next to it. Clients own every field except
+// "technical", which the server fills in from probing, "level", the file's minimum access level
+// (set by admins through /api/files/level), and "integrity", the content hashes. Client updates
+// never overwrite them.
+const SERVER_FIELDS = ['technical', 'level', 'integrity'];
+
+function metaPathFor(remotePath) {
+    return `${remotePath}.meta.json`;
+}
+
+// Parsed sidecar, or null if there is none
+async function readSidecar(remotePath) {
+    const metaPath = metaPathFor(remotePath);
+    if (!(await storage.exists(metaPath))) return null;
+    const content = await storage.getFileContents(metaPath);
+    return JSON.parse(content.toString());
+}
+
+async function writeSidecar(remotePath, sidecar) {
+    await storage.putFileContents(metaPathFor(remotePath), JSON.stringify(sidecar, null, 2), { overwrite: true });
+}
+
+// Split a sidecar into the client's metadata and the server-owned blocks
+function splitSidecar(sidecar) {
+    const metadata = { ...(sidecar || {}) };
+    const server = {};
+    for (const field of SERVER_FIELDS) {
+        server[field] = metadata[field] || null;
+        delete metadata[field];
+    }
+    return { metadata, ...server };
+}
+
+// Replace the client's metadata, keeping the server-owned blocks
+async function writeClientMetadata(remotePath, metadata) {
+    const existing = splitSidecar(await readSidecar(remotePath));
+    const sidecar = splitSidecar(metadata).metadata;
+    for (const field of SERVER_FIELDS) {
+        if (existing[field]) sidecar[field] = existing[field];
+    }
+    await writeSidecar(remotePath, sidecar);
+    return sidecar;
+}
+
+// Store the probed technical block, keeping whatever the client has written
+async function writeTechnical(remotePath, technical) {
+    let sidecar = null;
+    try {
+        sidecar = await readSidecar(remotePath);
+    } catch (error) {
+        console.warn(`[Meta] Replacing unreadable sidecar for ${remotePath}:`, error.message);
+    }
+    await writeSidecar(remotePath, { ...(sidecar || {}), technical });
+}
+
+// Set (or clear, with null) the file's minimum access level, keeping everything else
+async function writeLevel(remotePath, level) {
+    const sidecar = { ...((await readSidecar(remotePath)) || {}) };
+    if (level) sidecar.level = level;
+    else delete sidecar.level;
+    await writeSidecar(remotePath, sidecar);
+    return sidecar;
+}
+
+// Store the integrity block (content hashes, last verification), keeping everything else
+async function writeIntegrity(remotePath, integrity) {
+    const sidecar = (await readSidecar(remotePath)) || {};
+    await writeSidecar(remotePath, { ...sidecar, integrity });
+}
+
+module.exports = { metaPathFor, readSidecar, splitSidecar, writeClientMetadata, writeTechnical, writeLevel, writeIntegrity };
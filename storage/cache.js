@@ -0,0 +1,189 @@
+const path = require("path");
+const { isNotFound } = require("./errors");
+
+// Short-lived in-process cache in front of a storage driver for exists, stat, directory listings
+// and small files (logos, config.json, sidecars). Writes, moves and deletes made through this
+// process invalidate the affected entries; changes made elsewhere (another cluster worker, the
+// WebDAV web UI) show up once the TTL runs out.
+
+const TTL_MS = (process.env.STORAGE_CACHE_TTL !== undefined ? Number(process.env.STORAGE_CACHE_TTL) : 30) * 1000;
+const MAX_ENTRIES = parseInt(process.env.STORAGE_CACHE_MAX_ENTRIES, 10) || 5000;
+// Only files up to this size are kept in memory
+const MAX_BLOB_BYTES = 1024 * 1024;
+
+const OPERATIONS = ["exists", "stat", "list", "contents"];
+
+function normalize(remotePath) {
+    return path.posix.normalize(`/${remotePath || ""}`).replace(/\/+$/, "") || "/";
+}
+
+function ancestorsOf(remotePath) {
+    const ancestors = [];
+    let current = remotePath;
+    while (current !== "/") {
+        current = path.posix.dirname(current);
+        ancestors.push(current);
+    }
+    return ancestors;
+}
+
+function withCache(driver) {
+    if (!(TTL_MS > 0)) return Object.assign(Object.create(driver), { cacheStats: () => ({ enabled: false }) });
+
+    // key "<operation>:<path>" -> { expires, value: Promise }. Map order doubles as insertion order
+    // for trimming the oldest entries.
+    const entries = new Map();
+    const counters = {};
+    for (const operation of OPERATIONS) counters[operation] = { hits: 0, misses: 0 };
+    let invalidations = 0;
+
+    const read = (operation, remotePath, load) => {
+        const key = `${operation}:${remotePath}`;
+        const entry = entries.get(key);
+        if (entry && entry.expires > Date.now()) {
+            counters[operation].hits += 1;
+            return entry.value;
+        }
+
+        counters[operation].misses += 1;
+        // Concurrent callers share the pending lookup. "Not found" is cached like any answer
+        // (logo lookups probe several missing extensions); other failures are not.
+        const value = load();
+        entries.set(key, { expires: Date.now() + TTL_MS, value });
+        value.catch((error) => {
+            if (!isNotFound(error) && entries.get(key) && entries.get(key).value === value) entries.delete(key);
+        });
+        if (entries.size > MAX_ENTRIES) {
+            entries.delete(entries.keys().next().value);
+        }
+        return value;
+    };
+
+    const remember = (operation, remotePath, value) => {
+        entries.set(`${operation}:${remotePath}`, { expires: Date.now() + TTL_MS, value: Promise.resolve(value) });
+    };
+
+    // Forget a path, everything below it and the listings (and directory stats) of its ancestors
+    const invalidate = (...remotePaths) => {
+        invalidations += 1;
+        for (const raw of remotePaths) {
+            const remotePath = normalize(raw);
+            for (const key of [...entries.keys()]) {
+                const keyPath = key.slice(key.indexOf(":") + 1);
+                if (keyPath === remotePath || keyPath.startsWith(`${remotePath}/`)) entries.delete(key);
+            }
+            for (const ancestor of ancestorsOf(remotePath)) {
+                for (const operation of OPERATIONS) entries.delete(`${operation}:${ancestor}`);
+            }
+        }
+    };
+
+    const stat = (raw) => {
+        const remotePath = normalize(raw);
+        return read("stat", remotePath, () => driver.stat(raw));
+    };
+
+    const cached = {
+        driver: driver.driver,
+
+        exists: (raw) => {
+            const remotePath = normalize(raw);
+            return read("exists", remotePath, async () => {
+                // A cached stat answers it too
+                const statEntry = entries.get(`stat:${remotePath}`);
+                if (statEntry && statEntry.expires > Date.now()) {
+                    try {
+                        await statEntry.value;
+                        return true;
+                    } catch (error) {
+                        if (isNotFound(error)) return false;
+                    }
+                }
+                return driver.exists(raw);
+            });
+        },
+
+        stat,
+
+        getDirectoryContents: (raw) => {
+            const remotePath = normalize(raw);
+            return read("list", remotePath, async () => {
+                const items = await driver.getDirectoryContents(raw);
+                // A listing also tells us about each child, which saves a stat per file on the next page view
+                for (const item of items) {
+                    const childPath = normalize(`${remotePath}/${item.basename}`);
+                    remember("stat", childPath, item);
+                    remember("exists", childPath, true);
+                }
+                return items;
+            });
+        },
+
+        getFileContents: async (raw, options = {}) => {
+            const remotePath = normalize(raw);
+            const bytes = await read("contents", remotePath, () => driver.getFileContents(raw, { format: "binary" }));
+            // Large files (media) are not worth the memory
+            if (bytes.length > MAX_BLOB_BYTES) entries.delete(`contents:${remotePath}`);
+            return options.format === "text" ? bytes.toString("utf8") : bytes;
+        },
+
+        putFileContents: async (raw, data, options) => {
+            try {
+                return await driver.putFileContents(raw, data, options);
+            } finally {
+                invalidate(raw);
+            }
+        },
+
+        createReadStream: (raw, options) => driver.createReadStream(raw, options),
+
+        createWriteStream: (raw) => {
+            invalidate(raw);
+            const stream = driver.createWriteStream(raw);
+            // Lookups made while the upload runs would cache the old file
+            stream.on("finish", () => invalidate(raw));
+            stream.on("error", () => invalidate(raw));
+            return stream;
+        },
+
+        createDirectory: async (raw, options) => {
+            try {
+                return await driver.createDirectory(raw, options);
+            } finally {
+                invalidate(raw);
+            }
+        },
+
+        deleteFile: async (raw) => {
+            try {
+                return await driver.deleteFile(raw);
+            } finally {
+                invalidate(raw);
+            }
+        },
+
+        moveFile: async (from, to) => {
+            try {
+                return await driver.moveFile(from, to);
+            } finally {
+                invalidate(from, to);
+            }
+        },
+
+        getFileDownloadLink: (raw) => driver.getFileDownloadLink(raw),
+
+        // Hit/miss counters per operation, for /api/health
+        cacheStats: () => {
+            const operations = {};
+            for (const [operation, { hits, misses }] of Object.entries(counters)) {
+                const total = hits + misses;
+                operations[operation] = { hits, misses, hitRate: total ? Math.round((hits / total) * 1000) / 1000 : null };
+            }
+            return { enabled: true, ttlSeconds: TTL_MS / 1000, entries: entries.size, invalidations, operations };
+        },
+    };
+
+    return cached;
+}
+
+module.exports = { withCache };
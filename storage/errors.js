@@ -0,0 +1,16 @@
+// Errors thrown by the storage drivers carry the HTTP status the same way the webdav client does
+// (error.status and error.response.status), so route handlers check one shape for every driver.
+function storageError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.response = { status };
+    return error;
+}
+
+const notFound = (remotePath) => storageError(404, `Not found: ${remotePath}`);
+
+function isNotFound(error) {
+    return !!error && (error.status === 404 || (error.response && error.response.status === 404));
+}
+
+module.exports = { storageError, notFound, isNotFound };
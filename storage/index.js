@@ -0,0 +1,36 @@
+const dotenv = require("dotenv");
+const { withCache } = require("./cache");
+
+dotenv.config();
+
+// Storage backend, chosen with STORAGE_DRIVER (webdav | local | s3). Every driver implements:
+//
+//   exists(path)                          -> Promise<boolean>
+//   stat(path)                            -> Promise<{ filename, basename, lastmod, size, type, etag }>
+//   getDirectoryContents(path)            -> Promise<stat[]>   (direct children, type "file" | "directory")
+//   getFileContents(path, { format })     -> Promise<Buffer | string>   (format "binary" default, or "text")
+//   putFileContents(path, data, { overwrite })
+//   createReadStream(path, { range: { start, end } })  -> Readable (range optional, end inclusive)
+//   createWriteStream(path)               -> Writable that emits "finish" once the data is stored
+//   createDirectory(path, { recursive })
+//   deleteFile(path)                      -> removes a file, or a directory and everything below it
+//   moveFile(from, to)
+//   getFileDownloadLink(path)             -> Promise<string> readable by ffmpeg (URL or local file path)
+//
+// Missing paths reject (or emit "error") with error.status === 404, see storage/errors.js.
+
+const DRIVERS = {
+    webdav: () => require("./owncloud").createWebDavStorage(),
+    local: () => require("./local").createLocalStorage(),
+    s3: () => require("./s3").createS3Storage(),
+};
+
+const driverName = (process.env.STORAGE_DRIVER || "webdav").toLowerCase();
+if (!DRIVERS[driverName]) {
+    throw new Error(`Critical Error: Unknown STORAGE_DRIVER "${driverName}" (expected ${Object.keys(DRIVERS).join(", ")})`);
+}
+
+// Reads are cached briefly in-process, see storage/cache.js
+const storage = withCache(DRIVERS[driverName]());
+
+module.exports = { storage };
@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { storageError, notFound } = require("./errors");
+
+// Local filesystem driver. Storage paths map onto LOCAL_STORAGE_ROOT, which makes it possible
+// to run the whole API in development and tests without an ownCloud server.
+function createLocalStorage() {
+    const root = path.resolve(process.env.LOCAL_STORAGE_ROOT || path.join(__dirname, "..", "data", "storage"));
+    fs.mkdirSync(root, { recursive: true });
+
+    // Map a storage path to a path on disk, never outside the root
+    const resolve = (remotePath) => {
+        const normalized = path.posix.normalize(`/${remotePath || ""}`);
+        const full = path.join(root, normalized);
+        if (full !== root && !full.startsWith(root + path.sep)) {
+            throw storageError(403, `Path escapes storage root: ${remotePath}`);
+        }
+        return full;
+    };
+
+    const toStat = (remotePath, stats) => {
+        const filename = path.posix.normalize(`/${remotePath}`).replace(/\/$/, "") || "/";
+        return {
+            filename,
+            basename: path.posix.basename(filename),
+            lastmod: stats.mtime.toUTCString(),
+            size: stats.isDirectory() ? 0 : stats.size,
+            type: stats.isDirectory() ? "directory" : "file",
+            etag: crypto.createHash("md5").update(`${stats.ino}-${stats.size}-${stats.mtimeMs}`).digest("hex"),
+        };
+    };
+
+    const statOrThrow = async (remotePath) => {
+        try {
+            return await fs.promises.stat(resolve(remotePath));
+        } catch (error) {
+            if (error.code === "ENOENT") throw notFound(remotePath);
+            throw error;
+        }
+    };
+
+    return {
+        driver: "local",
+
+        exists: async (remotePath) => fs.existsSync(resolve(remotePath)),
+
+        stat: async (remotePath) => toStat(remotePath, await statOrThrow(remotePath)),
+
+        getDirectoryContents: async (remotePath) => {
+            const stats = await statOrThrow(remotePath);
+            if (!stats.isDirectory()) throw storageError(400, `Not a directory: ${remotePath}`);
+
+            const dir = resolve(remotePath);
+            const entries = await fs.promises.readdir(dir);
+            return Promise.all(entries.map(async (name) => {
+                const childStats = await fs.promises.stat(path.join(dir, name));
+                return toStat(path.posix.join(remotePath, name), childStats);
+            }));
+        },
+
+        getFileContents: async (remotePath, options = {}) => {
+            await statOrThrow(remotePath);
+            return fs.promises.readFile(resolve(remotePath), options.format === "text" ? "utf8" : undefined);
+        },
+
+        putFileContents: async (remotePath, data, options = {}) => {
+            const target = resolve(remotePath);
+            if (options.overwrite === false && fs.existsSync(target)) {
+                throw storageError(412, `File exists: ${remotePath}`);
+            }
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.writeFile(target, data);
+        },
+
+        createReadStream: (remotePath, options = {}) => {
+            const target = resolve(remotePath);
+            const range = options.range || {};
+            const stream = fs.createReadStream(target, { start: range.start, end: range.end });
+            // Report a missing file with the same 404 shape as the other drivers
+            stream.on("error", (error) => {
+                if (error.code === "ENOENT") {
+                    error.status = 404;
+                    error.response = { status: 404 };
+                }
+            });
+            return stream;
+        },
+
+        createWriteStream: (remotePath) => {
+            const target = resolve(remotePath);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            return fs.createWriteStream(target);
+        },
+
+        createDirectory: async (remotePath, options = {}) => {
+            const target = resolve(remotePath);
+            if (!options.recursive && fs.existsSync(target)) {
+                // WebDAV answers MKCOL on an existing collection with 405
+                throw storageError(405, `Directory exists: ${remotePath}`);
+            }
+            await fs.promises.mkdir(target, { recursive: true });
+        },
+
+        deleteFile: async (remotePath) => {
+            await statOrThrow(remotePath);
+            await fs.promises.rm(resolve(remotePath), { recursive: true, force: true });
+        },
+
+        moveFile: async (from, to) => {
+            await statOrThrow(from);
+            const target = resolve(to);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.rename(resolve(from), target);
+        },
+
+        getFileDownloadLink: async (remotePath) => resolve(remotePath),
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -1,37 +1,83 @@
 const { createClient } = require("webdav");
-const dotenv = require("dotenv");
 const http = require("http");
 const https = require("https");
+const { Writable } = require("stream");
 
-dotenv.config();
+// WebDAV driver (ownCloud / Nextcloud). The webdav client already implements the storage
+// interface, so the driver only adapts option shapes.
+function createWebDavStorage() {
+  // Verify required environment variables
+  const requiredEnv = ['OWNCLOUD_URL', 'OWNCLOUD_USERNAME', 'OWNCLOUD_PASSWORD'];
+  const missingEnv = requiredEnv.filter(key => !process.env[key]);
 
-// Verify required environment variables
-const requiredEnv = ['OWNCLOUD_URL', 'OWNCLOUD_USERNAME', 'OWNCLOUD_PASSWORD'];
-const missingEnv = requiredEnv.filter(key => !process.env[key]);
+  if (missingEnv.length > 0) {
+    throw new Error(`Critical Error: Missing environment variables: ${missingEnv.join(', ')}`);
+  }
 
-if (missingEnv.length > 0) {
-  throw new Error(`Critical Error: Missing environment variables: ${missingEnv.join(', ')}`);
-}
+  const agentOptions = {
+    keepAlive: true,
+    keepAliveMsecs: 10000,
+    maxSockets: 50,
+    maxFreeSockets: 10,
+    timeout: 60000, // 60s socket timeout
+  };
 
-const agentOptions = {
-  keepAlive: true,
-  keepAliveMsecs: 10000,
-  maxSockets: 50,
-  maxFreeSockets: 10,
-  timeout: 60000, // 60s socket timeout
-};
-
-const httpAgent = new http.Agent(agentOptions);
-const httpsAgent = new https.Agent(agentOptions);
-
-const owncloud = createClient(
-  process.env.OWNCLOUD_URL,
-  {
-    username: process.env.OWNCLOUD_USERNAME,
-    password: process.env.OWNCLOUD_PASSWORD,
-    httpAgent: httpAgent,
-    httpsAgent: httpsAgent,
-  }
-);
+  const httpAgent = new http.Agent(agentOptions);
+  const httpsAgent = new https.Agent(agentOptions);
+
+  const owncloud = createClient(
+    process.env.OWNCLOUD_URL,
+    {
+      username: process.env.OWNCLOUD_USERNAME,
+      password: process.env.OWNCLOUD_PASSWORD,
+      httpAgent: httpAgent,
+      httpsAgent: httpsAgent,
+    }
+  );
+
+  return {
+    driver: "webdav",
+    exists: (remotePath) => owncloud.exists(remotePath),
+    stat: (remotePath) => owncloud.stat(remotePath),
+    getDirectoryContents: (remotePath) => owncloud.getDirectoryContents(remotePath),
+    getFileContents: (remotePath, options = {}) => owncloud.getFileContents(remotePath, options),
+    putFileContents: (remotePath, data, options = {}) => owncloud.putFileContents(remotePath, data, options),
+    // The client sends options.range as a Range header
+    createReadStream: (remotePath, options = {}) => owncloud.createReadStream(remotePath, options),
+    createWriteStream: (remotePath) => {
+      // The client's stream finishes once the bytes are buffered, before the PUT is answered.
+      // "finish" must mean stored, so final() waits for the response (as in the S3 driver).
+      let body;
+      const stored = new Promise((resolve, reject) => {
+        body = owncloud.createWriteStream(remotePath, {}, () => resolve());
+        // The client reports a failed PUT as an error on its stream
+        body.on("error", reject);
+      });
+      stored.catch(() => {}); // surfaced through final() and destroy below
+
+      const stream = new Writable({
+        write(chunk, encoding, callback) {
+          if (body.write(chunk)) callback();
+          else body.once("drain", callback);
+        },
+        final(callback) {
+          body.end();
+          stored.then(() => callback(), callback);
+        },
+        destroy(error, callback) {
+          if (error) body.destroy();
+          callback(error);
+        },
+      });
+      stored.catch((error) => stream.destroy(error));
+      return stream;
+    },
+    createDirectory: (remotePath, options = {}) => owncloud.createDirectory(remotePath, options),
+    deleteFile: (remotePath) => owncloud.deleteFile(remotePath),
+    moveFile: (from, to) => owncloud.moveFile(from, to),
+    // URL with embedded credentials, for tools such as ffmpeg that read over HTTP
+    getFileDownloadLink: async (remotePath) => owncloud.getFileDownloadLink(remotePath),
+  };
+}
 
-module.exports = { owncloud };
+module.exports = { createWebDavStorage };
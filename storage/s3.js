@@ -0,0 +1,295 @@
+const path = require("path");
+const { PassThrough, Writable } = require("stream");
+const {
+    S3Client,
+    HeadObjectCommand,
+    GetObjectCommand,
+    PutObjectCommand,
+    CopyObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCopyCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { Upload } = require("@aws-sdk/lib-storage");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { storageError, notFound } = require("./errors");
+
+// Single-request copies are limited to 5GB by S3; larger objects are copied in parts
+const MAX_COPY_OBJECT_SIZE = 5 * 1024 ** 3;
+const COPY_PART_SIZE = 512 * 1024 ** 2;
+const MAX_PARTS = 10000;
+
+// S3-compatible driver (AWS S3, MinIO, Wasabi, R2, ...). S3 has no directories, so they are
+// emulated: a directory exists if an empty "<dir>/" marker object or any object below it exists.
+function createS3Storage() {
+    const requiredEnv = ['S3_BUCKET'];
+    const missingEnv = requiredEnv.filter(key => !process.env[key]);
+    if (missingEnv.length > 0) {
+        throw new Error(`Critical Error: Missing environment variables: ${missingEnv.join(', ')}`);
+    }
+
+    const bucket = process.env.S3_BUCKET;
+    // Optional key prefix, to share a bucket with other data
+    const prefix = (process.env.S3_PREFIX || "").replace(/^\/+|\/+$/g, "");
+
+    const client = new S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+            : undefined,
+    });
+
+    const toKey = (remotePath) => {
+        const clean = path.posix.normalize(`/${remotePath || ""}`).replace(/^\/+|\/+$/g, "");
+        return [prefix, clean].filter(Boolean).join("/");
+    };
+    const dirKey = (remotePath) => {
+        const key = toKey(remotePath);
+        return key ? `${key}/` : "";
+    };
+    const toRemotePath = (key) => `/${prefix ? key.slice(prefix.length + 1) : key}`.replace(/\/$/, "");
+
+    const isMissing = (error) => error.name === "NotFound" || error.name === "NoSuchKey"
+        || (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+    const fileStat = (remotePath, head) => ({
+        filename: path.posix.normalize(`/${remotePath}`),
+        basename: path.posix.basename(remotePath),
+        lastmod: new Date(head.LastModified).toUTCString(),
+        size: Number(head.ContentLength !== undefined ? head.ContentLength : head.Size),
+        type: "file",
+        etag: String(head.ETag || "").replace(/"/g, ""),
+    });
+
+    const directoryStat = (remotePath, lastModified) => ({
+        filename: path.posix.normalize(`/${remotePath}`).replace(/\/$/, "") || "/",
+        basename: path.posix.basename(remotePath),
+        lastmod: new Date(lastModified || Date.now()).toUTCString(),
+        size: 0,
+        type: "directory",
+        etag: null,
+    });
+
+    const headObject = async (remotePath) => {
+        try {
+            return await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toKey(remotePath) }));
+        } catch (error) {
+            if (isMissing(error)) return null;
+            throw error;
+        }
+    };
+
+    // All keys below a directory, following continuation tokens
+    const listAll = async (keyPrefix, delimiter) => {
+        const contents = [];
+        const prefixes = [];
+        let token;
+        do {
+            const page = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: keyPrefix,
+                Delimiter: delimiter,
+                ContinuationToken: token,
+            }));
+            contents.push(...(page.Contents || []));
+            prefixes.push(...(page.CommonPrefixes || []));
+            token = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (token);
+        return { contents, prefixes };
+    };
+
+    const directoryExists = async (remotePath) => {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: dirKey(remotePath), MaxKeys: 1 }));
+        return (page.KeyCount || 0) > 0;
+    };
+
+    const deleteKeys = async (keys) => {
+        // DeleteObjects accepts at most 1000 keys per call
+        for (let i = 0; i < keys.length; i += 1000) {
+            await client.send(new DeleteObjectsCommand({
+                Bucket: bucket,
+                Delete: { Objects: keys.slice(i, i + 1000).map((Key) => ({ Key })) },
+            }));
+        }
+    };
+
+    const copySource = (key) => `${bucket}/${key.split("/").map(encodeURIComponent).join("/")}`;
+
+    // Server-side multipart copy (UploadPartCopy) for objects over MAX_COPY_OBJECT_SIZE
+    const copyKeyInParts = async (fromKey, toKeyName, size) => {
+        // CopyObject keeps the content type and metadata by itself; a multipart upload has to be told
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: fromKey }));
+        const { UploadId } = await client.send(new CreateMultipartUploadCommand({
+            Bucket: bucket,
+            Key: toKeyName,
+            ContentType: head.ContentType,
+            Metadata: head.Metadata,
+        }));
+        try {
+            const partSize = Math.max(COPY_PART_SIZE, Math.ceil(size / MAX_PARTS));
+            const parts = [];
+            for (let start = 0, PartNumber = 1; start < size; start += partSize, PartNumber++) {
+                const end = Math.min(start + partSize, size) - 1;
+                const { CopyPartResult } = await client.send(new UploadPartCopyCommand({
+                    Bucket: bucket,
+                    Key: toKeyName,
+                    UploadId,
+                    PartNumber,
+                    CopySource: copySource(fromKey),
+                    CopySourceRange: `bytes=${start}-${end}`,
+                }));
+                parts.push({ PartNumber, ETag: CopyPartResult.ETag });
+            }
+            await client.send(new CompleteMultipartUploadCommand({
+                Bucket: bucket,
+                Key: toKeyName,
+                UploadId,
+                MultipartUpload: { Parts: parts },
+            }));
+        } catch (error) {
+            await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: toKeyName, UploadId })).catch(() => {});
+            throw error;
+        }
+    };
+
+    const copyKey = (fromKey, toKeyName, size) => {
+        if (size > MAX_COPY_OBJECT_SIZE) return copyKeyInParts(fromKey, toKeyName, size);
+        return client.send(new CopyObjectCommand({ Bucket: bucket, CopySource: copySource(fromKey), Key: toKeyName }));
+    };
+
+    const storage = {
+        driver: "s3",
+
+        exists: async (remotePath) => {
+            if (!toKey(remotePath)) return true; // bucket root
+            return !!(await headObject(remotePath)) || directoryExists(remotePath);
+        },
+
+        stat: async (remotePath) => {
+            const head = toKey(remotePath) ? await headObject(remotePath) : null;
+            if (head) return fileStat(remotePath, head);
+            if (!toKey(remotePath) || await directoryExists(remotePath)) return directoryStat(remotePath);
+            throw notFound(remotePath);
+        },
+
+        getDirectoryContents: async (remotePath) => {
+            const base = dirKey(remotePath);
+            const { contents, prefixes } = await listAll(base, "/");
+            if (base && contents.length === 0 && prefixes.length === 0) throw notFound(remotePath);
+
+            const directories = prefixes.map((p) => directoryStat(toRemotePath(p.Prefix)));
+            const files = contents
+                .filter((object) => object.Key !== base) // the directory marker itself
+                .map((object) => fileStat(toRemotePath(object.Key), object));
+            return [...directories, ...files];
+        },
+
+        getFileContents: async (remotePath, options = {}) => {
+            try {
+                const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toKey(remotePath) }));
+                const bytes = Buffer.from(await response.Body.transformToByteArray());
+                return options.format === "text" ? bytes.toString("utf8") : bytes;
+            } catch (error) {
+                if (isMissing(error)) throw notFound(remotePath);
+                throw error;
+            }
+        },
+
+        putFileContents: async (remotePath, data, options = {}) => {
+            if (options.overwrite === false && await headObject(remotePath)) {
+                throw storageError(412, `File exists: ${remotePath}`);
+            }
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: toKey(remotePath), Body: data }));
+        },
+
+        createReadStream: (remotePath, options = {}) => {
+            const stream = new PassThrough();
+            const range = options.range;
+            const rangeHeader = range && typeof range.start === "number"
+                ? `bytes=${range.start}-${typeof range.end === "number" ? range.end : ""}`
+                : undefined;
+
+            client.send(new GetObjectCommand({ Bucket: bucket, Key: toKey(remotePath), Range: rangeHeader }))
+                .then((response) => {
+                    response.Body.on("error", (error) => stream.destroy(error));
+                    // Stop downloading if the consumer goes away
+                    stream.on("close", () => response.Body.destroy());
+                    response.Body.pipe(stream);
+                })
+                .catch((error) => stream.destroy(isMissing(error) ? notFound(remotePath) : error));
+            return stream;
+        },
+
+        createWriteStream: (remotePath) => {
+            const body = new PassThrough();
+            const upload = new Upload({ client, params: { Bucket: bucket, Key: toKey(remotePath), Body: body } });
+            const done = upload.done();
+            done.catch(() => {}); // surfaced through final() below
+
+            // "finish" must mean stored, so final() waits for the multipart upload to complete
+            return new Writable({
+                write(chunk, encoding, callback) {
+                    if (body.write(chunk)) callback();
+                    else body.once("drain", callback);
+                },
+                final(callback) {
+                    body.end();
+                    done.then(() => callback(), callback);
+                },
+                destroy(error, callback) {
+                    if (error) upload.abort().catch(() => {});
+                    callback(error);
+                },
+            });
+        },
+
+        createDirectory: async (remotePath, options = {}) => {
+            if (!options.recursive && await storage.exists(remotePath)) {
+                throw storageError(405, `Directory exists: ${remotePath}`);
+            }
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: dirKey(remotePath), Body: "" }));
+        },
+
+        deleteFile: async (remotePath) => {
+            const keys = [];
+            if (await headObject(remotePath)) keys.push(toKey(remotePath));
+            const { contents } = await listAll(dirKey(remotePath));
+            keys.push(...contents.map((object) => object.Key));
+            if (keys.length === 0) throw notFound(remotePath);
+            await deleteKeys(keys);
+        },
+
+        moveFile: async (from, to) => {
+            // S3 has no rename: copy every object, then delete the originals
+            const moves = [];
+            const head = await headObject(from);
+            if (head) moves.push([toKey(from), toKey(to), Number(head.ContentLength)]);
+            const { contents } = await listAll(dirKey(from));
+            for (const object of contents) {
+                moves.push([object.Key, dirKey(to) + object.Key.slice(dirKey(from).length), Number(object.Size)]);
+            }
+            if (moves.length === 0) throw notFound(from);
+
+            for (const [fromKey, toKeyName, size] of moves) {
+                await copyKey(fromKey, toKeyName, size);
+            }
+            await deleteKeys(moves.map(([fromKey]) => fromKey));
+        },
+
+        // Presigned URL so ffmpeg can read the object with range requests
+        getFileDownloadLink: (remotePath) => getSignedUrl(
+            client,
+            new GetObjectCommand({ Bucket: bucket, Key: toKey(remotePath) }),
+            { expiresIn: 3600 }
+        ),
+    };
+
+    return storage;
+}
+
+module.exports = { createS3Storage };
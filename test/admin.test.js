@@ -0,0 +1,48 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/app");
+
+// Server-wide admin routes (the logo and deleted organizations) need an admin token
+
+let app;
+
+before(async () => {
+    app = await startApp({ orgs: { Acme: { password: "admin-password" } } });
+});
+
+after(() => app.close());
+
+const ROUTES = [
+    ["POST", "/api/admin/logo"],
+    ["GET", "/api/trash/orgs"],
+    ["POST", "/api/trash/orgs/00000000-0000-0000-0000-000000000000/restore"],
+    ["DELETE", "/api/trash/orgs/00000000-0000-0000-0000-000000000000"],
+];
+
+test("refuses requests without a token", async () => {
+    for (const [method, url] of ROUTES) {
+        const response = await fetch(`${app.base}${url}`, {
+            method,
+            headers: { "Content-Type": "application/json" },
+            body: method === "GET" ? undefined : JSON.stringify({ password: "admin-password" }),
+        });
+        assert.equal(response.status, 401, `${method} ${url}`);
+    }
+});
+
+test("refuses viewers and lets admins through", async () => {
+    const admin = await app.login("Acme", "admin-password");
+    const levels = await fetch(`${app.base}/api/orgs/Acme/levels`, {
+        method: "PUT",
+        headers: { Authorization: `Bearer ${admin}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ levels: [{ id: "guest", password: "guest-password" }] }),
+    });
+    assert.equal(levels.status, 200);
+    const guest = await app.login("Acme", "guest-password", "guest");
+
+    const refused = await fetch(`${app.base}/api/trash/orgs`, { headers: { Authorization: `Bearer ${guest}` } });
+    assert.equal(refused.status, 403);
+    const response = await fetch(`${app.base}/api/trash/orgs`, { headers: { Authorization: `Bearer ${admin}` } });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), []);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const { startApp } = require("./support/app");
+
+// Access levels in listings and search: a file whose sidecar can't be read has an unknown level,
+// so viewers don't get it (rather than the folder's default applying)
+
+let app;
+let adminToken;
+let guestToken;
+
+const write = (remotePath, content) => {
+    const file = path.join(app.root, remotePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+};
+
+const get = async (token, url) => {
+    const response = await fetch(`${app.base}${url}`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(response.status, 200);
+    return response.json();
+};
+
+before(async () => {
+    app = await startApp({ orgs: { Acme: { password: "admin-password" } } });
+    write("/organizations/Acme/videos/open.mp4", "open");
+    write("/organizations/Acme/videos/staff.mp4", "staff");
+    write("/organizations/Acme/videos/staff.mp4.meta.json", JSON.stringify({ level: "staff", metadata: { title: "clip" } }));
+    write("/organizations/Acme/videos/broken.mp4", "broken");
+    write("/organizations/Acme/videos/broken.mp4.meta.json", "{ not json");
+
+    adminToken = await app.login("Acme", "admin-password");
+    const response = await fetch(`${app.base}/api/orgs/Acme/levels`, {
+        method: "PUT",
+        headers: { Authorization: `Bearer ${adminToken}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ levels: [{ id: "guest", password: "guest-password" }, { id: "staff", password: "staff-password" }] }),
+    });
+    assert.equal(response.status, 200);
+    guestToken = await app.login("Acme", "guest-password", "guest");
+});
+
+after(() => app.close());
+
+const names = (files) => files.map((file) => file.basename || file.filename).sort();
+
+test("listing leaves out files above the viewer's level and files with an unreadable sidecar", async () => {
+    assert.deepEqual(names(await get(guestToken, "/api/list/Acme/videos")), ["open.mp4"]);
+    assert.deepEqual(names(await get(adminToken, "/api/list/Acme/videos")), ["broken.mp4", "open.mp4", "staff.mp4"]);
+});
+
+test("search leaves out files with an unreadable sidecar", async () => {
+    const found = await get(guestToken, "/api/search?q=mp4");
+    assert.deepEqual(found.results.map((doc) => doc.filename).sort(), ["open.mp4"]);
+
+    const all = await get(adminToken, "/api/search?q=mp4");
+    assert.deepEqual(all.results.map((doc) => doc.filename).sort(), ["open.mp4", "staff.mp4"]);
+});
@@ -0,0 +1,95 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline } = require("stream/promises");
+const { Readable } = require("stream");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// The local driver against the storage contract in storage/index.js, in a temp directory
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "local-storage-test-"));
+process.env.LOCAL_STORAGE_ROOT = root;
+const { createLocalStorage } = require("../storage/local");
+const { isNotFound } = require("../storage/errors");
+
+const storage = createLocalStorage();
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+}
+
+test("writes, reads and stats files, creating parent directories", async () => {
+    await storage.putFileContents("/org/videos/a.txt", "hello world");
+    assert.equal(await storage.exists("/org/videos/a.txt"), true);
+    assert.equal((await storage.getFileContents("/org/videos/a.txt")).toString(), "hello world");
+    assert.equal(await storage.getFileContents("/org/videos/a.txt", { format: "text" }), "hello world");
+
+    const stat = await storage.stat("/org/videos/a.txt");
+    assert.equal(stat.filename, "/org/videos/a.txt");
+    assert.equal(stat.basename, "a.txt");
+    assert.equal(stat.type, "file");
+    assert.equal(stat.size, 11);
+    assert.ok(stat.etag);
+
+    await assert.rejects(storage.putFileContents("/org/videos/a.txt", "again", { overwrite: false }), { status: 412 });
+});
+
+test("lists the direct children of a directory", async () => {
+    await storage.putFileContents("/list/one.txt", "1");
+    await storage.createDirectory("/list/sub/deeper", { recursive: true });
+
+    const items = await storage.getDirectoryContents("/list");
+    const byName = Object.fromEntries(items.map((item) => [item.basename, item]));
+    assert.deepEqual(Object.keys(byName).sort(), ["one.txt", "sub"]);
+    assert.equal(byName["one.txt"].filename, "/list/one.txt");
+    assert.equal(byName.sub.type, "directory");
+    assert.equal(byName.sub.size, 0);
+
+    await assert.rejects(storage.getDirectoryContents("/list/one.txt"), { status: 400 });
+    await assert.rejects(storage.createDirectory("/list/sub"), { status: 405 });
+});
+
+test("streams whole files and byte ranges", async () => {
+    await pipeline(Readable.from(["0123", "456789"]), storage.createWriteStream("/streams/digits.txt"));
+    assert.equal(await readAll(storage.createReadStream("/streams/digits.txt")), "0123456789");
+    assert.equal(await readAll(storage.createReadStream("/streams/digits.txt", { range: { start: 2, end: 5 } })), "2345");
+});
+
+test("moves and deletes files and directories", async () => {
+    await storage.putFileContents("/move/from/a.txt", "a");
+    await storage.moveFile("/move/from/a.txt", "/move/to/nested/b.txt");
+    assert.equal(await storage.exists("/move/from/a.txt"), false);
+    assert.equal(await storage.getFileContents("/move/to/nested/b.txt", { format: "text" }), "a");
+
+    await storage.moveFile("/move/to", "/move/renamed");
+    assert.equal(await storage.exists("/move/renamed/nested/b.txt"), true);
+
+    await storage.deleteFile("/move/renamed");
+    assert.equal(await storage.exists("/move/renamed"), false);
+});
+
+test("reports missing paths as 404", async () => {
+    for (const call of [
+        () => storage.stat("/missing.txt"),
+        () => storage.getFileContents("/missing.txt"),
+        () => storage.getDirectoryContents("/missing"),
+        () => storage.deleteFile("/missing.txt"),
+        () => storage.moveFile("/missing.txt", "/elsewhere.txt"),
+    ]) {
+        await assert.rejects(call(), (error) => isNotFound(error));
+    }
+    await assert.rejects(readAll(storage.createReadStream("/missing.txt")), (error) => isNotFound(error));
+});
+
+test("keeps paths inside the root", async () => {
+    // Leading ".." segments are clamped at the root rather than escaping it
+    await storage.putFileContents("/../../outside.txt", "x");
+    assert.equal(fs.existsSync(path.join(root, "outside.txt")), true);
+    assert.equal(fs.existsSync(path.join(path.dirname(root), "outside.txt")), false);
+    assert.equal(await storage.getFileDownloadLink("/org/videos/a.txt"), path.join(root, "org", "videos", "a.txt"));
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline } = require("stream/promises");
+const { Readable } = require("stream");
+const http = require("http");
+
+// The WebDAV driver against a local HTTP server that answers each PUT only after a delay,
+// the way a real server answers once the upload is written
+
+const PUT_DELAY_MS = 200;
+
+// Path -> stored body, set when the PUT is answered
+const stored = new Map();
+let failPuts = false;
+let server;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => {
+            if (req.method !== "PUT") {
+                res.statusCode = 405;
+                return res.end();
+            }
+            setTimeout(() => {
+                if (failPuts) {
+                    res.statusCode = 507;
+                    return res.end();
+                }
+                stored.set(decodeURIComponent(req.url), Buffer.concat(chunks).toString());
+                res.statusCode = 201;
+                res.end();
+            }, PUT_DELAY_MS);
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    Object.assign(process.env, {
+        OWNCLOUD_URL: `http://127.0.0.1:${server.address().port}/dav`,
+        OWNCLOUD_USERNAME: "user",
+        OWNCLOUD_PASSWORD: "password",
+    });
+});
+
+after(() => server.close());
+
+test("createWriteStream finishes only once the PUT has been answered", async () => {
+    const { createWebDavStorage } = require("../storage/owncloud");
+    const storage = createWebDavStorage();
+
+    const stream = storage.createWriteStream("/org/videos/a.txt");
+    let storedAtFinish = null;
+    stream.on("finish", () => {
+        storedAtFinish = stored.get("/dav/org/videos/a.txt");
+    });
+    await pipeline(Readable.from(["hello ", "world"]), stream);
+    assert.equal(storedAtFinish, "hello world");
+});
+
+test("createWriteStream fails when the PUT fails", async () => {
+    const { createWebDavStorage } = require("../storage/owncloud");
+    const storage = createWebDavStorage();
+
+    failPuts = true;
+    try {
+        const stream = storage.createWriteStream("/org/videos/b.txt");
+        let finished = false;
+        stream.on("finish", () => (finished = true));
+        await assert.rejects(pipeline(Readable.from(["data"]), stream));
+        assert.equal(finished, false);
+        assert.equal(stored.has("/dav/org/videos/b.txt"), false);
+    } finally {
+        failPuts = false;
+    }
+});
@@ -0,0 +1,61 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const sharp = require("sharp");
+const { startApp } = require("./support/app");
+
+// Events of the upload pipeline: file.uploaded as soon as the file is stored, once even if the job
+// is retried, and file.processed when every stage is done. Deliveries stay in the outbox, as no
+// dispatcher runs here.
+
+let app;
+
+before(async () => {
+    const hooks = [{ id: "all", url: "https://hooks.example.com/hook", events: ["*"], secret: "0123456789abcdef", active: true }];
+    app = await startApp({ orgs: { Acme: { password: "admin-password", webhooks: hooks } } });
+});
+
+after(() => app.close());
+
+test("announces an upload once it is stored, and only once across retries", async () => {
+    const { runUploadJob } = require("../processing");
+    const webhooks = require("../webhooks");
+    const events = () => webhooks.listPending("Acme").map((delivery) => delivery.event.type);
+
+    const tempPath = path.join(app.root, "..", "upload.png");
+    fs.writeFileSync(tempPath, await sharp({ create: { width: 8, height: 8, channels: 3, background: "#123456" } }).png().toBuffer());
+    const job = {
+        id: "job-1",
+        createdAt: new Date().toISOString(),
+        data: {
+            orgName: "Acme",
+            folder: "images",
+            filename: "photo.png",
+            mimeType: "image/png",
+            contentType: { format: "png", mimeType: "image/png", kind: "image" },
+            tempPath,
+            remotePath: "/organizations/Acme/images/photo.png",
+            onConflict: "rename",
+        },
+    };
+
+    // Events queued by the time each stage completes
+    const seen = {};
+    const update = (changes) => {
+        if (!changes.stages) return;
+        job.stages = changes.stages;
+        for (const stage of Object.keys(changes.stages)) if (!seen[stage]) seen[stage] = events();
+    };
+    await runUploadJob(job, update);
+    assert.deepEqual(seen.announced, ["file.uploaded"]);
+    assert.deepEqual(seen.technical, ["file.uploaded"]);
+    assert.deepEqual(events(), ["file.uploaded", "file.processed"]);
+
+    // A retry after a later stage failed picks up from there
+    fs.writeFileSync(tempPath, fs.readFileSync(path.join(app.root, "organizations/Acme/images/photo.png")));
+    const { indexed, thumbnails, ...stages } = job.stages;
+    job.stages = stages;
+    await runUploadJob(job, update);
+    assert.deepEqual(events(), ["file.uploaded", "file.processed", "file.processed"]);
+});
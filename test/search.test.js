@@ -0,0 +1,67 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const { startApp } = require("./support/app");
+
+// The search index shared by cluster workers: updates wait for the org's index lock, and bulk path
+// changes rebuild it in the background while searches keep using the current one
+
+let app;
+let token;
+
+const write = (remotePath, content) => {
+    const file = path.join(app.root, remotePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+};
+
+const searchFor = async (q) => {
+    const response = await fetch(`${app.base}/api/search?q=${encodeURIComponent(q)}`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(response.status, 200);
+    return (await response.json()).results.map((doc) => doc.path).sort();
+};
+
+before(async () => {
+    app = await startApp({ orgs: { Acme: { password: "admin-password" } } });
+    token = await app.login("Acme", "admin-password");
+    write("/organizations/Acme/videos/trips/beach.mp4", "beach");
+});
+
+after(() => app.close());
+
+test("an index update waits while another worker holds the org's lock", async () => {
+    const { indexMedia } = require("../search");
+    const { DATA_DIR } = require("../jobs");
+    assert.deepEqual(await searchFor("beach"), ["/organizations/Acme/videos/trips/beach.mp4"]);
+
+    const lock = path.join(DATA_DIR, "search", "Acme.json.lock");
+    fs.writeFileSync(lock, "1");
+    write("/organizations/Acme/videos/harbour.mp4", "harbour");
+    let done = false;
+    const update = indexMedia("/organizations/Acme/videos/harbour.mp4").then(() => (done = true));
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(done, false);
+    assert.deepEqual(await searchFor("harbour"), []);
+
+    fs.rmSync(lock);
+    await update;
+    assert.deepEqual(await searchFor("harbour"), ["/organizations/Acme/videos/harbour.mp4"]);
+});
+
+test("renaming a folder queues a rebuild and keeps serving the current index", async () => {
+    const { listJobs } = require("../jobs");
+    const response = await fetch(`${app.base}/api/folders/rename`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ folder: "videos", path: "trips", name: "holidays" }),
+    });
+    assert.equal(response.status, 200);
+
+    assert.deepEqual(await searchFor("beach"), ["/organizations/Acme/videos/trips/beach.mp4"]);
+    assert.ok(listJobs({ org: "Acme" }).some((job) => job.type === "search-rebuild"));
+
+    await require("../search").rebuildIndex("Acme");
+    assert.deepEqual(await searchFor("beach"), ["/organizations/Acme/videos/holidays/beach.mp4"]);
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const { startApp } = require("./support/app");
+
+// Share link views: a view is counted when it starts, and only the key handed out for that view lets
+// the player's later requests through once the link's view limit is reached
+
+let app;
+let token;
+
+before(async () => {
+    app = await startApp({ orgs: { Acme: { password: "admin-password" } } });
+    token = await app.login("Acme", "admin-password");
+    const file = path.join(app.root, "organizations/Acme/videos/clip.mp4");
+    fs.writeFileSync(file, "0123456789");
+});
+
+after(() => app.close());
+
+async function createShare(body) {
+    const response = await fetch(`${app.base}/api/files/share`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ path: "/organizations/Acme/videos/clip.mp4", ...body }),
+    });
+    assert.equal(response.status, 201);
+    return response.json();
+}
+
+const view = (url, viewKey, headers = {}) =>
+    fetch(`${app.base}${url}`, { headers: viewKey ? { "X-Share-View": viewKey, ...headers } : headers });
+
+test("a view key lets the rest of its view through, for a short time", async () => {
+    const { url } = await createShare({ maxViews: 1 });
+
+    const first = await view(url);
+    assert.equal(first.status, 200);
+    const viewKey = first.headers.get("x-share-view");
+    assert.ok(viewKey);
+    const maxAge = Number(first.headers.get("set-cookie").match(/Max-Age=(\d+)/)[1]);
+    assert.ok(maxAge > 0 && maxAge <= 10 * 60, `Max-Age=${maxAge}`);
+
+    const range = await view(url, viewKey, { Range: "bytes=2-5" });
+    assert.equal(range.status, 206);
+    assert.equal(await range.text(), "2345");
+
+    assert.equal((await view(url)).status, 410);
+});
+
+test("refuses view keys that don't name a counted view", async () => {
+    const { encodeSigned } = require("../auth");
+    const { url, share } = await createShare({ maxViews: 1 });
+    const other = await createShare({ maxViews: 1 });
+
+    assert.equal((await view(url)).status, 200);
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    // Signed for this link but for a view that was never started, and a key of another link's view
+    const forged = encodeSigned({ id: share.id, view: "not-a-view", exp }, "share-view");
+    assert.equal((await view(url, forged)).status, 410);
+    const otherKey = (await view(other.url)).headers.get("x-share-view");
+    assert.equal((await view(url, otherKey)).status, 410);
+});
@@ -0,0 +1,54 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Start the API on a free port, storing everything (local storage driver, DATA_DIR) in a temp
+// directory. Call once per test file, before anything else requires the app's modules.
+//
+// orgs: { <name>: config.json contents }. Returns { base, root, login(org, password, level), close() }.
+async function startApp({ orgs = {}, env = {} } = {}) {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "app-test-"));
+    const root = path.join(tmp, "storage");
+    Object.assign(process.env, {
+        DATA_DIR: path.join(tmp, "data"),
+        STORAGE_DRIVER: "local",
+        LOCAL_STORAGE_ROOT: root,
+        STORAGE_CACHE_TTL: "0",
+        AUTH_TOKEN_SECRET: "test-secret",
+        ...env,
+    });
+
+    fs.mkdirSync(path.join(root, "admin"), { recursive: true });
+    for (const [orgName, configData] of Object.entries(orgs)) {
+        const dir = path.join(root, "organizations", orgName);
+        for (const folder of ["videos", "images"]) fs.mkdirSync(path.join(dir, folder), { recursive: true });
+        fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify({ orgId: orgName, levels: [], ...configData }));
+    }
+
+    const app = require("../../index");
+    const server = await new Promise((resolve) => {
+        const s = app.listen(0, "127.0.0.1", () => resolve(s));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const login = async (orgName, password, level) => {
+        const response = await fetch(`${base}/api/orgs/${orgName}/login`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ password, level }),
+        });
+        const body = await response.json();
+        if (!body.token) throw new Error(`Login to ${orgName} failed: ${JSON.stringify(body)}`);
+        return body.token;
+    };
+
+    const close = () => {
+        server.closeAllConnections();
+        server.close();
+        fs.rmSync(tmp, { recursive: true, force: true });
+    };
+
+    return { base, root, login, close };
+}
+
+module.exports = { startApp };
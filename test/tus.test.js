@@ -0,0 +1,98 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const sharp = require("sharp");
+const { startApp } = require("./support/app");
+
+// Resumable uploads: one request writes to an upload at a time, and a completed upload takes no more
+
+let app;
+let token;
+let png;
+
+before(async () => {
+    app = await startApp({ orgs: { Acme: { password: "admin-password" } } });
+    token = await app.login("Acme", "admin-password");
+    png = await sharp({ create: { width: 16, height: 16, channels: 3, background: "#996633" } }).png().toBuffer();
+});
+
+after(() => app.close());
+
+const headers = (extra) => ({ Authorization: `Bearer ${token}`, "Tus-Resumable": "1.0.0", ...extra });
+
+async function createUpload(filename) {
+    const metadata = [["filename", filename], ["folder", "images"], ["onConflict", "rename"]]
+        .map(([key, value]) => `${key} ${Buffer.from(value).toString("base64")}`)
+        .join(",");
+    const response = await fetch(`${app.base}/api/tus`, {
+        method: "POST",
+        headers: headers({ "Upload-Length": String(png.length), "Upload-Metadata": metadata }),
+    });
+    assert.equal(response.status, 201);
+    return response.headers.get("location");
+}
+
+const patch = (location, offset, body) =>
+    fetch(`${app.base}${location}`, {
+        method: "PATCH",
+        headers: headers({ "Content-Type": "application/offset+octet-stream", "Upload-Offset": String(offset) }),
+        body,
+    });
+
+// A PATCH that sends its first bytes and then waits; returns { finish() } resolving to its status
+function startPatch(location, offset, body) {
+    const { port } = new URL(app.base);
+    let answered;
+    const status = new Promise((resolve, reject) => {
+        const request = http.request({
+            host: "127.0.0.1",
+            port,
+            path: location,
+            method: "PATCH",
+            headers: headers({
+                "Content-Type": "application/offset+octet-stream",
+                "Upload-Offset": String(offset),
+                "Content-Length": String(body.length),
+            }),
+        }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on("error", reject);
+        request.write(body.subarray(0, 8));
+        answered = () => request.end(body.subarray(8));
+    });
+    return { finish: () => (answered(), status) };
+}
+
+const offsetOf = async (location) => {
+    const response = await fetch(`${app.base}${location}`, { method: "HEAD", headers: headers() });
+    return Number(response.headers.get("upload-offset"));
+};
+
+test("refuses a PATCH while another is writing to the same upload", async () => {
+    const location = await createUpload("concurrent.png");
+    const half = Math.floor(png.length / 2);
+
+    const first = startPatch(location, 0, png.subarray(0, half));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const second = await patch(location, 0, png.subarray(0, half));
+    assert.equal(second.status, 409);
+
+    assert.equal(await first.finish(), 204);
+    assert.equal(await offsetOf(location), half);
+
+    const last = await patch(location, half, png.subarray(half));
+    assert.equal(last.status, 204);
+    assert.ok(last.headers.get("x-job-id"));
+});
+
+test("refuses a PATCH once the upload is complete", async () => {
+    const location = await createUpload("complete.png");
+    assert.equal((await patch(location, 0, png)).status, 204);
+
+    const again = await patch(location, png.length, Buffer.alloc(0));
+    assert.equal(again.status, 409);
+    assert.equal((await again.json()).error, "Upload already completed");
+    assert.equal((await patch(location, 0, png)).status, 409);
+});
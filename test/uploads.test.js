@@ -0,0 +1,98 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const sharp = require("sharp");
+const { startApp } = require("./support/app");
+
+// What POST /api/upload accepts: the content decides the format, the name must match it, and
+// images must decode. Moves are held to the same rules at their destination.
+
+let app;
+let token;
+let png;
+
+before(async () => {
+    app = await startApp({
+        orgs: { Acme: { password: "admin-password", uploads: { formats: { images: { allow: ["png", "jpeg"] } } } } },
+    });
+    token = await app.login("Acme", "admin-password");
+    png = await sharp({ create: { width: 8, height: 8, channels: 3, background: "#336699" } }).png().toBuffer();
+});
+
+after(() => app.close());
+
+async function upload(filename, content, folder = "images") {
+    const form = new FormData();
+    form.append("orgName", "Acme");
+    form.append("folder", folder);
+    form.append("onConflict", "rename");
+    form.append("file", new Blob([content]), filename);
+    const response = await fetch(`${app.base}/api/upload`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+        body: form,
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test("refuses image content under a name that isn't the image's format", async () => {
+    for (const filename of ["logo.html", "logo.svg", "logo.js", "logo", "logo.jpg"]) {
+        const { status, body } = await upload(filename, png);
+        assert.equal(status, 415, filename);
+        assert.equal(body.code, "CONTENT_TYPE_MISMATCH", filename);
+        assert.equal(body.detected, "png", filename);
+    }
+});
+
+test("refuses images that don't decode", async () => {
+    const truncated = await upload("cut.png", png.subarray(0, png.length - 20));
+    assert.equal(truncated.status, 415);
+    assert.equal(truncated.body.code, "INVALID_MEDIA");
+
+    const garbage = Buffer.concat([png.subarray(0, 16), Buffer.alloc(256, 0x41)]);
+    const fake = await upload("fake.png", garbage);
+    assert.equal(fake.status, 415);
+    assert.equal(fake.body.code, "INVALID_MEDIA");
+});
+
+test("accepts an image named as its format", async () => {
+    const { status, body } = await upload("logo.png", png);
+    assert.ok(status < 300, JSON.stringify(body));
+});
+
+async function move(source, destination) {
+    const response = await fetch(`${app.base}/api/files/move`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ source: `/organizations/Acme/${source}`, destination: `/organizations/Acme/${destination}` }),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test("refuses moves the destination wouldn't take as an upload", async () => {
+    const stored = path.join(app.root, "organizations/Acme/images/stored.png");
+    fs.writeFileSync(stored, png);
+    fs.writeFileSync(path.join(app.root, "organizations/Acme/images/old.gif"), "GIF89a");
+
+    for (const [destination, code] of [
+        ["images/stored.html", "UNSUPPORTED_FORMAT"],
+        ["images/stored", "UNSUPPORTED_FORMAT"],
+        ["images/stored.jpg", "CONTENT_TYPE_MISMATCH"],
+        ["videos/stored.png", "CONTENT_TYPE_MISMATCH"],
+        ["videos/stored.mp4", "CONTENT_TYPE_MISMATCH"],
+    ]) {
+        const { status, body } = await move("images/stored.png", destination);
+        assert.equal(status, 415, destination);
+        assert.equal(body.code, code, destination);
+    }
+    // gif is not on the org's allow-list
+    const gif = await move("images/old.gif", "images/renamed.gif");
+    assert.equal(gif.status, 415);
+    assert.equal(gif.body.code, "UNSUPPORTED_FORMAT");
+    assert.ok(fs.existsSync(stored));
+
+    const moved = await move("images/stored.png", "images/trips/stored.png");
+    assert.equal(moved.status, 200);
+    assert.ok(fs.existsSync(path.join(app.root, "organizations/Acme/images/trips/stored.png")));
+});
@@ -0,0 +1,91 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const dns = require("dns");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Where webhooks may be sent with the default operator settings: https only, and never to private,
+// loopback or link-local addresses, whether given literally or reached through DNS
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-targets-test-"));
+Object.assign(process.env, {
+    DATA_DIR: path.join(tmp, "data"),
+    STORAGE_DRIVER: "local",
+    LOCAL_STORAGE_ROOT: path.join(tmp, "storage"),
+    STORAGE_CACHE_TTL: "0",
+});
+const webhooks = require("../webhooks");
+
+// A receiver on loopback that must never be reached
+let requests = 0;
+let server;
+let port;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests += 1;
+        res.end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("refuses endpoints that aren't https or that point into the server's network", () => {
+    for (const url of [
+        "http://hooks.example.com/hook",
+        "https://localhost/hook",
+        "https://api.localhost/hook",
+        "https://localhost./hook",
+        "https://127.0.0.1/hook",
+        "https://10.1.2.3/hook",
+        "https://172.16.0.1/hook",
+        "https://192.168.1.1/hook",
+        "https://169.254.169.254/latest/meta-data/",
+        "https://[::1]/hook",
+        "https://[fe80::1]/hook",
+        "https://[fd00::1]/hook",
+        "https://[::ffff:127.0.0.1]/hook",
+    ]) {
+        assert.throws(() => webhooks.prepareWebhooks([{ url }]), { status: 400 }, url);
+    }
+    const [hook] = webhooks.prepareWebhooks([{ url: "https://hooks.example.com/hook" }]);
+    assert.equal(hook.url, "https://hooks.example.com/hook");
+});
+
+// An org whose config was written before the rules, pointing at url
+function createOrg(orgName, url) {
+    const dir = path.join(tmp, "storage", "organizations", orgName);
+    fs.mkdirSync(dir, { recursive: true });
+    const hooks = [{ id: "test", url, events: ["*"], secret: "0123456789abcdef", active: true }];
+    fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify({ orgId: orgName, webhooks: hooks }));
+}
+
+test("checks endpoints again when delivering, including the addresses names resolve to", async () => {
+    createOrg("Literal", `https://127.0.0.1:${port}/hook`);
+    createOrg("Resolved", `https://metadata.example.com:${port}/hook`);
+    createOrg("Plain", `http://hooks.example.com:${port}/hook`);
+    for (const orgName of ["Literal", "Resolved", "Plain"]) {
+        await webhooks.emit(orgName, "file.deleted", { path: "a.mp4" });
+    }
+
+    // A public-looking name that resolves to the cloud metadata address
+    const lookup = dns.lookup;
+    mock.method(dns, "lookup", (hostname, options, callback) => {
+        if (hostname !== "metadata.example.com") return lookup(hostname, options, callback);
+        if (options.all) return callback(null, [{ address: "169.254.169.254", family: 4 }]);
+        callback(null, "169.254.169.254", 4);
+    });
+    await webhooks.dispatch();
+    mock.restoreAll();
+    assert.equal(requests, 0);
+    assert.match(webhooks.listPending("Literal")[0].lastError, /private, loopback or link-local/);
+    assert.match(webhooks.listPending("Resolved")[0].lastError, /resolves to .*, a private address/);
+    assert.match(webhooks.listPending("Plain")[0].lastError, /must be https/);
+});
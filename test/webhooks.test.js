@@ -0,0 +1,163 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Webhook deliveries against a local HTTP receiver: signing, retries with backoff and dead letters.
+// Storage is the local driver in a temp directory; retries are sped up to one second. The receiver
+// is plain http on 127.0.0.1, which the operator settings allow here (see webhookTargets.test.js).
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-test-"));
+Object.assign(process.env, {
+    DATA_DIR: path.join(tmp, "data"),
+    STORAGE_DRIVER: "local",
+    LOCAL_STORAGE_ROOT: path.join(tmp, "storage"),
+    STORAGE_CACHE_TTL: "0",
+    WEBHOOK_MAX_ATTEMPTS: "2",
+    WEBHOOK_RETRY_BASE_SECONDS: "1",
+    WEBHOOK_ALLOW_HTTP: "true",
+    WEBHOOK_ALLOW_PRIVATE: "true",
+});
+const webhooks = require("../webhooks");
+
+const SECRET = "0123456789abcdef0123456789abcdef";
+
+// Requests received, and the statuses to answer them with (204 once the list runs out)
+let received = [];
+let statuses = [];
+let server;
+let url;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = statuses.length ? statuses.shift() : 204;
+            res.end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// An org whose config registers the receiver for the given events
+function createOrg(orgName, events = ["*"]) {
+    const dir = path.join(tmp, "storage", "organizations", orgName);
+    fs.mkdirSync(dir, { recursive: true });
+    const hooks = [{ id: "test", url, events, secret: SECRET, active: true }];
+    fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify({ orgId: orgName, webhooks: hooks }));
+}
+
+function reset(...answers) {
+    received = [];
+    statuses = answers;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("delivers a signed event", async () => {
+    createOrg("Signed");
+    reset();
+    const deliveries = await webhooks.emit("Signed", "file.uploaded", { path: "/organizations/Signed/videos/a.mp4" });
+    assert.equal(deliveries.length, 1);
+
+    await webhooks.dispatch();
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    const event = JSON.parse(body);
+    assert.equal(event.type, "file.uploaded");
+    assert.equal(event.org, "Signed");
+    assert.deepEqual(event.data, { path: "/organizations/Signed/videos/a.mp4" });
+    assert.equal(headers["x-webhook-event"], "file.uploaded");
+    assert.equal(headers["x-webhook-id"], event.id);
+
+    const expected = crypto.createHmac("sha256", SECRET).update(`${headers["x-webhook-timestamp"]}.${body}`).digest("hex");
+    assert.equal(headers["x-webhook-signature"], `sha256=${expected}`);
+    assert.deepEqual(webhooks.listPending("Signed"), []);
+});
+
+test("queues nothing for events an endpoint isn't subscribed to", async () => {
+    createOrg("Filtered", ["file.deleted"]);
+    reset();
+    assert.deepEqual(await webhooks.emit("Filtered", "file.uploaded", {}), []);
+    await webhooks.dispatch();
+    assert.equal(received.length, 0);
+});
+
+test("retries a failed delivery after a backoff, with the same event id", async () => {
+    createOrg("Retried");
+    reset(500);
+    await webhooks.emit("Retried", "file.deleted", { path: "/organizations/Retried/videos/a.mp4" });
+
+    await webhooks.dispatch();
+    assert.equal(received.length, 1);
+    const [pending] = webhooks.listPending("Retried");
+    assert.equal(pending.attempts, 1);
+    assert.equal(pending.lastStatus, 500);
+    assert.equal(pending.lastError, "HTTP 500");
+    assert.equal(pending.secret, undefined);
+    assert.ok(Date.parse(pending.nextAttemptAt) > Date.now());
+
+    // Not due yet
+    await webhooks.dispatch();
+    assert.equal(received.length, 1);
+
+    await wait(Date.parse(pending.nextAttemptAt) - Date.now() + 50);
+    await webhooks.dispatch();
+    assert.equal(received.length, 2);
+    assert.equal(received[1].headers["x-webhook-id"], received[0].headers["x-webhook-id"]);
+    assert.deepEqual(webhooks.listPending("Retried"), []);
+    assert.deepEqual(webhooks.listDeadLetters("Retried"), []);
+});
+
+test("moves a delivery to the dead letters once it runs out of attempts, and retries it on request", async () => {
+    createOrg("Dead");
+    reset(500, 503);
+    await webhooks.emit("Dead", "file.moved", { from: "a", to: "b" });
+
+    await webhooks.dispatch();
+    await wait(Date.parse(webhooks.listPending("Dead")[0].nextAttemptAt) - Date.now() + 50);
+    await webhooks.dispatch();
+    assert.equal(received.length, 2);
+    assert.deepEqual(webhooks.listPending("Dead"), []);
+
+    const [dead] = webhooks.listDeadLetters("Dead");
+    assert.equal(dead.attempts, 2);
+    assert.equal(dead.lastStatus, 503);
+    assert.equal(dead.secret, undefined);
+    assert.ok(dead.deadAt);
+    // Other orgs can't see or retry it
+    assert.deepEqual(webhooks.listDeadLetters("Signed"), []);
+    assert.throws(() => webhooks.retryDeadLetter("Signed", dead.id), { status: 404 });
+
+    webhooks.retryDeadLetter("Dead", dead.id);
+    assert.deepEqual(webhooks.listDeadLetters("Dead"), []);
+    assert.equal(webhooks.listPending("Dead")[0].attempts, 0);
+
+    await webhooks.dispatch();
+    assert.equal(received.length, 3);
+    assert.equal(received[2].headers["x-webhook-id"], received[0].headers["x-webhook-id"]);
+    assert.deepEqual(webhooks.listPending("Dead"), []);
+});
+
+test("doesn't follow redirects", async () => {
+    createOrg("Redirected");
+    reset(302);
+    await webhooks.emit("Redirected", "file.deleted", { path: "/organizations/Redirected/videos/a.mp4" });
+
+    await webhooks.dispatch();
+    assert.equal(received.length, 1);
+    const [pending] = webhooks.listPending("Redirected");
+    assert.equal(pending.lastStatus, 302);
+    assert.equal(pending.lastError, "HTTP 302");
+});
@@ -0,0 +1,146 @@
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { storage } = require('./storage');
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Fixed thumbnail widths; requests for other widths get the next size up
+const THUMB_WIDTHS = [160, 320, 640];
+const THUMB_QUALITY = 75;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.jfif', '.webp', '.gif', '.avif', '.tif', '.tiff', '.bmp', '.heic'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm', '.mkv', '.m4v', '.avi', '.3gp'];
+
+// Generations in progress, so concurrent lazy requests for the same file share one run
+const inFlight = new Map();
+
+// Thumbnails live in a hidden folder next to the original:
+// /organizations/<org>/images/pic.jpg -> /organizations/<org>/images/.thumbs/pic.jpg/320.jpg
+function thumbDirFor(remotePath) {
+    return `${path.posix.dirname(remotePath)}/.thumbs/${path.posix.basename(remotePath)}`;
+}
+
+function thumbPathFor(remotePath, width) {
+    return `${thumbDirFor(remotePath)}/${width}.jpg`;
+}
+
+function mediaKind(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    if (IMAGE_EXTENSIONS.includes(ext)) return 'image';
+    if (VIDEO_EXTENSIONS.includes(ext)) return 'video';
+    return null;
+}
+
+// Closest stored width at or above the requested one
+function pickWidth(requested) {
+    const width = parseInt(requested, 10);
+    if (!width) return THUMB_WIDTHS[0];
+    return THUMB_WIDTHS.find((w) => w >= width) || THUMB_WIDTHS[THUMB_WIDTHS.length - 1];
+}
+
+// API URLs for every thumbnail width of a file, for list responses
+function thumbnailUrls(org, folder, filename) {
+    const base = `/api/thumb/${org}/${folder}/${encodeURIComponent(filename)}`;
+    const urls = {};
+    for (const width of THUMB_WIDTHS) {
+        urls[width] = `${base}?w=${width}`;
+    }
+    return urls;
+}
+
+// Grab a poster frame from a local path or URL into a PNG buffer.
+// Takes the frame at 1s (or the first frame for shorter clips) to skip black lead-in frames.
+function extractPosterFrame(input) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poster-'));
+    const framePath = path.join(workDir, 'poster.png');
+
+    const grab = (seconds) => new Promise((resolve, reject) => {
+        ffmpeg(input)
+            .seekInput(seconds)
+            .outputOptions(['-frames:v 1'])
+            .on('end', () => resolve())
+            .on('error', (err) => reject(err))
+            .save(framePath);
+    });
+
+    return grab(1)
+        .then(() => (fs.existsSync(framePath) ? null : grab(0)))
+        .catch(() => grab(0))
+        .then(() => fs.readFileSync(framePath))
+        .finally(() => fs.rmSync(workDir, { recursive: true, force: true }));
+}
+
+async function renderThumbnails(sourceBuffer) {
+    const thumbs = {};
+    for (const width of THUMB_WIDTHS) {
+        thumbs[width] = await sharp(sourceBuffer)
+            .rotate() // honour EXIF orientation
+            .resize({ width, withoutEnlargement: true })
+            .flatten({ background: '#000000' })
+            .jpeg({ quality: THUMB_QUALITY })
+            .toBuffer();
+    }
+    return thumbs;
+}
+
+async function storeThumbnails(remotePath, thumbs) {
+    const dir = thumbDirFor(remotePath);
+    await storage.createDirectory(dir, { recursive: true });
+    for (const [width, buffer] of Object.entries(thumbs)) {
+        await storage.putFileContents(thumbPathFor(remotePath, width), buffer, { overwrite: true });
+    }
+}
+
+// Generate and store thumbnails from a local file during upload processing
+async function generateThumbnails(localPath, remotePath) {
+    const kind = mediaKind(remotePath);
+    if (!kind) return false;
+
+    const source = kind === 'video' ? await extractPosterFrame(localPath) : fs.readFileSync(localPath);
+    await storeThumbnails(remotePath, await renderThumbnails(source));
+    console.log(`[Thumbs] Stored thumbnails for ${remotePath}`);
+    return true;
+}
+
+// Generate thumbnails for a file that is already in storage (uploaded before thumbnails existed)
+async function generateThumbnailsFromStorage(remotePath) {
+    const kind = mediaKind(remotePath);
+    if (!kind) return false;
+
+    let source;
+    if (kind === 'video') {
+        // ffmpeg reads the video through a URL (or local path) with range requests, so only the start is downloaded
+        source = await extractPosterFrame(await storage.getFileDownloadLink(remotePath));
+    } else {
+        source = await storage.getFileContents(remotePath, { format: 'binary' });
+    }
+    await storeThumbnails(remotePath, await renderThumbnails(source));
+    console.log(`[Thumbs] Lazily generated thumbnails for ${remotePath}`);
+    return true;
+}
+
+// Make sure a thumbnail exists, generating the set on first request
+async function ensureThumbnail(remotePath, width) {
+    const thumbPath = thumbPathFor(remotePath, width);
+    if (await storage.exists(thumbPath)) return thumbPath;
+
+    if (!inFlight.has(remotePath)) {
+        inFlight.set(remotePath, generateThumbnailsFromStorage(remotePath).finally(() => inFlight.delete(remotePath)));
+    }
+    await inFlight.get(remotePath);
+    return thumbPath;
+}
+
+module.exports = {
+    THUMB_WIDTHS,
+    thumbDirFor,
+    mediaKind,
+    pickWidth,
+    thumbnailUrls,
+    generateThumbnails,
+    ensureThumbnail,
+};
@@ -0,0 +1,229 @@
+const crypto = require("crypto");
+const path = require("path");
+const { storage } = require("./storage");
+const { isNotFound } = require("./storage/errors");
+const { readOrgConfig } = require("./orgConfig");
+const { metaPathFor } = require("./sidecar");
+const { hlsDirFor } = require("./hls");
+const { thumbDirFor } = require("./thumbnails");
+const { versionsDirFor } = require("./versions");
+
+// Soft delete. Deleted files move into their org's trash, /organizations/<org>/.trash/<id>/, keeping
+// their path relative to the org (videos/clip.mp4, videos/.hls/clip.mp4, ...) next to an entry.json
+// recording what was deleted, by whom and when. A deleted org can't hold its own trash, so whole orgs
+// move to /trash/<id>/<org>. Entries are purged automatically once older than the retention period.
+
+// Days to keep trash; an org can override it with "trash": { "retentionDays": n }. 0 keeps it forever.
+const RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS !== undefined ? Number(process.env.TRASH_RETENTION_DAYS) : 30;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ENTRY_ID = /^[a-f0-9-]{36}$/;
+const ORG_TRASH = { dir: "/trash", base: "/organizations" };
+
+function trashError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function orgTrash(orgName) {
+    return { dir: `/organizations/${orgName}/.trash`, base: `/organizations/${orgName}` };
+}
+
+function entryDir(area, id) {
+    if (!ENTRY_ID.test(id)) throw trashError("Trash entry not found", 404);
+    return `${area.dir}/${id}`;
+}
+
+async function retentionDays(orgName) {
+    if (!orgName) return RETENTION_DAYS;
+    try {
+        const configData = await readOrgConfig(orgName);
+        const days = configData.trash && configData.trash.retentionDays;
+        return typeof days === "number" ? days : RETENTION_DAYS;
+    } catch (error) {
+        return RETENTION_DAYS;
+    }
+}
+
+function withExpiry(entry, days) {
+    const expiresAt = days > 0 ? new Date(Date.parse(entry.deletedAt) + days * DAY_MS).toISOString() : null;
+    return { ...entry, expiresAt };
+}
+
+// Move the existing paths (absolute, inside area.base) into a new entry
+async function moveToTrash(area, entry, paths) {
+    const id = crypto.randomUUID();
+    const dir = `${area.dir}/${id}`;
+    await storage.createDirectory(dir, { recursive: true });
+
+    const items = [];
+    for (const remotePath of paths) {
+        if (!(await storage.exists(remotePath))) continue;
+        const relative = path.posix.relative(area.base, remotePath);
+        await storage.createDirectory(path.posix.dirname(`${dir}/${relative}`), { recursive: true });
+        await storage.moveFile(remotePath, `${dir}/${relative}`);
+        items.push(relative);
+    }
+
+    const record = { id, ...entry, items, deletedAt: new Date().toISOString() };
+    await storage.putFileContents(`${dir}/entry.json`, JSON.stringify(record, null, 2), { overwrite: true });
+    return record;
+}
+
+async function readEntry(area, id) {
+    try {
+        const content = await storage.getFileContents(`${entryDir(area, id)}/entry.json`);
+        return JSON.parse(content.toString());
+    } catch (error) {
+        if (isNotFound(error)) throw trashError("Trash entry not found", 404);
+        throw error;
+    }
+}
+
+async function listEntries(area) {
+    let items;
+    try {
+        items = await storage.getDirectoryContents(area.dir);
+    } catch (error) {
+        if (isNotFound(error)) return [];
+        throw error;
+    }
+
+    const entries = [];
+    for (const item of items.filter((i) => i.type === "directory" && ENTRY_ID.test(i.basename))) {
+        try {
+            entries.push(await readEntry(area, item.basename));
+        } catch (error) {
+            console.warn(`[Trash] Skipping unreadable entry ${area.dir}/${item.basename}:`, error.message);
+        }
+    }
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Move everything back. Refuses (409) if anything now occupies one of the original paths.
+async function restoreEntry(area, id) {
+    const entry = await readEntry(area, id);
+    const dir = entryDir(area, id);
+    for (const relative of entry.items) {
+        if (await storage.exists(`${area.base}/${relative}`)) {
+            throw trashError(`Cannot restore: ${area.base}/${relative} already exists`, 409);
+        }
+    }
+    for (const relative of entry.items) {
+        const target = `${area.base}/${relative}`;
+        await storage.createDirectory(path.posix.dirname(target), { recursive: true });
+        await storage.moveFile(`${dir}/${relative}`, target);
+    }
+    await storage.deleteFile(dir);
+    return entry;
+}
+
+async function purgeEntry(area, id) {
+    const entry = await readEntry(area, id);
+    await storage.deleteFile(entryDir(area, id));
+    return entry;
+}
+
+// Move a media file to its org's trash, with its sidecar, HLS renditions, thumbnails and versions
+async function trashFile(filePath, deletedBy) {
+    const [, , orgName] = filePath.split("/");
+    if (!(await storage.exists(filePath))) throw trashError("File not found", 404);
+    return moveToTrash(orgTrash(orgName), {
+        type: "file",
+        path: filePath,
+        name: path.posix.basename(filePath),
+        deletedBy,
+    }, [filePath, metaPathFor(filePath), hlsDirFor(filePath), thumbDirFor(filePath), versionsDirFor(filePath)]);
+}
+
+// Move a subfolder, with everything below it, to its org's trash
+async function trashFolder(folderPath, deletedBy) {
+    const [, , orgName] = folderPath.split("/");
+    if (!(await storage.exists(folderPath))) throw trashError("Folder not found", 404);
+    return moveToTrash(orgTrash(orgName), {
+        type: "folder",
+        path: folderPath,
+        name: path.posix.basename(folderPath),
+        deletedBy,
+    }, [folderPath]);
+}
+
+async function listTrash(orgName) {
+    const days = await retentionDays(orgName);
+    return (await listEntries(orgTrash(orgName))).map((entry) => withExpiry(entry, days));
+}
+
+const restoreFromTrash = (orgName, id) => restoreEntry(orgTrash(orgName), id);
+const purgeFromTrash = (orgName, id) => purgeEntry(orgTrash(orgName), id);
+
+// Move a whole org (with its own trash) to /trash
+async function trashOrg(orgName, deletedBy) {
+    return moveToTrash(ORG_TRASH, { type: "organization", org: orgName, name: orgName, deletedBy }, [`/organizations/${orgName}`]);
+}
+
+async function listDeletedOrgs() {
+    return (await listEntries(ORG_TRASH)).map((entry) => withExpiry(entry, RETENTION_DAYS));
+}
+
+// Config of a deleted org, for checking its password before a restore or purge
+async function readDeletedOrgConfig(id) {
+    const entry = await readEntry(ORG_TRASH, id);
+    const content = await storage.getFileContents(`${entryDir(ORG_TRASH, id)}/${entry.org}/config.json`);
+    return { entry, configData: JSON.parse(content.toString()) };
+}
+
+const restoreOrg = (id) => restoreEntry(ORG_TRASH, id);
+const purgeOrg = (id) => purgeEntry(ORG_TRASH, id);
+
+async function purgeExpiredIn(area, days) {
+    if (!(days > 0)) return 0;
+    let purged = 0;
+    for (const entry of await listEntries(area)) {
+        if (Date.parse(entry.deletedAt) + days * DAY_MS > Date.now()) continue;
+        await storage.deleteFile(entryDir(area, entry.id));
+        console.log(`[Trash] Purged expired ${entry.type} ${entry.path || entry.org} (deleted ${entry.deletedAt})`);
+        purged += 1;
+    }
+    return purged;
+}
+
+// Purge expired entries from every org's trash and from /trash
+async function purgeExpired() {
+    let purged = await purgeExpiredIn(ORG_TRASH, RETENTION_DAYS);
+    let orgs = [];
+    try {
+        orgs = (await storage.getDirectoryContents("/organizations")).filter((item) => item.type === "directory");
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+    for (const org of orgs) {
+        purged += await purgeExpiredIn(orgTrash(org.basename), await retentionDays(org.basename));
+    }
+    return purged;
+}
+
+function cleanupExpired() {
+    purgeExpired().catch((error) => console.error("[Trash] Cleanup failed:", error.message));
+}
+
+function startCleanup() {
+    cleanupExpired();
+    setInterval(cleanupExpired, CLEANUP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    trashFile,
+    trashFolder,
+    listTrash,
+    restoreFromTrash,
+    purgeFromTrash,
+    trashOrg,
+    listDeletedOrgs,
+    readDeletedOrgConfig,
+    restoreOrg,
+    purgeOrg,
+    purgeExpired,
+    startCleanup,
+};
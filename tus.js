@@ -0,0 +1,266 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { DATA_DIR } = require("./jobs");
+const quotas = require("./quotas");
+
+// Storage for tus (https://tus.io) resumable uploads. Each upload is a <id>.json record
+// plus a <id>.bin file that chunks are appended to until it reaches Upload-Length.
+// Its quota reservation (quotas.reserve under the upload id) goes with it when it is completed or removed.
+// A PATCH holds <id>.lock while it writes, so only one request (across cluster workers) appends at a time.
+
+const TUS_VERSION = "1.0.0";
+const TUS_EXTENSIONS = ["creation", "expiration", "checksum", "termination"];
+const CHECKSUM_ALGORITHMS = ["sha1", "sha256", "md5"];
+const UPLOADS_DIR = path.join(DATA_DIR, "tus");
+const MAX_SIZE = 10 * 1024 * 1024 * 1024; // Same 10GB limit as /api/upload
+// Incomplete uploads are removed this long after their last chunk
+const EXPIRATION_MS = (parseInt(process.env.TUS_EXPIRATION_HOURS, 10) || 24) * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+function tusError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function recordPath(id) {
+    return path.join(UPLOADS_DIR, `${id}.json`);
+}
+
+function dataPath(id) {
+    return path.join(UPLOADS_DIR, `${id}.bin`);
+}
+
+function lockPath(id) {
+    return path.join(UPLOADS_DIR, `${id}.lock`);
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === "EPERM";
+    }
+}
+
+// Claim an upload for one request by exclusively creating <id>.lock, like jobs. A request that finds
+// it held gets a 409 (the client asks for the offset again and resumes); a lock left by a process that
+// died is taken over.
+function lockUpload(id) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(lockPath(id), String(process.pid), { flag: "wx" });
+            return;
+        } catch (error) {
+            if (error.code !== "EEXIST") throw error;
+        }
+        let pid = null;
+        try {
+            pid = parseInt(fs.readFileSync(lockPath(id), "utf8"), 10);
+        } catch (e) {}
+        if (pid && isProcessAlive(pid)) break;
+        fs.rmSync(lockPath(id), { force: true });
+    }
+    throw tusError(409, "Another request is writing to this upload");
+}
+
+function unlockUpload(id) {
+    fs.rmSync(lockPath(id), { force: true });
+}
+
+// Upload-Metadata: comma separated "key base64value" pairs
+function parseMetadata(header) {
+    const metadata = {};
+    if (!header) return metadata;
+    for (const pair of header.split(",")) {
+        const [key, value] = pair.trim().split(" ");
+        if (!key) continue;
+        metadata[key] = value ? Buffer.from(value, "base64").toString("utf8") : "";
+    }
+    return metadata;
+}
+
+// Upload-Checksum: "<algorithm> <base64 digest>"
+function parseChecksum(header) {
+    if (!header) return null;
+    const [algorithm, digest] = header.trim().split(" ");
+    if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+        throw tusError(400, "Unsupported checksum algorithm");
+    }
+    return { algorithm, digest };
+}
+
+function saveRecord(record) {
+    fs.writeFileSync(recordPath(record.id), JSON.stringify(record, null, 2));
+}
+
+function getUpload(id) {
+    if (!/^[a-f0-9-]+$/.test(id)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(recordPath(id), "utf8"));
+    } catch (e) {
+        return null;
+    }
+}
+
+function isExpired(record) {
+    return !record.completedAt && Date.parse(record.expiresAt) <= Date.now();
+}
+
+function removeUpload(id) {
+    for (const file of [recordPath(id), dataPath(id)]) {
+        try {
+            fs.unlinkSync(file);
+        } catch (e) {}
+    }
+    quotas.release(id);
+}
+
+function createUpload({ org, length, metadata, remotePath }) {
+    if (!Number.isSafeInteger(length) || length < 0) {
+        throw tusError(400, "Invalid Upload-Length");
+    }
+    if (length > MAX_SIZE) {
+        throw tusError(413, "Upload exceeds maximum size");
+    }
+
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+    const now = Date.now();
+    const record = {
+        id: crypto.randomUUID(),
+        org,
+        length,
+        offset: 0,
+        metadata,
+        remotePath,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + EXPIRATION_MS).toISOString(),
+        completedAt: null,
+        jobId: null,
+    };
+    fs.writeFileSync(dataPath(record.id), "");
+    saveRecord(record);
+    return record;
+}
+
+// Append a request body to an upload at the given offset. Verifies the chunk checksum
+// if one was sent and rolls the chunk back on mismatch. Resolves with the updated record.
+function appendChunk(record, offset, req, checksum) {
+    if (record.completedAt) {
+        return Promise.reject(tusError(409, "Upload already completed"));
+    }
+    if (offset !== record.offset) {
+        return Promise.reject(tusError(409, `Upload-Offset mismatch: expected ${record.offset}`));
+    }
+
+    const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+    const remaining = record.length - record.offset;
+    let received = 0;
+
+    return new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(dataPath(record.id), { flags: "r+", start: offset });
+        let failed = null;
+
+        // Piped first so this listener runs after the chunk is written; an oversized chunk is rolled back below
+        req.pipe(out);
+        req.on("data", (chunk) => {
+            if (failed) return;
+            if (received + chunk.length > remaining) {
+                failed = tusError(413, "Chunk exceeds Upload-Length");
+                req.unpipe(out);
+                out.end();
+                return;
+            }
+            received += chunk.length;
+            if (hash) hash.update(chunk);
+        });
+
+        // A dropped connection keeps whatever was received, which is the point of resuming
+        req.on("aborted", () => {
+            if (!failed) failed = tusError(400, "Client disconnected");
+            out.end();
+        });
+        out.on("error", reject);
+        out.on("close", () => {
+            const rollback = () => fs.truncateSync(dataPath(record.id), offset);
+
+            if (failed && failed.status === 413) {
+                rollback();
+                return reject(failed);
+            }
+            if (hash && !failed && hash.digest("base64") !== checksum.digest) {
+                rollback();
+                return reject(tusError(460, "Checksum mismatch"));
+            }
+            if (hash && failed) {
+                // Partial chunk can't be verified, so it isn't kept
+                rollback();
+                return reject(failed);
+            }
+
+            record.offset = offset + received;
+            record.expiresAt = new Date(Date.now() + EXPIRATION_MS).toISOString();
+            saveRecord(record);
+            if (failed) return reject(failed);
+            resolve(record);
+        });
+    });
+}
+
+// Detach the finished data file from the upload record so expiry cleanup never touches it.
+// Returns its new path, which is handed to the job queue (the job deletes it when done).
+function detachCompletedFile(record) {
+    const finalPath = path.join(UPLOADS_DIR, `${record.id}-complete${path.extname(record.remotePath)}`);
+    fs.renameSync(dataPath(record.id), finalPath);
+    return finalPath;
+}
+
+function markCompleted(record, jobId) {
+    record.completedAt = new Date().toISOString();
+    record.jobId = jobId;
+    saveRecord(record);
+    // The queued job counts towards the quota from now on
+    quotas.release(record.id);
+    return record;
+}
+
+// Remove incomplete uploads past their expiry, and records of completed ones
+function cleanupExpired() {
+    if (!fs.existsSync(UPLOADS_DIR)) return;
+    for (const name of fs.readdirSync(UPLOADS_DIR).filter((n) => n.endsWith(".json"))) {
+        const record = getUpload(name.slice(0, -5));
+        if (!record) continue;
+        const completedLongAgo = record.completedAt && Date.parse(record.completedAt) + EXPIRATION_MS <= Date.now();
+        if (isExpired(record) || completedLongAgo) {
+            console.log(`[Tus] Removing expired upload ${record.id}`);
+            removeUpload(record.id);
+        }
+    }
+}
+
+function startCleanup() {
+    cleanupExpired();
+    setInterval(cleanupExpired, CLEANUP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    TUS_VERSION,
+    TUS_EXTENSIONS,
+    CHECKSUM_ALGORITHMS,
+    MAX_SIZE,
+    parseMetadata,
+    parseChecksum,
+    dataPath,
+    getUpload,
+    isExpired,
+    createUpload,
+    lockUpload,
+    unlockUpload,
+    appendChunk,
+    detachCompletedFile,
+    markCompleted,
+    removeUpload,
+    startCleanup,
+};
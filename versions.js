@@ -0,0 +1,145 @@
+const path = require("path");
+const { storage } = require("./storage");
+const { isNotFound } = require("./storage/errors");
+const { metaPathFor, readSidecar, writeTechnical, writeIntegrity } = require("./sidecar");
+const { hlsDirFor } = require("./hls");
+const { thumbDirFor } = require("./thumbnails");
+
+// Earlier versions of a file, kept whenever an upload replaces it. Each version has a numbered folder
+// next to the file, like the HLS renditions and thumbnails:
+//   videos/.versions/clip.mp4/3/clip.mp4      the file as it was
+//   videos/.versions/clip.mp4/3/meta.json     its sidecar at the time
+//   videos/.versions/clip.mp4/3/hls, thumbs   its renditions and thumbnails
+//   videos/.versions/clip.mp4/3/version.json  { version, size, sha256, uploadedAt, replacedAt, replacedBy }
+// Client metadata and the access level belong to the file, not a version, so they stay on the
+// current file; a restore only brings back the content with its technical and integrity blocks.
+
+function versionError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function versionsDirFor(remotePath) {
+    return `${path.posix.dirname(remotePath)}/.versions/${path.posix.basename(remotePath)}`;
+}
+
+// Where a replacing upload is stored until the current file has been archived
+function stagingPathFor(remotePath, id) {
+    return `${versionsDirFor(remotePath)}/incoming-${id}`;
+}
+
+function versionDir(remotePath, version) {
+    if (!/^\d+$/.test(String(version))) throw versionError(400, "Version must be a positive integer");
+    return `${versionsDirFor(remotePath)}/${Number(version)}`;
+}
+
+function versionFilePath(remotePath, version) {
+    return `${versionDir(remotePath, version)}/${path.posix.basename(remotePath)}`;
+}
+
+// Version records, newest first
+async function listVersions(remotePath) {
+    let items;
+    try {
+        items = await storage.getDirectoryContents(versionsDirFor(remotePath));
+    } catch (error) {
+        if (isNotFound(error)) return [];
+        throw error;
+    }
+
+    const versions = [];
+    for (const item of items.filter((i) => i.type === "directory" && /^\d+$/.test(i.basename))) {
+        try {
+            const content = await storage.getFileContents(`${versionDir(remotePath, item.basename)}/version.json`);
+            versions.push(JSON.parse(content.toString()));
+        } catch (error) {
+            console.warn(`[Versions] Skipping unreadable version ${item.basename} of ${remotePath}:`, error.message);
+        }
+    }
+    return versions.sort((a, b) => b.version - a.version);
+}
+
+async function readVersion(remotePath, version) {
+    try {
+        const content = await storage.getFileContents(`${versionDir(remotePath, version)}/version.json`);
+        return JSON.parse(content.toString());
+    } catch (error) {
+        if (isNotFound(error)) throw versionError(404, `Version ${version} not found`);
+        throw error;
+    }
+}
+
+// Move the current file (with its renditions and thumbnails) into a new version. Its sidecar is
+// copied, not moved: the metadata stays with the file.
+async function archiveCurrent(remotePath, replacedBy) {
+    const stat = await storage.stat(remotePath);
+    const existing = await listVersions(remotePath);
+    const version = existing.length ? existing[0].version + 1 : 1;
+    const dir = versionDir(remotePath, version);
+    await storage.createDirectory(dir, { recursive: true });
+
+    const sidecar = await readSidecar(remotePath).catch(() => null);
+    await storage.moveFile(remotePath, versionFilePath(remotePath, version));
+    if (sidecar) {
+        await storage.putFileContents(`${dir}/meta.json`, JSON.stringify(sidecar, null, 2), { overwrite: true });
+    }
+    for (const [name, derivedDir] of [["hls", hlsDirFor(remotePath)], ["thumbs", thumbDirFor(remotePath)]]) {
+        if (await storage.exists(derivedDir)) await storage.moveFile(derivedDir, `${dir}/${name}`);
+    }
+
+    const integrity = (sidecar && sidecar.integrity) || {};
+    const record = {
+        version,
+        size: Number(stat.size),
+        sha256: integrity.sha256 || null,
+        storedSha256: integrity.storedSha256 || null,
+        uploadedAt: new Date(stat.lastmod).toISOString(),
+        replacedAt: new Date().toISOString(),
+        replacedBy: replacedBy || null,
+    };
+    await storage.putFileContents(`${dir}/version.json`, JSON.stringify(record, null, 2), { overwrite: true });
+    console.log(`[Versions] Archived ${remotePath} as version ${version}`);
+    return record;
+}
+
+// Make an earlier version current again. The current file becomes the newest version first, so
+// nothing is lost.
+async function restoreVersion(remotePath, version, replacedBy) {
+    const record = await readVersion(remotePath, version);
+    const dir = versionDir(remotePath, version);
+
+    let versionSidecar = null;
+    try {
+        versionSidecar = JSON.parse((await storage.getFileContents(`${dir}/meta.json`)).toString());
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+
+    const archived = (await storage.exists(remotePath)) ? await archiveCurrent(remotePath, replacedBy) : null;
+    await storage.moveFile(versionFilePath(remotePath, version), remotePath);
+    for (const [name, derivedDir] of [["hls", hlsDirFor(remotePath)], ["thumbs", thumbDirFor(remotePath)]]) {
+        if (await storage.exists(`${dir}/${name}`)) {
+            await storage.createDirectory(path.posix.dirname(derivedDir), { recursive: true });
+            await storage.moveFile(`${dir}/${name}`, derivedDir);
+        }
+    }
+    if (await storage.exists(metaPathFor(remotePath)) || versionSidecar) {
+        await writeTechnical(remotePath, (versionSidecar && versionSidecar.technical) || null);
+        await writeIntegrity(remotePath, (versionSidecar && versionSidecar.integrity) || null);
+    }
+    await storage.deleteFile(dir);
+
+    console.log(`[Versions] Restored version ${record.version} of ${remotePath}`);
+    return { restored: record, archived };
+}
+
+module.exports = {
+    versionsDirFor,
+    stagingPathFor,
+    versionFilePath,
+    listVersions,
+    readVersion,
+    archiveCurrent,
+    restoreVersion,
+};
@@ -4,7 +4,10 @@ const ffmpegPath = require('ffmpeg-static');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const { owncloud } = require('./storage/owncloud');
+const { storage } = require('./storage');
+const { readOrgConfig } = require('./orgConfig');
+const { resolveWatermarkConfig, renderTextTemplate, toPixels } = require('./watermarkConfig');
+const { probeVideo } = require('./hls');
 
 // Set ffmpeg path
 ffmpeg.setFfmpegPath(ffmpegPath);
@@ -19,8 +22,8 @@ async function getOrgLogoBuffer(orgName) {
     const extensions = ['.png', '.jpg', '.jpeg', '.svg', '.jfif', '.webp', '.gif'];
     for (const ext of extensions) {
         const logoPath = `/organizations/${orgName}/logo${ext}`;
-        if (await owncloud.exists(logoPath)) {
-            const content = await owncloud.getFileContents(logoPath, { format: "binary" });
+        if (await storage.exists(logoPath)) {
+            const content = await storage.getFileContents(logoPath, { format: "binary" });
             return content;
         }
     }
@@ -38,17 +41,19 @@ async function createRoundedLogo(input, size = 70, opacity = 0.8) {
             return null;
         }
 
-        const rounded = Buffer.from(
-            `<svg><rect x="0" y="0" width="${size}" height="${size}" rx="${size / 2}" ry="${size / 2}"/></svg>`
+        // One mask does both the rounding and the transparency (0.0 - 1.0): dest-in keeps
+        // the logo's pixels with their alpha multiplied by the mask's
+        const mask = Buffer.from(
+            `<svg width="${size}" height="${size}"><rect x="0" y="0" width="${size}" height="${size}" rx="${size / 2}" ry="${size / 2}" fill="#fff" fill-opacity="${opacity}"/></svg>`
         );
 
         return await sharp(input)
             .resize(size, size, { fit: 'cover' })
+            .ensureAlpha()
             .composite([{
-                input: rounded,
+                input: mask,
                 blend: 'dest-in'
             }])
-            .ensureAlpha(opacity) // Set transparency (0.0 - 1.0)
             .png()
             .toBuffer();
     } catch (error) {
@@ -57,47 +62,208 @@ async function createRoundedLogo(input, size = 70, opacity = 0.8) {
     }
 }
 
-// Process Image
-async function processImage(fileBuffer, orgName) {
+// Effective watermark settings for an upload. A draft section (e.g. from the preview endpoint)
+// takes the place of the one stored in config.json.
+async function loadWatermarkSettings(orgName, folder, draft) {
+    let watermark = draft;
+    if (watermark === undefined) {
+        try {
+            watermark = (await readOrgConfig(orgName)).watermark;
+        } catch (error) {
+            // No config yet: defaults apply
+        }
+    }
+    return resolveWatermarkConfig(watermark, folder);
+}
+
+// Top-left pixel offset of an overlay for a position, clamped inside the frame
+function overlayOffset(position, frameWidth, frameHeight, width, height, margin) {
+    const right = frameWidth - width - margin;
+    const bottom = frameHeight - height - margin;
+    const offsets = {
+        'top-left': [margin, margin],
+        'top-right': [right, margin],
+        'bottom-left': [margin, bottom],
+        'bottom-right': [right, bottom],
+        'center': [(frameWidth - width) / 2, (frameHeight - height) / 2],
+    };
+    const [left, top] = offsets[position] || offsets['top-left'];
+    return {
+        left: Math.max(0, Math.round(left)),
+        top: Math.max(0, Math.round(top)),
+    };
+}
+
+function escapeXml(value) {
+    return value.replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function rgba(hex, opacity) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, alpha: opacity };
+}
+
+function svgText(text, textSettings, fontSize, x, y) {
+    return `<text x="${x}" y="${y}" font-family="${textSettings.font}" font-size="${fontSize}" `
+        + `fill="${textSettings.color}" fill-opacity="${textSettings.opacity}">${escapeXml(text)}</text>`;
+}
+
+// Render a line of text through SVG and crop it to its ink, which gives its real rendered size
+async function renderTextLine(text, textSettings, fontSize) {
+    const width = Math.ceil(text.length * fontSize * 1.2) + fontSize;
+    const height = fontSize * 2;
+    const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`
+        + `${svgText(text, textSettings, fontSize, fontSize / 2, fontSize * 1.4)}</svg>`;
     try {
-        console.log(`[Watermark] Processing image for ${orgName}`);
-        
-        // Settings
-        const LOGO_SIZE = 50;
-        const PADDING = 20;
-        const OPACITY = 0.8;
+        return await sharp(Buffer.from(svg)).trim().png().toBuffer({ resolveWithObject: true });
+    } catch (error) {
+        // Nothing visible to trim to (e.g. only spaces)
+        return null;
+    }
+}
 
-        // Load Sigtrack Logo (Top Right)
-        const sigtrackLogo = await createRoundedLogo(SIGTRACK_LOGO_PATH, LOGO_SIZE, OPACITY);
-        
-        // Load Org Logo (Top Left)
-        const orgLogoBuffer = await getOrgLogoBuffer(orgName);
-        let orgLogo = null;
-        if (orgLogoBuffer) {
-            orgLogo = await createRoundedLogo(orgLogoBuffer, LOGO_SIZE, OPACITY);
-        }
+// Caption overlay for a frame: one positioned line (optionally on a box), or the text
+// repeated diagonally over the whole frame. Returns { name, input, left, top } or null.
+async function buildTextOverlay(text, textSettings, frameWidth, frameHeight) {
+    const fontSize = Math.max(6, toPixels(textSettings.fontSize, frameWidth));
+    const line = await renderTextLine(text, textSettings, fontSize);
+    if (!line) return null;
 
-        let composite = [];
-        
-        if (sigtrackLogo) {
-            // SigTrack Logo: Top Right
-            composite.push({ input: sigtrackLogo, gravity: 'northeast', top: PADDING, left: PADDING });
-        }
+    if (textSettings.tiled) {
+        const spacing = toPixels(textSettings.spacing, frameWidth);
+        const tileWidth = line.info.width + spacing;
+        const tileHeight = line.info.height + spacing;
+        const svg = `<svg width="${frameWidth}" height="${frameHeight}" xmlns="http://www.w3.org/2000/svg">`
+            + `<defs><pattern id="t" width="${tileWidth}" height="${tileHeight}" patternUnits="userSpaceOnUse" `
+            + `patternTransform="rotate(${textSettings.angle})">${svgText(text, textSettings, fontSize, 0, fontSize)}</pattern></defs>`
+            + `<rect width="100%" height="100%" fill="url(#t)"/></svg>`;
+        return { name: 'textTile', input: await sharp(Buffer.from(svg)).png().toBuffer(), left: 0, top: 0 };
+    }
 
-        if (orgLogo) {
-            // Org Logo: Top Left
-            composite.push({ input: orgLogo, gravity: 'northwest', top: PADDING, left: PADDING });
-        }
+    let input = line.data;
+    let { width, height } = line.info;
+    const box = textSettings.box;
+    if (box.enabled) {
+        const padding = toPixels(box.padding, frameWidth);
+        width += padding * 2;
+        height += padding * 2;
+        input = await sharp({ create: { width, height, channels: 4, background: rgba(box.color, box.opacity) } })
+            .composite([{ input: line.data, left: padding, top: padding }])
+            .png()
+            .toBuffer();
+    }
+    if (width > frameWidth || height > frameHeight) {
+        console.warn(`[Watermark] Caption is larger than the ${frameWidth}x${frameHeight} frame, skipping`);
+        return null;
+    }
 
-        if (composite.length === 0) {
-            console.log(`[Watermark] No logos to apply, skipping composite`);
+    const margin = toPixels(textSettings.margin, frameWidth);
+    return { name: 'text', input, ...overlayOffset(textSettings.position, frameWidth, frameHeight, width, height, margin) };
+}
+
+// Template variables for a caption. context: { folder, filename, uploader, uploadedAt }
+function captionFor(orgName, settings, context = {}) {
+    if (!settings.text.enabled) return '';
+    return renderTextTemplate(settings.text.template, { org: orgName, ...context }).trim();
+}
+
+// ffmpeg drawtext filter for a positioned caption. The text is read from a file so it needs no
+// filter escaping, and expansion is off so "%" in captions is printed as written.
+function drawTextFilter(textFilePath, textSettings, frameWidth) {
+    const margin = toPixels(textSettings.margin, frameWidth);
+    const box = textSettings.box;
+    const padding = box.enabled ? toPixels(box.padding, frameWidth) : 0;
+    const edge = margin + padding;
+    const positions = {
+        'top-left': [edge, edge],
+        'top-right': [`w-tw-${edge}`, edge],
+        'bottom-left': [edge, `h-th-${edge}`],
+        'bottom-right': [`w-tw-${edge}`, `h-th-${edge}`],
+        'center': ['(w-tw)/2', '(h-th)/2'],
+    };
+    const [x, y] = positions[textSettings.position] || positions['bottom-left'];
+
+    const options = {
+        textfile: textFilePath,
+        expansion: 'none',
+        fontsize: Math.max(6, toPixels(textSettings.fontSize, frameWidth)),
+        fontcolor: `${textSettings.color}@${textSettings.opacity}`,
+        x,
+        y,
+    };
+    // A font file is more dependable than a fontconfig family name in static ffmpeg builds
+    if (process.env.WATERMARK_FONT_FILE) options.fontfile = process.env.WATERMARK_FONT_FILE;
+    else options.font = textSettings.font;
+    if (box.enabled) {
+        Object.assign(options, { box: 1, boxcolor: `${box.color}@${box.opacity}`, boxborderw: padding });
+    }
+    return options;
+}
+
+// Render the enabled logos for a frame size. Returns [{ input: pngBuffer, left, top }].
+async function buildOverlays(orgName, settings, frameWidth, frameHeight) {
+    const overlays = [];
+    const sources = {
+        sigtrackLogo: async () => SIGTRACK_LOGO_PATH,
+        orgLogo: () => getOrgLogoBuffer(orgName),
+    };
+
+    for (const [name, loadSource] of Object.entries(sources)) {
+        const logo = settings[name];
+        if (!logo.enabled) continue;
+
+        const size = Math.min(Math.max(8, toPixels(logo.size, frameWidth)), frameWidth, frameHeight);
+        const margin = toPixels(logo.margin, frameWidth);
+        const rendered = await createRoundedLogo(await loadSource(), size, logo.opacity);
+        if (!rendered) continue;
+
+        overlays.push({ name, input: rendered, ...overlayOffset(logo.position, frameWidth, frameHeight, size, size, margin) });
+    }
+    return overlays;
+}
+
+// Composite logos and caption onto an image. Applies the EXIF orientation first, since the
+// output has its metadata stripped and positions must match what viewers display.
+async function watermarkImageBuffer(fileBuffer, orgName, settings, caption) {
+    const metadata = await sharp(fileBuffer).metadata();
+    // EXIF orientations 5-8 are rotated by 90 degrees, swapping width and height
+    const rotated = (metadata.orientation || 1) >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const overlays = await buildOverlays(orgName, settings, width, height);
+    if (caption) {
+        const textOverlay = await buildTextOverlay(caption, settings.text, width, height);
+        if (textOverlay) overlays.push(textOverlay);
+    }
+    if (overlays.length === 0) return null;
+
+    return sharp(fileBuffer)
+        .rotate()
+        .composite(overlays.map(({ input, left, top }) => ({ input, left, top })))
+        .toBuffer();
+}
+
+// Process Image
+// options: { folder } selects per-folder watermark settings,
+// { filename, uploader, uploadedAt } fill in the caption template
+async function processImage(fileBuffer, orgName, options = {}) {
+    try {
+        console.log(`[Watermark] Processing image for ${orgName}`);
+
+        const settings = await loadWatermarkSettings(orgName, options.folder);
+        if (!settings.enabled) {
+            console.log(`[Watermark] Watermark disabled for ${orgName}/${options.folder || ''}, skipping`);
             return fileBuffer;
         }
 
         // Apply watermarks
-        const outputBuffer = await sharp(fileBuffer)
-            .composite(composite)
-            .toBuffer();
+        const caption = captionFor(orgName, settings, options);
+        const outputBuffer = await watermarkImageBuffer(fileBuffer, orgName, settings, caption);
+        if (!outputBuffer) {
+            console.log(`[Watermark] No logos to apply, skipping composite`);
+            return fileBuffer;
+        }
             
         console.log(`[Watermark] Image processed successfully`);
         return outputBuffer;
@@ -108,40 +274,54 @@ async function processImage(fileBuffer, orgName) {
 }
 
 // Process Video
-async function processVideo(inputPath, orgName) {
+// options: { folder } selects per-folder watermark settings,
+// { filename, uploader, uploadedAt } fill in the caption template,
+// { onProgress } (optional) receives the ffmpeg completion percentage
+async function processVideo(inputPath, orgName, options = {}) {
+    const { folder, onProgress } = options;
     console.log(`[Watermark] Processing video for ${orgName} at ${inputPath}`);
     const tempDir = os.tmpdir();
+    const stamp = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
     // Use input filename to preserve extension if possible, or default to mp4
-    const outputPath = path.join(tempDir, `output-${Date.now()}.mp4`);
-    const sigtrackLogoPath = path.join(tempDir, `sigtrack-${Date.now()}.png`);
-    const orgLogoPath = path.join(tempDir, `org-${Date.now()}.png`);
+    const outputPath = path.join(tempDir, `output-${stamp}.mp4`);
+    const logoPaths = [];
+    const textFilePath = path.join(tempDir, `caption-${stamp}.txt`);
 
     try {
-        // Settings
-        const LOGO_SIZE = 50;
-        const PADDING = 20;
-        const OPACITY = 0.8;
-
-        // Prepare Logos
-        const sigtrackLogo = await createRoundedLogo(SIGTRACK_LOGO_PATH, LOGO_SIZE, OPACITY);
-        let hasSigtrackLogo = false;
-        if (sigtrackLogo) {
-            await sharp(sigtrackLogo).toFile(sigtrackLogoPath);
-            hasSigtrackLogo = true;
+        const settings = await loadWatermarkSettings(orgName, folder);
+        if (!settings.enabled) {
+            console.log(`[Watermark] Watermark disabled for ${orgName}/${folder || ''}, skipping`);
+            return inputPath;
         }
-        
-        const orgLogoBuffer = await getOrgLogoBuffer(orgName);
-        let hasOrgLogo = false;
-        if (orgLogoBuffer) {
-             const orgLogo = await createRoundedLogo(orgLogoBuffer, LOGO_SIZE, OPACITY);
-             if (orgLogo) {
-                await sharp(orgLogo).toFile(orgLogoPath);
-                hasOrgLogo = true;
-             }
+
+        // Percentage sizes and bottom/right positions need the frame size
+        let frame = { width: 1280, height: 720 };
+        try {
+            frame = await probeVideo(inputPath);
+        } catch (err) {
+            console.warn(`[Watermark] Could not probe video size, assuming ${frame.width}x${frame.height}:`, err.message);
         }
 
-        if (!hasSigtrackLogo && !hasOrgLogo) {
-            console.log(`[Watermark] No logos to apply for video, skipping`);
+        // Prepare Logos. A tiled caption is rendered to an image too, since drawtext cannot rotate text;
+        // a positioned caption is drawn by ffmpeg.
+        const overlays = await buildOverlays(orgName, settings, frame.width, frame.height);
+        const caption = captionFor(orgName, settings, options);
+        let drawText = null;
+        if (caption && settings.text.tiled) {
+            const textOverlay = await buildTextOverlay(caption, settings.text, frame.width, frame.height);
+            if (textOverlay) overlays.push(textOverlay);
+        } else if (caption) {
+            fs.writeFileSync(textFilePath, caption);
+            drawText = drawTextFilter(textFilePath, settings.text, frame.width);
+        }
+        for (const overlay of overlays) {
+            const logoPath = path.join(tempDir, `${overlay.name}-${stamp}.png`);
+            await sharp(overlay.input).toFile(logoPath);
+            logoPaths.push(logoPath);
+        }
+
+        if (overlays.length === 0 && !drawText) {
+            console.log(`[Watermark] No logos or caption to apply for video, skipping`);
             return inputPath;
         }
 
@@ -149,46 +329,42 @@ async function processVideo(inputPath, orgName) {
             let command = ffmpeg(inputPath);
             
             // Inputs
-            if (hasSigtrackLogo) command.input(sigtrackLogoPath);
-            if (hasOrgLogo) command.input(orgLogoPath);
+            logoPaths.forEach((logoPath) => command.input(logoPath));
 
-            // Redo filter logic more simply
+            // Chain one overlay filter per logo
             let complexFilter = [];
             let lastOutput = '0:v';
-            let nextInputIndex = 1;
 
-            if (hasSigtrackLogo) {
+            overlays.forEach((overlay, index) => {
+                const output = `v${index + 1}`;
                 complexFilter.push({
                     filter: 'overlay',
-                    options: `main_w-overlay_w-${PADDING}:${PADDING}`,
-                    inputs: [lastOutput, `${nextInputIndex}:v`],
-                    outputs: 'v1'
+                    options: `${overlay.left}:${overlay.top}`,
+                    inputs: [lastOutput, `${index + 1}:v`],
+                    outputs: output
                 });
-                lastOutput = 'v1';
-                nextInputIndex++;
-            }
+                lastOutput = output;
+            });
 
-            if (hasOrgLogo) {
-                complexFilter.push({
-                    filter: 'overlay',
-                    options: `${PADDING}:${PADDING}`,
-                    inputs: [lastOutput, `${nextInputIndex}:v`],
-                    outputs: 'v2'
-                });
-                lastOutput = 'v2';
+            if (drawText) {
+                complexFilter.push({ filter: 'drawtext', options: drawText, inputs: lastOutput, outputs: 'captioned' });
+                lastOutput = 'captioned';
             }
 
             command.complexFilter(complexFilter, lastOutput)
                 .outputOptions('-c:a copy') // Copy audio
+                .on('progress', (progress) => {
+                    if (onProgress && typeof progress.percent === 'number') onProgress(progress.percent);
+                })
                 .on('end', () => {
                     console.log(`[Watermark] Video processed successfully: ${outputPath}`);
                     // Cleanup logos, but keep output
-                    cleanup([sigtrackLogoPath, orgLogoPath]);
+                    cleanup([...logoPaths, textFilePath]);
                     resolve(outputPath);
                 })
                 .on('error', (err) => {
                     console.error("[Watermark] FFmpeg error:", err);
-                    cleanup([outputPath, sigtrackLogoPath, orgLogoPath]);
+                    cleanup([outputPath, ...logoPaths, textFilePath]);
                     // Return original path on error
                     resolve(inputPath);
                 })
@@ -197,11 +373,46 @@ async function processVideo(inputPath, orgName) {
 
     } catch (error) {
         console.error("[Watermark] Video processing setup error:", error);
-        cleanup([outputPath, sigtrackLogoPath, orgLogoPath]);
+        cleanup([outputPath, ...logoPaths, textFilePath]);
         return inputPath;
     }
 }
 
+// Render watermark settings onto a generated sample frame (PNG), for previewing changes.
+// options: { folder, watermark (draft section), width, height, uploader }
+async function renderPreview(orgName, options = {}) {
+    const width = options.width || 1280;
+    const height = options.height || Math.round(width * 9 / 16);
+
+    // Neutral gradient with a grid, so logo placement and transparency are easy to judge
+    const sample = Buffer.from(
+        `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+            <defs>
+                <linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+                    <stop offset="0" stop-color="#4a6fa5"/><stop offset="1" stop-color="#c9d6df"/>
+                </linearGradient>
+                <pattern id="grid" width="${width / 16}" height="${width / 16}" patternUnits="userSpaceOnUse">
+                    <path d="M ${width / 16} 0 L 0 0 0 ${width / 16}" fill="none" stroke="#ffffff" stroke-opacity="0.25"/>
+                </pattern>
+            </defs>
+            <rect width="100%" height="100%" fill="url(#g)"/>
+            <rect width="100%" height="100%" fill="url(#grid)"/>
+        </svg>`
+    );
+    const frame = await sharp(sample).png().toBuffer();
+
+    const settings = await loadWatermarkSettings(orgName, options.folder, options.watermark);
+    if (!settings.enabled) return frame;
+
+    const caption = captionFor(orgName, settings, {
+        folder: options.folder,
+        filename: 'preview.jpg',
+        uploader: options.uploader,
+    });
+    const output = await watermarkImageBuffer(frame, orgName, settings, caption);
+    return output ? sharp(output).png().toBuffer() : frame;
+}
+
 function cleanup(paths) {
     paths.forEach(p => {
         try {
@@ -210,4 +421,4 @@ function cleanup(paths) {
     });
 }
 
-module.exports = { processImage, processVideo };
+module.exports = { processImage, processVideo, renderPreview };
@@ -0,0 +1,244 @@
+// Per-org watermark settings, stored as the "watermark" section of config.json:
+//
+// "watermark": {
+//   "enabled": true,
+//   "size": 50,              // px, or "5%" of the frame width
+//   "opacity": 0.8,          // 0 - 1
+//   "margin": 20,            // px, or "2%" of the frame width
+//   "orgLogo":      { "enabled": true, "position": "top-left" },
+//   "sigtrackLogo": { "enabled": true, "position": "top-right" },
+//   "text": {
+//     "enabled": false,
+//     "template": "{org} - {uploader} - {date}",
+//     "font": "DejaVu Sans",
+//     "fontSize": 24,         // px, or "3%" of the frame width
+//     "color": "#ffffff",
+//     "opacity": 0.7,
+//     "position": "bottom-left",
+//     "margin": 20,
+//     "box": { "enabled": true, "color": "#000000", "opacity": 0.4, "padding": 8 },
+//     "tiled": false,         // repeat the text across the whole frame instead
+//     "angle": -30,           // tiled only, degrees
+//     "spacing": 120          // tiled only, gap between repeats (px or %)
+//   },
+//   "folders": { "videos": { ...same keys, overriding the ones above } }
+// }
+//
+// orgLogo / sigtrackLogo may also set their own size, opacity and margin.
+// Text templates may use {org}, {folder}, {filename}, {uploader}, {date}, {time} and {datetime}.
+
+const POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right", "center"];
+const LOGOS = ["orgLogo", "sigtrackLogo"];
+const SHARED_KEYS = ["size", "opacity", "margin"];
+const TEMPLATE_VARIABLES = ["org", "folder", "filename", "uploader", "date", "time", "datetime"];
+const MAX_TEMPLATE_LENGTH = 200;
+
+const DEFAULT_WATERMARK = {
+    enabled: true,
+    size: 50,
+    opacity: 0.8,
+    margin: 20,
+    orgLogo: { enabled: true, position: "top-left" },
+    sigtrackLogo: { enabled: true, position: "top-right" },
+    text: {
+        enabled: false,
+        template: "{org} - {date}",
+        font: "DejaVu Sans",
+        fontSize: 24,
+        color: "#ffffff",
+        opacity: 0.7,
+        position: "bottom-left",
+        margin: 20,
+        box: { enabled: true, color: "#000000", opacity: 0.4, padding: 8 },
+        tiled: false,
+        angle: -30,
+        spacing: 120,
+    },
+};
+
+function validationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// A length is a positive number of pixels or a "<n>%" string relative to the frame width
+function validateLength(value, label) {
+    if (typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= 4096) return;
+    if (typeof value === "string" && /^\d+(\.\d+)?%$/.test(value) && parseFloat(value) <= 100) return;
+    throw validationError(`${label} must be a number of pixels (0-4096) or a percentage such as "5%"`);
+}
+
+function validateSettings(settings, label) {
+    if (settings === null || typeof settings !== "object" || Array.isArray(settings)) {
+        throw validationError(`${label} must be an object`);
+    }
+    if (settings.enabled !== undefined && typeof settings.enabled !== "boolean") {
+        throw validationError(`${label}.enabled must be true or false`);
+    }
+    if (settings.size !== undefined) validateLength(settings.size, `${label}.size`);
+    if (settings.margin !== undefined) validateLength(settings.margin, `${label}.margin`);
+    if (settings.opacity !== undefined
+        && (typeof settings.opacity !== "number" || settings.opacity < 0 || settings.opacity > 1)) {
+        throw validationError(`${label}.opacity must be a number between 0 and 1`);
+    }
+    if (settings.position !== undefined && !POSITIONS.includes(settings.position)) {
+        throw validationError(`${label}.position must be one of ${POSITIONS.join(", ")}`);
+    }
+}
+
+function validateOpacity(value, label) {
+    if (typeof value !== "number" || value < 0 || value > 1) {
+        throw validationError(`${label} must be a number between 0 and 1`);
+    }
+}
+
+function validateColor(value, label) {
+    if (typeof value !== "string" || !/^#[0-9a-f]{6}$/i.test(value)) {
+        throw validationError(`${label} must be a hex color such as "#ffffff"`);
+    }
+}
+
+function validateText(text, label) {
+    if (text === null || typeof text !== "object" || Array.isArray(text)) {
+        throw validationError(`${label} must be an object`);
+    }
+    for (const key of ["enabled", "tiled"]) {
+        if (text[key] !== undefined && typeof text[key] !== "boolean") {
+            throw validationError(`${label}.${key} must be true or false`);
+        }
+    }
+    if (text.template !== undefined
+        && (typeof text.template !== "string" || text.template.length > MAX_TEMPLATE_LENGTH || /[\x00-\x1f\x7f]/.test(text.template))) {
+        throw validationError(`${label}.template must be a single line of at most ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+    // The font name ends up in SVG markup and in an ffmpeg filter, so keep it to plain names
+    if (text.font !== undefined && (typeof text.font !== "string" || !/^[\w \-]{1,64}$/.test(text.font))) {
+        throw validationError(`${label}.font must be a font family name (letters, digits, spaces and dashes)`);
+    }
+    for (const key of ["fontSize", "margin", "spacing"]) {
+        if (text[key] !== undefined) validateLength(text[key], `${label}.${key}`);
+    }
+    if (text.color !== undefined) validateColor(text.color, `${label}.color`);
+    if (text.opacity !== undefined) validateOpacity(text.opacity, `${label}.opacity`);
+    if (text.position !== undefined && !POSITIONS.includes(text.position)) {
+        throw validationError(`${label}.position must be one of ${POSITIONS.join(", ")}`);
+    }
+    if (text.angle !== undefined && (typeof text.angle !== "number" || text.angle < -90 || text.angle > 90)) {
+        throw validationError(`${label}.angle must be a number of degrees between -90 and 90`);
+    }
+
+    const box = text.box;
+    if (box !== undefined) {
+        if (box === null || typeof box !== "object" || Array.isArray(box)) {
+            throw validationError(`${label}.box must be an object`);
+        }
+        if (box.enabled !== undefined && typeof box.enabled !== "boolean") {
+            throw validationError(`${label}.box.enabled must be true or false`);
+        }
+        if (box.color !== undefined) validateColor(box.color, `${label}.box.color`);
+        if (box.opacity !== undefined) validateOpacity(box.opacity, `${label}.box.opacity`);
+        if (box.padding !== undefined) validateLength(box.padding, `${label}.box.padding`);
+    }
+}
+
+// Validate a watermark section supplied by a client. Throws a 400 error describing the first problem.
+function validateWatermarkConfig(watermark, mediaFolders) {
+    validateSettings(watermark, "watermark");
+    const levels = [["watermark", watermark]];
+
+    if (watermark.folders !== undefined) {
+        if (watermark.folders === null || typeof watermark.folders !== "object" || Array.isArray(watermark.folders)) {
+            throw validationError("watermark.folders must be an object");
+        }
+        for (const [folder, override] of Object.entries(watermark.folders)) {
+            if (!mediaFolders.includes(folder)) {
+                throw validationError(`watermark.folders.${folder} is not a media folder (${mediaFolders.join(", ")})`);
+            }
+            validateSettings(override, `watermark.folders.${folder}`);
+            levels.push([`watermark.folders.${folder}`, override]);
+        }
+    }
+
+    for (const [label, settings] of levels) {
+        for (const logo of LOGOS) {
+            if (settings[logo] !== undefined) validateSettings(settings[logo], `${label}.${logo}`);
+        }
+        if (settings.text !== undefined) validateText(settings.text, `${label}.text`);
+    }
+    return watermark;
+}
+
+function mergeLevel(base, override) {
+    if (!override) return base;
+    const merged = { ...base };
+    for (const key of ["enabled", ...SHARED_KEYS]) {
+        if (override[key] !== undefined) merged[key] = override[key];
+    }
+    for (const logo of LOGOS) {
+        if (override[logo]) merged[logo] = { ...base[logo], ...override[logo] };
+    }
+    if (override.text) {
+        merged.text = { ...base.text, ...override.text, box: { ...base.text.box, ...override.text.box } };
+    }
+    return merged;
+}
+
+// Effective settings for a folder: defaults <- org settings <- folder override.
+// Each logo ends up with its own enabled, position, size, opacity and margin.
+function resolveWatermarkConfig(watermark, folder) {
+    let settings = mergeLevel(DEFAULT_WATERMARK, watermark);
+    if (watermark && watermark.folders && folder) {
+        settings = mergeLevel(settings, watermark.folders[folder]);
+    }
+
+    const resolved = { enabled: settings.enabled };
+    for (const logo of LOGOS) {
+        const logoSettings = settings[logo];
+        resolved[logo] = {
+            enabled: settings.enabled && logoSettings.enabled !== false,
+            position: logoSettings.position,
+        };
+        for (const key of SHARED_KEYS) {
+            resolved[logo][key] = logoSettings[key] !== undefined ? logoSettings[key] : settings[key];
+        }
+    }
+    resolved.text = { ...settings.text, enabled: settings.enabled && settings.text.enabled };
+    return resolved;
+}
+
+// Fill in {variable} placeholders. Unknown placeholders are left as written.
+// vars: { org, folder, filename, uploader, uploadedAt }
+function renderTextTemplate(template, vars) {
+    const when = new Date(vars.uploadedAt || Date.now());
+    const iso = when.toISOString();
+    const values = {
+        org: vars.org,
+        folder: vars.folder,
+        filename: vars.filename,
+        uploader: vars.uploader || vars.org,
+        date: iso.slice(0, 10),
+        time: `${iso.slice(11, 16)} UTC`,
+        datetime: `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`,
+    };
+    return template.replace(/\{(\w+)\}/g, (match, name) => (
+        TEMPLATE_VARIABLES.includes(name) && values[name] !== undefined ? String(values[name]) : match
+    ));
+}
+
+// Convert a length setting to pixels for a frame of the given width
+function toPixels(value, frameWidth) {
+    if (typeof value === "string" && value.endsWith("%")) {
+        return Math.round((parseFloat(value) / 100) * frameWidth);
+    }
+    return Math.round(value);
+}
+
+module.exports = {
+    POSITIONS,
+    DEFAULT_WATERMARK,
+    validateWatermarkConfig,
+    resolveWatermarkConfig,
+    renderTextTemplate,
+    toPixels,
+};
@@ -0,0 +1,414 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+const { DATA_DIR } = require("./jobs");
+const { readOrgConfig } = require("./orgConfig");
+
+// Outgoing webhooks. An org registers endpoints in its config:
+//
+// "webhooks": [{ "id": "ci", "url": "https://example.com/hook", "events": ["file.uploaded"], "secret": "...", "active": true }]
+//
+// ("events": ["*"] subscribes to everything.) emit() writes one delivery per subscribed endpoint to
+// an outbox on disk, DATA_DIR/webhooks/outbox/<id>.json, before anything is sent, so events raised
+// just before a crash or restart still go out. A dispatcher POSTs them as JSON signed with the
+// endpoint's secret and retries failures with exponential backoff; deliveries that run out of
+// attempts move to DATA_DIR/webhooks/dead, where admins can inspect and retry them.
+//
+// Request headers: X-Webhook-Id (event id, the same on every retry), X-Webhook-Event,
+// X-Webhook-Timestamp (unix seconds) and X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">.
+//
+// Endpoints must be https and must not be private, loopback or link-local addresses, so an org
+// can't make the server call into its own network (e.g. cloud metadata at 169.254.169.254). Hosts are
+// resolved when sending and the address connected to is the one checked. Redirects aren't followed;
+// a 3xx answer is a failed delivery. WEBHOOK_ALLOW_HTTP and WEBHOOK_ALLOW_PRIVATE lift the rules.
+
+const EVENTS = ["file.uploaded", "file.processed", "file.deleted", "file.moved", "metadata.updated", "org.renamed"];
+// Sent only by the test endpoint, to whichever webhook is being tested
+const TEST_EVENT = "webhook.test";
+
+const WEBHOOKS_DIR = path.join(DATA_DIR, "webhooks");
+const OUTBOX_DIR = path.join(WEBHOOKS_DIR, "outbox");
+const DEAD_DIR = path.join(WEBHOOKS_DIR, "dead");
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+// Retry n waits RETRY_BASE_MS * 2^(n-1), at most MAX_RETRY_DELAY_MS
+const RETRY_BASE_MS = (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 2000;
+const MAX_WEBHOOKS = 10;
+const WEBHOOK_ID = /^[A-Za-z0-9_-]{1,32}$/;
+const ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === "true";
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+
+// Addresses endpoints may not have: unspecified, private (RFC 1918, CGNAT, IPv6 ULA), loopback,
+// link-local and IPv4-mapped IPv6
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16]]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [["::", 128], ["::1", 128], ["::ffff:0:0", 96], ["fc00::", 7], ["fe80::", 10]]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+let timer = null;
+let dispatching = false;
+
+function webhookError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// Why an endpoint URL may not be called, or null. Host names are checked again once resolved.
+function refusedTarget(url) {
+    if (url.protocol !== "https:" && !(ALLOW_HTTP && url.protocol === "http:")) {
+        return ALLOW_HTTP ? "must be http or https" : "must be https";
+    }
+    if (ALLOW_PRIVATE) return null;
+    const host = url.hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "");
+    if (host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host)) {
+        return "must not point to a private, loopback or link-local address";
+    }
+    return null;
+}
+
+// dns.lookup for webhook requests: refuses names that resolve to a private address
+function checkedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+        const refused = ALLOW_PRIVATE ? undefined : addresses.find(isPrivateAddress);
+        if (refused) return callback(new Error(`${hostname} resolves to ${refused}, a private address`));
+        callback(null, address, family);
+    });
+}
+
+// Validate client-supplied endpoints. An endpoint that keeps its id keeps its secret unless a new
+// one is given; new endpoints without one get a generated secret.
+function prepareWebhooks(input, existing = []) {
+    if (!Array.isArray(input)) throw webhookError("webhooks must be an array");
+    if (input.length > MAX_WEBHOOKS) throw webhookError(`At most ${MAX_WEBHOOKS} webhooks are allowed`);
+    const seen = new Set();
+
+    return input.map((hook, index) => {
+        if (!hook || typeof hook !== "object" || Array.isArray(hook)) throw webhookError(`webhooks[${index}] must be an object`);
+        const id = hook.id || crypto.randomBytes(6).toString("hex");
+        if (!WEBHOOK_ID.test(id)) {
+            throw webhookError(`webhooks[${index}].id must be 1-32 letters, digits, dashes or underscores`);
+        }
+        if (seen.has(id)) throw webhookError(`Duplicate webhook id: ${id}`);
+        seen.add(id);
+
+        let url;
+        try {
+            url = new URL(hook.url);
+        } catch (e) {
+            throw webhookError(`webhooks[${index}].url must be an absolute URL`);
+        }
+        const refused = refusedTarget(url);
+        if (refused) throw webhookError(`webhooks[${index}].url ${refused}`);
+
+        const events = hook.events === undefined ? ["*"] : hook.events;
+        if (!Array.isArray(events) || events.length === 0 || events.some((e) => e !== "*" && !EVENTS.includes(e))) {
+            throw webhookError(`webhooks[${index}].events must list events from ${EVENTS.join(", ")} (or "*")`);
+        }
+        if (hook.secret !== undefined && hook.secret !== null && (typeof hook.secret !== "string" || hook.secret.length < 16)) {
+            throw webhookError(`webhooks[${index}].secret must be a string of at least 16 characters`);
+        }
+        if (hook.active !== undefined && typeof hook.active !== "boolean") {
+            throw webhookError(`webhooks[${index}].active must be true or false`);
+        }
+
+        const previous = Array.isArray(existing) ? existing.find((h) => h && h.id === id) : null;
+        return {
+            id,
+            url: url.toString(),
+            events: [...new Set(events)],
+            secret: hook.secret || (previous && previous.secret) || crypto.randomBytes(32).toString("base64url"),
+            active: hook.active !== false,
+        };
+    });
+}
+
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+function deliveryFile(dir, id) {
+    return path.join(dir, `${id}.json`);
+}
+
+// Claimed by exclusively creating <id>.lock, like jobs, so cluster workers don't send a delivery twice
+function lockFile(id) {
+    return path.join(OUTBOX_DIR, `${id}.lock`);
+}
+
+function claim(id) {
+    try {
+        fs.writeFileSync(lockFile(id), String(process.pid), { flag: "wx" });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function release(id) {
+    fs.rmSync(lockFile(id), { force: true });
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === "EPERM";
+    }
+}
+
+// Locks left by a process that died mid-send; those deliveries are sent again
+function releaseStaleLocks() {
+    for (const name of fs.readdirSync(OUTBOX_DIR).filter((n) => n.endsWith(".lock"))) {
+        const pid = parseInt(fs.readFileSync(path.join(OUTBOX_DIR, name), "utf8"), 10);
+        if (pid && pid !== process.pid && isProcessAlive(pid)) continue;
+        release(name.slice(0, -5));
+    }
+}
+
+function writeDelivery(dir, delivery) {
+    fs.mkdirSync(dir, { recursive: true });
+    // Write then rename so the dispatcher never reads a half-written file
+    const tmp = `${deliveryFile(dir, delivery.id)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(delivery, null, 2));
+    fs.renameSync(tmp, deliveryFile(dir, delivery.id));
+}
+
+function readDeliveries(dir) {
+    if (!fs.existsSync(dir)) return [];
+    const deliveries = [];
+    for (const name of fs.readdirSync(dir).filter((n) => n.endsWith(".json"))) {
+        try {
+            deliveries.push(JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")));
+        } catch (e) {}
+    }
+    return deliveries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function queueDelivery(hook, orgName, event) {
+    const now = new Date().toISOString();
+    const delivery = {
+        id: crypto.randomUUID(),
+        org: orgName,
+        webhookId: hook.id,
+        url: hook.url,
+        secret: hook.secret,
+        event,
+        attempts: 0,
+        nextAttemptAt: now,
+        lastStatus: null,
+        lastError: null,
+        createdAt: now,
+    };
+    writeDelivery(OUTBOX_DIR, delivery);
+    return delivery;
+}
+
+// Raise an event for an org: every active endpoint subscribed to it gets a delivery in the outbox.
+// Never throws; a failure to queue is logged, not passed on to the request that raised the event.
+async function emit(orgName, type, data) {
+    try {
+        let configData;
+        try {
+            configData = await readOrgConfig(orgName);
+        } catch (error) {
+            return [];
+        }
+        const hooks = (Array.isArray(configData.webhooks) ? configData.webhooks : [])
+            .filter((hook) => hook.active !== false && (hook.events.includes("*") || hook.events.includes(type)));
+        if (hooks.length === 0) return [];
+
+        const event = { id: crypto.randomUUID(), type, org: orgName, occurredAt: new Date().toISOString(), data };
+        const deliveries = hooks.map((hook) => queueDelivery(hook, orgName, event));
+        if (timer) setImmediate(dispatch);
+        return deliveries;
+    } catch (error) {
+        console.error(`[Webhooks] Failed to queue ${type} for ${orgName}:`, error.message);
+        return [];
+    }
+}
+
+// Send a test event to one endpoint, through the outbox like any other
+function sendTest(orgName, hook) {
+    const event = { id: crypto.randomUUID(), type: TEST_EVENT, org: orgName, occurredAt: new Date().toISOString(), data: {} };
+    const delivery = queueDelivery(hook, orgName, event);
+    if (timer) setImmediate(dispatch);
+    return delivery;
+}
+
+// POST the event; resolves to the response status. Endpoints queued before a rule changed are
+// checked again here.
+function send(delivery) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const url = new URL(delivery.url);
+    const refused = refusedTarget(url);
+    if (refused) return Promise.reject(new Error(`Endpoint ${refused}`));
+
+    return new Promise((resolve, reject) => {
+        const request = (url.protocol === "https:" ? https : http).request(url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(body),
+                "User-Agent": "sigtube-server webhooks",
+                "X-Webhook-Id": delivery.event.id,
+                "X-Webhook-Event": delivery.event.type,
+                "X-Webhook-Timestamp": String(timestamp),
+                "X-Webhook-Signature": sign(delivery.secret, timestamp, body),
+            },
+            lookup: checkedLookup,
+            timeout: TIMEOUT_MS,
+        }, (response) => {
+            // Only the status matters; drain the body so the connection can be reused
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on("timeout", () => request.destroy(Object.assign(new Error("Timed out"), { name: "TimeoutError" })));
+        request.on("error", reject);
+        request.end(body);
+    });
+}
+
+async function attempt(delivery) {
+    delivery.attempts += 1;
+    let status = null;
+    let error = null;
+    try {
+        status = await send(delivery);
+        if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (err) {
+        error = err.name === "TimeoutError" ? `Timed out after ${TIMEOUT_MS / 1000}s` : err.message;
+    }
+    Object.assign(delivery, { lastStatus: status, lastError: error, lastAttemptAt: new Date().toISOString() });
+
+    if (!error) {
+        fs.rmSync(deliveryFile(OUTBOX_DIR, delivery.id), { force: true });
+        return;
+    }
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+        console.error(`[Webhooks] ${delivery.event.type} to ${delivery.url} failed ${delivery.attempts} times, giving up: ${error}`);
+        writeDelivery(DEAD_DIR, { ...delivery, deadAt: new Date().toISOString() });
+        fs.rmSync(deliveryFile(OUTBOX_DIR, delivery.id), { force: true });
+        return;
+    }
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY_MS);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    console.warn(`[Webhooks] ${delivery.event.type} to ${delivery.url} failed (${error}), retry ${delivery.attempts} in ${delay / 1000}s`);
+    writeDelivery(OUTBOX_DIR, delivery);
+}
+
+// Send every delivery that is due, oldest first. One pass at a time per process.
+async function dispatch() {
+    if (dispatching) return;
+    dispatching = true;
+    try {
+        const now = Date.now();
+        for (const due of readDeliveries(OUTBOX_DIR).filter((d) => Date.parse(d.nextAttemptAt) <= now)) {
+            if (!claim(due.id)) continue;
+            try {
+                // Re-read after claiming in case another worker sent it in between
+                const delivery = JSON.parse(fs.readFileSync(deliveryFile(OUTBOX_DIR, due.id), "utf8"));
+                if (delivery.attempts === due.attempts) await attempt(delivery);
+            } catch (error) {
+                if (error.code !== "ENOENT") throw error;
+            } finally {
+                release(due.id);
+            }
+        }
+    } catch (error) {
+        console.error("[Webhooks] Dispatch failed:", error.message);
+    } finally {
+        dispatching = false;
+    }
+}
+
+function start() {
+    if (timer) return;
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+    releaseStaleLocks();
+    timer = setInterval(dispatch, POLL_INTERVAL_MS);
+    timer.unref();
+    dispatch();
+    console.log("[Webhooks] Dispatcher started");
+}
+
+// Deliveries as shown to admins, without the signing secret
+function publicDelivery(delivery) {
+    const { secret, ...rest } = delivery;
+    return rest;
+}
+
+function listDeadLetters(orgName) {
+    return readDeliveries(DEAD_DIR).filter((d) => d.org === orgName).reverse().map(publicDelivery);
+}
+
+function listPending(orgName) {
+    return readDeliveries(OUTBOX_DIR).filter((d) => d.org === orgName).map(publicDelivery);
+}
+
+function readDeadLetter(orgName, id) {
+    if (!/^[a-f0-9-]{36}$/.test(id)) return null;
+    try {
+        const delivery = JSON.parse(fs.readFileSync(deliveryFile(DEAD_DIR, id), "utf8"));
+        return delivery.org === orgName ? delivery : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Put a dead delivery back in the outbox with a fresh set of attempts
+function retryDeadLetter(orgName, id) {
+    const delivery = readDeadLetter(orgName, id);
+    if (!delivery) throw webhookError("Delivery not found", 404);
+    const { deadAt, ...rest } = delivery;
+    writeDelivery(OUTBOX_DIR, { ...rest, attempts: 0, nextAttemptAt: new Date().toISOString() });
+    fs.rmSync(deliveryFile(DEAD_DIR, id), { force: true });
+    if (timer) setImmediate(dispatch);
+    return publicDelivery(rest);
+}
+
+function discardDeadLetter(orgName, id) {
+    if (!readDeadLetter(orgName, id)) throw webhookError("Delivery not found", 404);
+    fs.rmSync(deliveryFile(DEAD_DIR, id), { force: true });
+}
+
+// Deliveries queued under an org's old name follow it when it is renamed
+function renameOrgDeliveries(oldName, newName) {
+    for (const dir of [OUTBOX_DIR, DEAD_DIR]) {
+        for (const delivery of readDeliveries(dir).filter((d) => d.org === oldName)) {
+            writeDelivery(dir, { ...delivery, org: newName });
+        }
+    }
+}
+
+module.exports = {
+    EVENTS,
+    prepareWebhooks,
+    emit,
+    sendTest,
+    dispatch,
+    start,
+    listPending,
+    listDeadLetters,
+    retryDeadLetter,
+    discardDeadLetter,
+    renameOrgDeliveries,
+};